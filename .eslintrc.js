@@ -40,7 +40,9 @@ module.exports = {
         'fov',
         'enableZoom',
         'enableRotate',
-        'enablePan'
+        'enablePan',
+        'geometry',
+        'material'
       ]
     }]
   },
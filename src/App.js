@@ -3,27 +3,103 @@ const CAMERA_POSITION = [15, 15, 15];
 const CAMERA_FOV = 50;
 const GRID_HELPER_ARGS = [20, 20, '#444', '#222'];
 const AXES_HELPER_ARGS = [5];
+// Neighbouring tile offsets for the 3x3 tileable preview
+const TILE_REPEAT_OFFSETS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
 
 import React, { useState, useRef, useCallback, useMemo, useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import SettingsPanel from './components/SettingsPanel';
 import PresetPanel from './components/PresetPanel';
-import { createImprovedNoise2D, generateTerrain } from './services/TerrainGeneratorService';
-import { createTexturedTerrainMaterial, createWaterPlane } from './services/TerrainMaterialService';
+import { generateTerrain, updateTerrainGeometry, isTileableTerrain } from './services/TerrainGeneratorService';
+import { createDefaultTerrainGraph } from './services/TerrainGraphService';
+import { createTexturedTerrainMaterial, createWaterPlane, createWaterMaterial, bakeTerrainVertexColors } from './services/TerrainMaterialService';
 import usePersistentState from './hooks/usePersistentState';
 import Water from './components/Water';
 import { generateScatterMask, generatePoissonScatterPoints } from './services/ScatterService';
 import BillboardTree, { InstancedBillboardTrees } from './components/BillboardTree';
 import InstancedGrassClumps from './components/InstancedGrassClumps';
+import ChunkedTerrain from './components/ChunkedTerrain';
 import * as THREE from 'three';
 import ErosionWorkerService from './services/ErosionWorkerService';
 import TerrainWorkerService from './services/TerrainWorkerService';
+import { importHeightmap, exportHeightmap } from './services/HeightmapIOService';
+import HeightmapImportDialog from './components/HeightmapImportDialog';
+import HeightmapExportDialog from './components/HeightmapExportDialog';
+import MeshExportDialog from './components/MeshExportDialog';
+import { exportTerrainMesh } from './services/MeshExportService';
+import {
+  EROSION_OVERLAY_OPTIONS, applyErosionOverlay, exportErosionMask, createErosionMaskTexture,
+  paintRegionMask, applyRegionOverlay
+} from './services/ErosionMaskService';
+import {
+  computeRegionMask, computeBasins, computeLakes, extractRivers, carveRivers, FLOW_CONDITIONING
+} from './services/HeightfieldService';
+import {
+  HYDROLOGY_OVERLAY_OPTIONS, applyBasinOverlay, createLakeMeshes, applyRiverOverlay, createRiverMesh, exportRiversGeoJSON
+} from './services/HydrologyService';
+import { createBiomeTexture } from './services/BiomeService';
+
+// Triggers a browser download for a generated file
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Draws a heightmap as grayscale into the 2D view canvas, optionally tinted with an erosion mask
+// and drainage basins or rivers, and darkened outside the erosion region. With a before heightmap the left half shows it instead,
+// on the same height scale.
+function drawHeightmap(canvas, { hm, width, height, minH, maxH }, { masks = null, overlay = 'none', basins = null, rivers = null, region = null, before = null } = {}) {
+  if (!canvas || !hm) return;
+  if (canvas.width !== width) canvas.width = width;
+  if (canvas.height !== height) canvas.height = height;
+  const compare = before && before.length === hm.length;
+  let low = minH, high = maxH;
+  if (compare) {
+    for (const v of before) { if (v < low) low = v; if (v > high) high = v; }
+  }
+  const ctx = canvas.getContext('2d');
+  const img = ctx.createImageData(width, height);
+  const writeGray = (i, h) => {
+    const normalized = Math.floor(((h - low) / (high - low || 1)) * 255);
+    img.data[4 * i] = normalized;
+    img.data[4 * i + 1] = normalized;
+    img.data[4 * i + 2] = normalized;
+    img.data[4 * i + 3] = 255;
+  };
+  for (let i = 0; i < width * height; i++) writeGray(i, hm[i]);
+  if (masks && overlay !== 'none') applyErosionOverlay(img.data, masks, overlay);
+  if (basins && basins.length === hm.length) applyBasinOverlay(img.data, basins, width, height);
+  if (rivers) applyRiverOverlay(img.data, rivers, width, height);
+  if (region && region.length === hm.length) applyRegionOverlay(img.data, region);
+  const split = Math.floor(width / 2);
+  if (compare) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < split; x++) writeGray(y * width + x, before[y * width + x]);
+    }
+  }
+  ctx.putImageData(img, 0, 0);
+  if (compare) {
+    ctx.fillStyle = '#6ec1e4';
+    ctx.fillRect(split, 0, 1, height);
+  }
+}
 
 // Default parameters
 const defaultParams = {
   size: 10,
   meshResolution: 128,
+  tileable: false,
+  showTileRepeat: false,
+  chunkedWorld: false,
+  chunkResolution: 128,
+  chunkViewDistance: 2,
   
   // Multi-layered noise parameters
   amplitude: 1.0, // Height Range
@@ -36,7 +112,9 @@ const defaultParams = {
   worleyPoints: 256,
   worleySeed: Math.random() * 1000,
   worleyWeight: 0.5,
-  worleyDimension: 2,
+  worleyReturn: 'f1',
+  worleyDistance: 'euclidean',
+  worleyInvert: false,
   
   // Ridged noise
   ridged: false,
@@ -49,6 +127,10 @@ const defaultParams = {
   warpFrequency: 0.02,
   warpIterations: 3,
   
+  // Node graph (replaces the built-in recipe when enabled)
+  useTerrainGraph: false,
+  terrainGraph: createDefaultTerrainGraph(),
+
   // Water
   waterLevel: 0.0,
   
@@ -66,6 +148,24 @@ const defaultParams = {
   
   // Water parameters
   enableWater: false,
+  // Lakes in closed depressions, each at its own level
+  enableLakes: false,
+  lakeFillRatio: 1,
+  lakeMinDepth: 0.01,
+  lakeMinArea: 0.0005,
+  // Rivers traced from flow accumulation
+  enableRivers: false,
+  riverThreshold: 0.002,
+  riverWidth: 1,
+  riverMaxWidth: 6,
+  riverDepth: 0.02,
+  // Climate and biomes (texture the terrain and mask biome scatter layers)
+  enableBiomes: false,
+  biomeLatitudeGradient: 0.3,
+  biomeLapseRate: 0.7,
+  biomeWindDirection: 270,
+  biomeRainShadow: 0.6,
+  biomeWaterRange: 0.15,
   
   // Texture resolution
   textureResolution: 1.0,
@@ -86,6 +186,9 @@ const defaultParams = {
   roughnessMultiplier: 1.0,
   albedoIntensity: 0.6,
 
+  // Erosion seed; the same heightmap, erosion params and seed reproduce the same result
+  erosionSeed: 1,
+
   // Empty scatter layers by default
   scatterLayers: []
 };
@@ -127,11 +230,15 @@ function coerceNumericParams(params) {
   const numericKeys = [
     'size', 'meshResolution',
     'amplitude', 'octaves', 'lacunarity', 'gain',
+    'worleyPoints', 'worleyWeight', 'chunkResolution', 'chunkViewDistance',
     'ridgedOffset', 'warpStrength', 'warpFrequency', 'warpIterations',
-    'waterLevel',
+    'waterLevel', 'lakeFillRatio', 'lakeMinDepth', 'lakeMinArea',
+    'riverThreshold', 'riverWidth', 'riverMaxWidth', 'riverDepth',
+    'biomeLatitudeGradient', 'biomeLapseRate', 'biomeWindDirection', 'biomeRainShadow', 'biomeWaterRange',
     'smoothIterations', 'smoothFactor',
     'heightScale', 'rockHeight', 'terrainBlendSharpness', 'moistureScale', 'moistureNoiseScale',
-    'textureResolution', 'gravelIntensity', 'gravelScale', 'sedimentCurvatureIntensity'
+    'textureResolution', 'gravelIntensity', 'gravelScale', 'sedimentCurvatureIntensity',
+    'erosionSeed'
   ];
   const out = { ...params };
   for (const key of numericKeys) {
@@ -173,22 +280,199 @@ function App() {
   const canvasRef = useRef(null);
   // Erosion state and refs
   const [erosionRunning, setErosionRunning] = useState(false);
+  const [erosionPaused, setErosionPaused] = useState(false);
+  const erosionPausedRef = useRef(false);
+  // Message of the last erosion run that failed
+  const [erosionError, setErosionError] = useState(null);
   const [erosionProgress, setErosionProgress] = useState(undefined);
   const [terrainRunning, setTerrainRunning] = useState(false);
   const [terrainProgress, setTerrainProgress] = useState(undefined);
+  // Last terrain generation failure (e.g. a malformed node graph), shown above the view
+  const [terrainError, setTerrainError] = useState(null);
+  // The single live erosion worker, and the worker the batch loop is currently driving
   const erosionWorkerRef = useRef(null);
+  const erosionLoopRef = useRef(null);
   const terrainWorkerRef = useRef(null);
-  const heightMapRef = useRef({ hm: null, width: 0, height: 0, minH: 0, maxH: 0, original: null });
+  const heightMapRef = useRef({ hm: null, width: 0, height: 0, minH: 0, maxH: 0, original: null, tileable: false });
   const [heightmapGenerated, setHeightmapGenerated] = useState(false);
+  // Erosion output masks from the last step, and which one the 2D view overlays
+  const erosionMasksRef = useRef(null);
+  const [hasErosionMasks, setHasErosionMasks] = useState(false);
+  const [erosionOverlay, setErosionOverlay] = useState('none');
+  const erosionOverlayRef = useRef(erosionOverlay);
+  erosionOverlayRef.current = erosionOverlay;
+  // Erosion snapshot timeline: the snapshot on display, and whether Start continues from a branch
+  const [erosionSnapshots, setErosionSnapshots] = useState([]);
+  const [erosionSnapshotIndex, setErosionSnapshotIndex] = useState(-1);
+  const [erosionHistoryBytes, setErosionHistoryBytes] = useState(0);
+  // Worker compute time of the current run in ms, to compare worker counts
+  const [erosionComputeTime, setErosionComputeTime] = useState(0);
+  const erosionBranchedRef = useRef(false);
+  const [erosionCompare, setErosionCompare] = useState(false);
+  const erosionCompareRef = useRef(erosionCompare);
+  erosionCompareRef.current = erosionCompare;
+  // Erosion region: height band and slope range on the base terrain, times a mask painted on the
+  // 2D view (1 = erodible, 0 = protected). The band/slope part is cached per terrain and settings.
+  const erosionPaintMaskRef = useRef(null);
+  const [erosionPaintMode, setErosionPaintMode] = useState('off');
+  const erosionPaintModeRef = useRef(erosionPaintMode);
+  erosionPaintModeRef.current = erosionPaintMode;
+  const erosionPaintingRef = useRef(false);
+  const erosionRegionCacheRef = useRef({ key: null, source: null, mask: null });
+  const erosionRegionSettings = useMemo(() => ({
+    minHeight: params.erosionMinHeight ?? 0,
+    maxHeight: params.erosionMaxHeight ?? 1,
+    minSlope: params.erosionMinSlope ?? 0,
+    maxSlope: params.erosionMaxSlope ?? 90,
+  }), [params.erosionMinHeight, params.erosionMaxHeight, params.erosionMinSlope, params.erosionMaxSlope]);
+  const buildErosionRegion = useCallback(() => {
+    const { original, width, height } = heightMapRef.current;
+    if (!original || !original.length) return null;
+    const cache = erosionRegionCacheRef.current;
+    const key = JSON.stringify([erosionRegionSettings, params.size]);
+    if (cache.key !== key || cache.source !== original) {
+      const worldHeight = params.size * (height - 1) / (width - 1);
+      erosionRegionCacheRef.current = {
+        key,
+        source: original,
+        mask: computeRegionMask(original, width, height, params.size, worldHeight, erosionRegionSettings)
+      };
+    }
+    const region = new Float32Array(erosionRegionCacheRef.current.mask);
+    const painted = erosionPaintMaskRef.current;
+    if (painted && painted.length === region.length) {
+      for (let i = 0; i < region.length; i++) region[i] *= painted[i];
+    }
+    return region;
+  }, [erosionRegionSettings, params.size]);
+  // Drainage basins of the current heightmap for the hydrology overlay, recomputed when the
+  // terrain or the basin settings change
+  const [hydrologyOverlay, setHydrologyOverlay] = useState('none');
+  const hydrologyOverlayRef = useRef(hydrologyOverlay);
+  hydrologyOverlayRef.current = hydrologyOverlay;
+  const basinsCacheRef = useRef({ key: null, source: null, result: null });
+  const basinSettings = useMemo(() => ({
+    minArea: params.basinMinArea ?? 0.001,
+    conditioning: params.basinsDrainToEdge ? FLOW_CONDITIONING.FILL : FLOW_CONDITIONING.NONE,
+  }), [params.basinMinArea, params.basinsDrainToEdge]);
+  const getBasins = useCallback(() => {
+    const { hm, width, height } = heightMapRef.current;
+    if (!hm) return null;
+    const cache = basinsCacheRef.current;
+    const key = JSON.stringify([basinSettings, params.size]);
+    if (cache.key !== key || cache.source !== hm) {
+      basinsCacheRef.current = {
+        key,
+        source: hm,
+        result: computeBasins(hm, width, height, params.size, params.size * (height - 1) / (width - 1), {
+          conditioning: basinSettings.conditioning,
+          minArea: basinSettings.minArea * width * height
+        })
+      };
+    }
+    return basinsCacheRef.current.result;
+  }, [basinSettings, params.size]);
+  // Rivers of the current heightmap, recomputed when the terrain or the river settings change
+  const riversCacheRef = useRef({ key: null, source: null, result: null });
+  const riverSettings = useMemo(() => ({
+    threshold: params.riverThreshold ?? 0.002,
+    baseWidth: params.riverWidth ?? 1,
+    maxWidth: params.riverMaxWidth ?? 6,
+  }), [params.riverThreshold, params.riverWidth, params.riverMaxWidth]);
+  const getRiverNetwork = useCallback(() => {
+    const { hm, width, height } = heightMapRef.current;
+    if (!hm) return null;
+    const cache = riversCacheRef.current;
+    const key = JSON.stringify(riverSettings);
+    if (cache.key !== key || cache.source !== hm) {
+      riversCacheRef.current = {
+        key,
+        source: hm,
+        result: extractRivers(hm, width, height, { ...riverSettings, threshold: Math.max(2, riverSettings.threshold * width * height) })
+      };
+    }
+    return riversCacheRef.current.result;
+  }, [riverSettings]);
+  // Redraws the 2D view from the current heightmap, masks, overlays, region and compare mode
+  const drawView = useCallback(() => {
+    const map = heightMapRef.current;
+    const basins = hydrologyOverlayRef.current === 'basins' ? getBasins() : null;
+    const network = hydrologyOverlayRef.current === 'rivers' ? getRiverNetwork() : null;
+    drawHeightmap(canvasRef.current, map, {
+      masks: erosionMasksRef.current,
+      overlay: erosionOverlayRef.current,
+      basins: basins && basins.labels,
+      rivers: network && network.rivers,
+      region: erosionPaintModeRef.current !== 'off' ? buildErosionRegion() : null,
+      before: erosionCompareRef.current ? map.original : null
+    });
+  }, [buildErosionRegion, getBasins, getRiverNetwork]);
+  // Streams the current heightmap into the 3D mesh, at most once per frame so erosion batches
+  // arriving faster than the display never queue up
+  const threeGeometryRef = useRef(null);
+  const meshUpdateFrameRef = useRef(0);
+  const updateMeshHeights = useCallback(() => {
+    if (meshUpdateFrameRef.current) return;
+    meshUpdateFrameRef.current = requestAnimationFrame(() => {
+      meshUpdateFrameRef.current = 0;
+      const geometry = threeGeometryRef.current;
+      const { hm, width, height } = heightMapRef.current;
+      if (geometry && hm) updateTerrainGeometry(geometry, hm, width, height);
+    });
+  }, []);
+  useEffect(() => () => cancelAnimationFrame(meshUpdateFrameRef.current), []);
+  // Terminates the erosion worker; its droplets and snapshots are gone
+  const stopErosionWorker = useCallback(() => {
+    if (erosionWorkerRef.current) erosionWorkerRef.current.terminate();
+    erosionWorkerRef.current = null;
+    erosionLoopRef.current = null;
+    erosionPausedRef.current = false;
+    setErosionPaused(false);
+    setErosionRunning(false);
+  }, []);
+  useEffect(() => stopErosionWorker, [stopErosionWorker]);
+  // Cancel keeps the terrain from the last step; the snapshots went with the worker
+  const handleCancelErosion = useCallback(() => {
+    stopErosionWorker();
+    setErosionSnapshots([]);
+    setErosionSnapshotIndex(-1);
+    setErosionHistoryBytes(0);
+    erosionBranchedRef.current = false;
+    setErosionProgress(undefined);
+  }, [stopErosionWorker]);
+  // Drops the run, its masks and snapshots when the base terrain is replaced or restored
+  const clearErosionResults = useCallback(() => {
+    handleCancelErosion();
+    erosionMasksRef.current = null;
+    setHasErosionMasks(false);
+  }, [handleCancelErosion]);
+  // Shows an eroded heightmap and its masks (from a step or a snapshot)
+  const showErosionState = useCallback((heightMap, masks) => {
+    let newMin = Infinity, newMax = -Infinity;
+    for (const v of heightMap) { if (v < newMin) newMin = v; if (v > newMax) newMax = v; }
+    heightMapRef.current.hm = heightMap;
+    heightMapRef.current.minH = newMin;
+    heightMapRef.current.maxH = newMax;
+    erosionMasksRef.current = masks;
+    setHasErosionMasks(true);
+    drawView();
+    updateMeshHeights();
+  }, [drawView, updateMeshHeights]);
   // 3D refresh logic: track when params change during 3D view
   const [needsRefresh, setNeedsRefresh] = useState(false);
   const lastParamsStr = useRef(JSON.stringify(params));
   // Handler to generate and render a 2D heightmap
   const handleGenerateHeightmap = useCallback(() => {
-    const noise2D = createImprovedNoise2D(params.seed);
     // Use meshResolution directly for 2D map
     const resolution = params.meshResolution || 512;
-    const { geometry } = generateTerrain({ ...params, frequency: 0.15, meshResolution: resolution }, noise2D);
+    let geometry;
+    try {
+      ({ geometry } = generateTerrain({ ...params, frequency: 0.15, meshResolution: resolution }));
+    } catch (error) {
+      setTerrainError(error.message);
+      return;
+    }
+    setTerrainError(null);
     const positions = geometry.attributes.position.array;
     const width = resolution + 1;
     const height = resolution + 1;
@@ -203,57 +487,47 @@ function App() {
     }
     // Store raw heightmap and stats for erosion
     const original = new Float32Array(hm);
-    heightMapRef.current = { hm, width, height, minH, maxH, original };
-    // Draw to canvas
-    const canvas = canvasRef.current;
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
-    const img = ctx.createImageData(width, height);
-    for (let i = 0; i < width * height; i++) {
-      const normalized = Math.floor(((hm[i] - minH) / (maxH - minH || 1)) * 255);
-      img.data[4 * i] = normalized;
-      img.data[4 * i + 1] = normalized;
-      img.data[4 * i + 2] = normalized;
-      img.data[4 * i + 3] = 255;
-    }
-    ctx.putImageData(img, 0, 0);
+    heightMapRef.current = { hm, width, height, minH, maxH, original, tileable: isTileableTerrain(params) };
+    clearErosionResults();
+    drawView();
     setHeightmapGenerated(true);
-  }, [params, setHeightmapGenerated]);
+  }, [params, setHeightmapGenerated, clearErosionResults, drawView]);
   
-  // Handler to export current heightmap as PNG
-  const handleExportHeightmap = useCallback(() => {
-    const { hm, width, height, minH, maxH } = heightMapRef.current;
-    if (!hm) return;
-    const exportCanvas = document.createElement('canvas');
-    exportCanvas.width = width;
-    exportCanvas.height = height;
-    const ctx2 = exportCanvas.getContext('2d');
-    const imgData = ctx2.createImageData(width, height);
-    for (let i = 0; i < width * height; i++) {
-      const norm = Math.floor(((hm[i] - minH) / (maxH - minH || 1)) * 255);
-      imgData.data[4 * i] = norm;
-      imgData.data[4 * i + 1] = norm;
-      imgData.data[4 * i + 2] = norm;
-      imgData.data[4 * i + 3] = 255;
+  // Handler to load an external heightmap as the base terrain
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const handleImportHeightmap = useCallback(async (file, options) => {
+    const { hm, width, height, minH, maxH, metadata } = await importHeightmap(file, options);
+    const tileable = Boolean(metadata && metadata.tileable);
+    heightMapRef.current = { hm, width, height, minH, maxH, original: new Float32Array(hm), tileable };
+    // A sidecar restores the world extent the map was exported with
+    if (metadata && metadata.worldWidth > 0) {
+      setParams(prev => ({ ...prev, size: metadata.worldWidth, tileable }));
     }
-    ctx2.putImageData(imgData, 0, 0);
-    exportCanvas.toBlob(blob => {
-      if (!blob) return;
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `heightmap_${width}x${height}.png`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-    }, 'image/png');
-  }, []);
+    clearErosionResults();
+    drawView();
+    setHeightmapGenerated(true);
+  }, [setHeightmapGenerated, setParams, clearErosionResults, drawView]);
+
+  // Handler to export the current heightmap in the chosen format (plus metadata sidecar)
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  const handleExportHeightmap = useCallback(async options => {
+    const { hm, width, height, tileable } = heightMapRef.current;
+    if (!hm) return;
+    const files = await exportHeightmap(hm, width, height, {
+      ...options,
+      tileable,
+      worldWidth: params.size,
+      worldHeight: params.size * (height - 1) / (width - 1),
+    });
+    files.forEach(({ name, blob }) => downloadBlob(blob, name));
+  }, [params.size]);
 
   // Erosion simulation parameters and handlers
   const erosionDroplets = params.erosionDroplets || 100000;
   const erosionBatchSize = params.erosionBatchSize || 1000;
+  const erosionSnapshotCount = params.erosionSnapshotCount || 20;
+  // More than one worker splits droplet runs over tiles eroded in parallel
+  const erosionWorkers = params.erosionWorkers || 1;
   const erosionParams = {
     inertia: params.erosionInertia ?? 0.05,
     friction: params.erosionFriction ?? 0.02,
@@ -263,74 +537,188 @@ function App() {
     minVolume: params.erosionMinVolume ?? 0.01,
     initialVolume: params.erosionInitialVolume ?? 1.0,
     initialSpeed: params.erosionInitialSpeed ?? 1.0,
-    maxDropletLifetime: params.erosionMaxDropletLifetime ?? 30
+    maxDropletLifetime: params.erosionMaxDropletLifetime ?? 30,
+    seed: params.erosionSeed ?? 1,
+    slopeMapFactor: params.erosionSlopeMapFactor ?? 0.001,
+    flowWeight: params.erosionFlowWeight ?? 0,
+    curvatureWeight: params.erosionCurvatureWeight ?? 0,
+    erosionRadius: params.erosionRadius ?? 0,
+    erosionType: params.erosionType ?? 'hydraulic',
+    hydraulicModel: params.erosionHydraulicModel ?? 'droplet',
+    pipeIterations: params.erosionPipeIterations ?? 300,
+    pipeRainRate: params.erosionPipeRainRate ?? 0.0005,
+    pipeCapacity: params.erosionPipeCapacity ?? 0.01,
+    pipeDissolveRate: params.erosionPipeDissolveRate ?? 0.3,
+    pipeDepositRate: params.erosionPipeDepositRate ?? 0.3,
+    pipeEvaporationRate: params.erosionPipeEvaporationRate ?? 0.01,
+    talusAngle: params.erosionTalusAngle ?? 35,
+    thermalIterations: params.erosionThermalIterations ?? 50,
+    thermalTransferRate: params.erosionThermalTransferRate ?? 0.5,
+    size: params.size
   };
+  // A failed run is cancelled like Cancel, keeping the terrain from its last step
+  const failErosion = useCallback((worker, error) => {
+    if (erosionWorkerRef.current !== worker) return;
+    handleCancelErosion();
+    setErosionError(error.message);
+  }, [handleCancelErosion]);
+  // Steps the worker until the run finishes or is paused. Runs independently of the 2D/3D view,
+  // and never more than once per worker so replies cannot be handed to the wrong request.
+  const runErosionLoop = useCallback(worker => {
+    if (erosionLoopRef.current === worker) return;
+    erosionLoopRef.current = worker;
+    function runBatch() {
+      worker.step(erosionBatchSize).then(({ alive, progress, elapsed, heightMap, masks, snapshot, snapshots, historyBytes }) => {
+        if (erosionWorkerRef.current !== worker) return;
+        showErosionState(heightMap, masks);
+        setErosionProgress(progress);
+        setErosionComputeTime(prev => prev + elapsed);
+        if (snapshot) {
+          setErosionSnapshots(snapshots);
+          setErosionSnapshotIndex(snapshot.index);
+          setErosionHistoryBytes(historyBytes);
+        }
+        if (alive && !erosionPausedRef.current) {
+          setTimeout(runBatch, 0);
+          return;
+        }
+        erosionLoopRef.current = null;
+        if (!alive) {
+          erosionPausedRef.current = false;
+          setErosionPaused(false);
+          setErosionRunning(false);
+        }
+      }).catch(error => failErosion(worker, error));
+    }
+    runBatch();
+  }, [erosionBatchSize, showErosionState, failErosion]);
   const handleStartErosion = useCallback(() => {
     const { width, height, original } = heightMapRef.current;
     if (!original) return;
-    const worker = new ErosionWorkerService();
+    // After a branch the worker continues from the chosen snapshot; otherwise start over from the base terrain
+    const branched = erosionBranchedRef.current && erosionWorkerRef.current;
+    erosionBranchedRef.current = false;
+    if (!branched) stopErosionWorker();
+    const worker = branched ? erosionWorkerRef.current : new ErosionWorkerService();
     erosionWorkerRef.current = worker;
+    erosionPausedRef.current = false;
+    setErosionPaused(false);
     setErosionRunning(true);
     setErosionProgress(0);
-    worker.init(width, height, original, erosionParams, erosionDroplets).then(() => {
-    function runBatch() {
-        worker.step(erosionBatchSize).then(({ alive, heightMap }) => {
-          let newMin = Infinity, newMax = -Infinity;
-          for (const v of heightMap) { if (v < newMin) newMin = v; if (v > newMax) newMax = v; }
-          heightMapRef.current.hm = heightMap;
-          heightMapRef.current.minH = newMin;
-          heightMapRef.current.maxH = newMax;
-          const ctx = canvasRef.current.getContext('2d');
-          const img2 = ctx.createImageData(width, height);
-          for (let i = 0; i < width * height; i++) {
-            const norm = Math.floor(((heightMap[i] - newMin) / (newMax - newMin || 1)) * 255);
-            img2.data[4 * i] = norm;
-            img2.data[4 * i + 1] = norm;
-            img2.data[4 * i + 2] = norm;
-            img2.data[4 * i + 3] = 255;
-          }
-          ctx.putImageData(img2, 0, 0);
-          setErosionProgress((erosionDroplets - alive) / erosionDroplets);
-          if (alive) setTimeout(runBatch, 0);
-          else setErosionRunning(false);
-        });
-    }
-    runBatch();
-    });
-  }, [erosionBatchSize, erosionDroplets, erosionParams]);
-  const handleStopErosion = useCallback(() => {
-    if (erosionWorkerRef.current) erosionWorkerRef.current.pause();
+    setErosionComputeTime(0);
+    setErosionError(null);
+    const erosionMask = buildErosionRegion();
+    const ready = branched
+      ? worker.restart(erosionParams, erosionDroplets, { erosionMask, workers: erosionWorkers })
+      : worker.init(width, height, new Float32Array(original), erosionParams, erosionDroplets, { snapshotCount: erosionSnapshotCount, erosionMask, workers: erosionWorkers });
+    ready.then(({ snapshots, historyBytes }) => {
+      if (erosionWorkerRef.current !== worker) return;
+      setErosionSnapshots(snapshots);
+      setErosionSnapshotIndex(snapshots.length - 1);
+      setErosionHistoryBytes(historyBytes);
+      runErosionLoop(worker);
+    }).catch(error => failErosion(worker, error));
+  }, [erosionDroplets, erosionParams, erosionSnapshotCount, erosionWorkers, buildErosionRegion, runErosionLoop, stopErosionWorker, failErosion]);
+  // Pause finishes the batch in flight; Resume carries on with the same droplets
+  const handlePauseErosion = useCallback(() => {
+    if (!erosionWorkerRef.current) return;
+    erosionPausedRef.current = true;
+    setErosionPaused(true);
     setErosionRunning(false);
   }, []);
+  const handleResumeErosion = useCallback(() => {
+    const worker = erosionWorkerRef.current;
+    if (!worker) return;
+    erosionPausedRef.current = false;
+    setErosionPaused(false);
+    setErosionRunning(true);
+    runErosionLoop(worker);
+  }, [runErosionLoop]);
   const handleResetErosion = useCallback(() => {
     const orig = heightMapRef.current.original;
     if (!orig) return;
-    if (erosionWorkerRef.current) {
-      erosionWorkerRef.current.reset(orig).then(() => {
-        const { width, height } = heightMapRef.current;
-        let minH2 = Infinity, maxH2 = -Infinity;
-        for (const v of orig) { if (v < minH2) minH2 = v; if (v > maxH2) maxH2 = v; }
-        heightMapRef.current.hm = new Float32Array(orig);
-        heightMapRef.current.minH = minH2;
-        heightMapRef.current.maxH = maxH2;
-        const ctx = canvasRef.current.getContext('2d');
-        const img3 = ctx.createImageData(width, height);
-        for (let i = 0; i < width * height; i++) {
-          const norm = Math.floor(((orig[i] - minH2) / (maxH2 - minH2 || 1)) * 255);
-          img3.data[4 * i] = norm;
-          img3.data[4 * i + 1] = norm;
-          img3.data[4 * i + 2] = norm;
-          img3.data[4 * i + 3] = 255;
-        }
-        ctx.putImageData(img3, 0, 0);
-        setErosionRunning(false);
-        setErosionProgress(undefined);
-      });
+    clearErosionResults();
+    let minH2 = Infinity, maxH2 = -Infinity;
+    for (const v of orig) { if (v < minH2) minH2 = v; if (v > maxH2) maxH2 = v; }
+    heightMapRef.current.hm = new Float32Array(orig);
+    heightMapRef.current.minH = minH2;
+    heightMapRef.current.maxH = maxH2;
+    drawView();
+    updateMeshHeights();
+  }, [clearErosionResults, drawView, updateMeshHeights]);
+  // Paint the erosion region on the 2D view while a paint mode is active
+  const paintErosionRegion = useCallback(e => {
+    const canvas = canvasRef.current;
+    const { width, height } = heightMapRef.current;
+    if (!canvas || !width) return;
+    if (!erosionPaintMaskRef.current || erosionPaintMaskRef.current.length !== width * height) {
+      erosionPaintMaskRef.current = new Float32Array(width * height).fill(1);
     }
-  }, []);
+    const rect = canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width * (width - 1);
+    const y = (e.clientY - rect.top) / rect.height * (height - 1);
+    const radius = (params.erosionPaintRadius ?? 0.05) * width;
+    paintRegionMask(erosionPaintMaskRef.current, width, height, x, y, radius, erosionPaintMode === 'protect');
+    drawView();
+  }, [params.erosionPaintRadius, erosionPaintMode, drawView]);
+  const isPaintingRegion = erosionPaintMode === 'protect' || erosionPaintMode === 'erode';
+  // Statistics of the basin under the cursor while the basin overlay is shown
+  const [hoveredBasin, setHoveredBasin] = useState(null);
+  const handleBasinHover = useCallback(e => {
+    const canvas = canvasRef.current;
+    const { width, height } = heightMapRef.current;
+    const basins = hydrologyOverlay === 'basins' && canvas && width ? getBasins() : null;
+    if (!basins) return;
+    const rect = canvas.getBoundingClientRect();
+    const x = Math.round((e.clientX - rect.left) / rect.width * (width - 1));
+    const y = Math.round((e.clientY - rect.top) / rect.height * (height - 1));
+    const basin = x >= 0 && y >= 0 && x < width && y < height ? basins.basins[basins.labels[y * width + x]] : null;
+    setHoveredBasin(prev => (prev === basin ? prev : basin));
+  }, [hydrologyOverlay, getBasins]);
+  const handleClearErosionPaint = useCallback(() => {
+    erosionPaintMaskRef.current = null;
+    drawView();
+  }, [drawView]);
+  // Show a stored snapshot; the worker keeps its state until the snapshot is branched from
+  const handleScrubErosion = useCallback(index => {
+    const worker = erosionWorkerRef.current;
+    if (!worker) return;
+    setErosionSnapshotIndex(index);
+    worker.scrub(index)
+      .then(({ heightMap, masks }) => showErosionState(heightMap, masks))
+      .catch(error => {
+        if (!error.superseded) failErosion(worker, error);
+      });
+  }, [showErosionState, failErosion]);
+  // Drop the snapshots after the one on display so the next Start continues from it
+  const handleBranchErosion = useCallback(() => {
+    const worker = erosionWorkerRef.current;
+    if (!worker || erosionSnapshotIndex < 0) return;
+    worker.branch(erosionSnapshotIndex).then(({ snapshots, historyBytes }) => {
+      // The paused run's droplets no longer match the branched terrain, so only Start continues
+      erosionPausedRef.current = false;
+      setErosionPaused(false);
+      erosionBranchedRef.current = true;
+      setErosionSnapshots(snapshots);
+      setErosionHistoryBytes(historyBytes);
+    }).catch(error => failErosion(worker, error));
+  }, [erosionSnapshotIndex, failErosion]);
+
+  // Export the overlaid erosion mask as a 16-bit grayscale PNG
+  const handleExportErosionMask = useCallback(async () => {
+    const masks = erosionMasksRef.current;
+    const { width, height } = heightMapRef.current;
+    if (!masks || erosionOverlay === 'none') return;
+    const { name, blob } = await exportErosionMask(masks, erosionOverlay, width, height);
+    downloadBlob(blob, name);
+  }, [erosionOverlay]);
 
   // 2D/3D view toggle and zoom/pan setup
   const [show3DView, setShow3DView] = useState(false);
+  // Redraw the 2D view when the overlay, region or compare mode changes, or the canvas remounts after the 3D view
+  useEffect(() => {
+    if (!show3DView) drawView();
+  }, [erosionOverlay, hydrologyOverlay, erosionCompare, erosionPaintMode, show3DView, drawView]);
   const [zoom, setZoom] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
   const panStartRef = useRef({ x: 0, y: 0 });
@@ -341,13 +729,47 @@ function App() {
   const handleMouseUp = useCallback(() => { isPanningRef.current = false; }, []);
   // 3D view on-demand data
   const [threeData, setThreeData] = useState(null);
+  threeGeometryRef.current = threeData ? threeData.geometry : null;
+  // River ribbons over the current heightmap, floating half the carve depth above the beds
+  const createRivers = useCallback(() => {
+    const { hm, width, height } = heightMapRef.current;
+    const network = getRiverNetwork();
+    if (!network) return null;
+    return createRiverMesh(
+      network.rivers, hm, width, height, params.size, params.size * (height - 1) / (width - 1),
+      createWaterMaterial({ waterColor: '#00ffff' }),
+      { surfaceOffset: (params.riverDepth ?? 0.02) / 2 }
+    );
+  }, [getRiverNetwork, params.size, params.riverDepth]);
+  // Carves the river beds into the current heightmap (2D and 3D views follow)
+  const handleCarveRivers = useCallback(() => {
+    const { hm, width, height } = heightMapRef.current;
+    const network = getRiverNetwork();
+    if (!network) return;
+    const carved = carveRivers(hm, width, height, network, { depth: params.riverDepth ?? 0.02 });
+    let minH = Infinity, maxH = -Infinity;
+    for (const v of carved) { if (v < minH) minH = v; if (v > maxH) maxH = v; }
+    Object.assign(heightMapRef.current, { hm: carved, minH, maxH });
+    drawView();
+    updateMeshHeights();
+    if (params.enableRivers) setThreeData(td => td && { ...td, rivers: createRivers() });
+  }, [getRiverNetwork, createRivers, params.riverDepth, params.enableRivers, drawView, updateMeshHeights]);
+  const handleExportRivers = useCallback(() => {
+    const { hm, width, height } = heightMapRef.current;
+    const network = getRiverNetwork();
+    if (!network) return;
+    const { name, blob } = exportRiversGeoJSON(network.rivers, hm, width, height, params.size, params.size * (height - 1) / (width - 1));
+    downloadBlob(blob, name);
+  }, [getRiverNetwork, params.size]);
   const handleGenerate3D = useCallback(() => {
     const terrainWorker = new TerrainWorkerService();
     terrainWorkerRef.current = terrainWorker;
     setTerrainRunning(true);
     setTerrainProgress(0);
-    terrainWorker.generate(params, p => setTerrainProgress(p), heightMapRef.current.hm).then(data => {
-      const { geometryData, scatterData } = data;
+    const { hm, width: mapWidth, height: mapHeight } = heightMapRef.current;
+    setTerrainError(null);
+    terrainWorker.generate(params, p => setTerrainProgress(p), hm, mapWidth, mapHeight).then(data => {
+      const { geometryData, scatterData, biomes } = data;
       // Reconstruct geometry
       const geom = new THREE.BufferGeometry();
       geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(geometryData.positions), 3));
@@ -359,9 +781,29 @@ function App() {
       const waterPlane = params.enableWater
         ? createWaterPlane( Math.max(params.size, params.size), { waterLevel: params.waterLevel, waterColor: '#00ffff', useLOD: false })
         : null;
-      setThreeData({ geometry: geom, material: null, water: waterPlane, scatterData });
+      // Lakes fill the closed depressions of the heightmap the mesh was built from
+      const lakes = params.enableLakes && hm
+        ? createLakeMeshes(
+          hm, mapWidth, mapHeight, params.size, params.size * (mapHeight - 1) / (mapWidth - 1),
+          computeLakes(hm, mapWidth, mapHeight, {
+            fillRatio: params.lakeFillRatio,
+            minDepth: params.lakeMinDepth,
+            minArea: params.lakeMinArea * mapWidth * mapHeight
+          }),
+          createWaterMaterial({ waterColor: '#00ffff' })
+        )
+        : null;
+      const rivers = params.enableRivers && hm ? createRivers() : null;
+      setThreeData({ geometry: geom, material: null, water: waterPlane, lakes, rivers, scatterData });
       // Create material on main thread
-      createTexturedTerrainMaterial({
+      // Erosion masks drive sediment and channel colouring when they match the mesh grid
+      const masks = erosionMasksRef.current;
+      const erosionMap = masks && masks.eroded.length === mapWidth * mapHeight
+        ? createErosionMaskTexture(masks, mapWidth, mapHeight)
+        : null;
+      // Biomes replace the shader's own moisture estimate and colour the ground
+      const biomeMap = params.enableBiomes && biomes ? createBiomeTexture(biomes, biomes.width, biomes.height) : null;
+      return createTexturedTerrainMaterial({
         heightScale: params.heightScale, rockHeight: params.rockHeight,
         moistureScale: params.moistureScale, moistureNoiseScale: params.moistureNoiseScale,
         terrainBlendSharpness: params.terrainBlendSharpness, textureResolution: params.textureResolution,
@@ -371,15 +813,43 @@ function App() {
         roughnessMapUrl: params.roughnessMapUrl, displacementMapUrl: params.displacementMapUrl,
         textureScale: params.textureScale, normalMapStrength: params.normalMapStrength,
         displacementScale: params.displacementScale, roughnessMultiplier: params.roughnessMultiplier,
-        albedoIntensity: params.albedoIntensity
+        albedoIntensity: params.albedoIntensity,
+        seed: params.seed,
+        erosionMap,
+        biomeMap
       }).then(mat => {
         setThreeData(td => ({ ...td, material: mat }));
         setTerrainRunning(false);
         setTerrainProgress(undefined);
         setShow3DView(true);
       });
+    }).catch(error => {
+      setTerrainRunning(false);
+      setTerrainProgress(undefined);
+      setTerrainError(error.message);
     });
-  }, [params]);
+  }, [params, createRivers]);
+
+  // Mesh export of the current 3D terrain
+  const [showMeshExportDialog, setShowMeshExportDialog] = useState(false);
+  const handleExportMesh = useCallback(async options => {
+    if (!threeData) return;
+    const { format, includeNormals, includeUVs, bakeColors, baseThickness, includeWater, includeScatter } = options;
+    if (bakeColors && !threeData.material) throw new Error('Terrain material is still loading; try again in a moment.');
+    const { name, blob } = await exportTerrainMesh(threeData.geometry, {
+      format,
+      worldWidth: params.size,
+      includeNormals,
+      includeUVs,
+      baseThickness,
+      vertexColors: bakeColors ? bakeTerrainVertexColors(threeData.geometry, threeData.material) : null,
+      water: includeWater ? threeData.water : null,
+      lakes: includeWater ? threeData.lakes : null,
+      rivers: includeWater ? threeData.rivers : null,
+      scatterData: includeScatter ? threeData.scatterData : [],
+    });
+    downloadBlob(blob, name);
+  }, [threeData, params.size]);
 
   useEffect(() => {
     const paramStr = JSON.stringify(params);
@@ -398,6 +868,15 @@ function App() {
 
   return (
     <div style={{ display: 'flex', height: '100vh', width: '100vw', backgroundColor: '#1e1e1e' }}>
+      {showImportDialog && (
+        <HeightmapImportDialog onImport={handleImportHeightmap} onClose={() => setShowImportDialog(false)} />
+      )}
+      {showExportDialog && (
+        <HeightmapExportDialog onExport={handleExportHeightmap} onClose={() => setShowExportDialog(false)} />
+      )}
+      {showMeshExportDialog && (
+        <MeshExportDialog onExport={handleExportMesh} onClose={() => setShowMeshExportDialog(false)} />
+      )}
       <SettingsPanel 
         params={{
           ...params,
@@ -405,9 +884,26 @@ function App() {
           erosionProgress,
           terrainRunning,
           terrainProgress,
+          erosionPaused,
+          erosionComputeTime,
+          erosionError,
           onStartErosion: !erosionRunning ? handleStartErosion : undefined,
-          onStopErosion: erosionRunning ? handleStopErosion : undefined,
-          onResetErosion: handleResetErosion
+          onPauseErosion: erosionRunning ? handlePauseErosion : undefined,
+          onResumeErosion: erosionPaused ? handleResumeErosion : undefined,
+          onCancelErosion: erosionRunning || erosionPaused ? handleCancelErosion : undefined,
+          onResetErosion: handleResetErosion,
+          erosionSnapshots,
+          erosionSnapshotIndex,
+          erosionHistoryBytes,
+          erosionCompare,
+          onScrubErosion: !erosionRunning ? handleScrubErosion : undefined,
+          onBranchErosion: !erosionRunning ? handleBranchErosion : undefined,
+          onToggleErosionCompare: setErosionCompare,
+          erosionPaintMode,
+          onErosionPaintModeChange: setErosionPaintMode,
+          onClearErosionPaint: handleClearErosionPaint,
+          onCarveRivers: heightmapGenerated ? handleCarveRivers : undefined,
+          onExportRivers: heightmapGenerated ? handleExportRivers : undefined
         }}
         onParamChange={(key, value) => setParams(prev => ({ ...prev, [key]: value }))}
         onReset={() => setParams(defaultParams)}
@@ -419,6 +915,9 @@ function App() {
             <div style={{ width: `${combinedProgress * 100}%`, height: '100%', background: '#6ec1e4', transition: 'width 0.2s' }} />
           )}
         </div>
+        {terrainError && (
+          <div style={{ color: '#e46e6e', marginBottom: '10px' }}>Terrain generation failed: {terrainError}</div>
+        )}
         {/* View controls */}
         <div style={{ marginBottom: '10px', display: 'flex', gap: '10px' }}>
           {!show3DView && (
@@ -451,9 +950,39 @@ function App() {
               Generate Heightmap
             </button>
           )}
+          {!show3DView && (
+            <button 
+              onClick={() => setShowImportDialog(true)}
+              style={{ 
+                padding: '10px 20px',
+                background: '#6ec1e4',
+                border: 'none',
+                borderRadius: '8px',
+                color: 'white',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                fontSize: '14px',
+                ':hover': {
+                  background: '#5aa8cc',
+                  transform: 'translateY(-1px)'
+                },
+                ':active': {
+                  transform: 'translateY(0)'
+                }
+              }}
+            >
+              <span>📂</span>
+              Import Heightmap
+            </button>
+          )}
           {!show3DView && heightmapGenerated && (
             <button 
-              onClick={handleExportHeightmap}
+              onClick={() => setShowExportDialog(true)}
               style={{ 
                 padding: '10px 20px',
                 background: '#6ec1e4',
@@ -481,6 +1010,86 @@ function App() {
               Export Heightmap
             </button>
           )}
+          {!show3DView && heightmapGenerated && (
+            <select
+              value={hydrologyOverlay}
+              onChange={e => { setHydrologyOverlay(e.target.value); setHoveredBasin(null); }}
+              title="Hydrology overlay"
+              style={{ padding: '8px 10px', background: '#333', color: '#e3e3e3', border: '1.5px solid #444', borderRadius: '8px', fontSize: '14px' }}
+            >
+              {HYDROLOGY_OVERLAY_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+            </select>
+          )}
+          {!show3DView && hasErosionMasks && (
+            <select
+              value={erosionOverlay}
+              onChange={e => setErosionOverlay(e.target.value)}
+              title="Erosion overlay"
+              style={{ padding: '8px 10px', background: '#333', color: '#e3e3e3', border: '1.5px solid #444', borderRadius: '8px', fontSize: '14px' }}
+            >
+              {EROSION_OVERLAY_OPTIONS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+            </select>
+          )}
+          {!show3DView && hasErosionMasks && erosionOverlay !== 'none' && (
+            <button 
+              onClick={handleExportErosionMask}
+              style={{ 
+                padding: '10px 20px',
+                background: '#6ec1e4',
+                border: 'none',
+                borderRadius: '8px',
+                color: 'white',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                fontSize: '14px',
+                ':hover': {
+                  background: '#5aa8cc',
+                  transform: 'translateY(-1px)'
+                },
+                ':active': {
+                  transform: 'translateY(0)'
+                }
+              }}
+            >
+              <span>🗺️</span>
+              Export Mask
+            </button>
+          )}
+          {show3DView && threeData && !params.chunkedWorld && (
+            <button 
+              onClick={() => setShowMeshExportDialog(true)}
+              style={{ 
+                padding: '10px 20px',
+                background: '#6ec1e4',
+                border: 'none',
+                borderRadius: '8px',
+                color: 'white',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                boxShadow: '0 2px 4px rgba(0,0,0,0.2)',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                fontSize: '14px',
+                ':hover': {
+                  background: '#5aa8cc',
+                  transform: 'translateY(-1px)'
+                },
+                ':active': {
+                  transform: 'translateY(0)'
+                }
+              }}
+            >
+              <span>📦</span>
+              Export Mesh
+            </button>
+          )}
           <button 
             onClick={() => {
               if (!show3DView) {
@@ -537,8 +1146,23 @@ function App() {
           )}
           {show3DView && threeData ? (
             <Canvas shadows camera={{ position: CAMERA_POSITION, fov: CAMERA_FOV }} style={{ width: '100%', height: '100%' }}>
-              <mesh geometry={threeData.geometry} material={threeData.material} vertexColors rotation={[-Math.PI / 2, 0, 0]} />
+              {params.chunkedWorld ? (
+                <ChunkedTerrain params={params} material={threeData.material} onError={setTerrainError} />
+              ) : (
+                <mesh geometry={threeData.geometry} material={threeData.material} vertexColors rotation={[-Math.PI / 2, 0, 0]} />
+              )}
+              {isTileableTerrain(params) && params.showTileRepeat && TILE_REPEAT_OFFSETS.map(([dx, dz]) => (
+                <mesh
+                  key={`${dx},${dz}`}
+                  geometry={threeData.geometry}
+                  material={threeData.material}
+                  position={[dx * params.size, 0, dz * params.size]}
+                  rotation={[-Math.PI / 2, 0, 0]}
+                />
+              ))}
               {threeData.water && <Water object={threeData.water} />}
+              {threeData.lakes && <Water object={threeData.lakes} />}
+              {threeData.rivers && <Water object={threeData.rivers} />}
               {threeData.scatterData
                 .filter(({ layer, points }) =>
                   layer &&
@@ -589,17 +1213,38 @@ function App() {
                   return points.map((pt, i) => {
                     const worldSize = params.size;
                     const x = (pt.x / (width - 1) - 0.5) * worldSize;
-                    const z = (pt.y / (height - 1) - 0.5) * worldSize;
+                    const z = (pt.y / (height - 1) - 0.5) * worldSize * (height - 1) / (width - 1);
                     const y = getZ(pt.x, pt.y);
                     return <Component key={`${idx}-${i}`} position={[x, y, z]} />;
                   });
                 })}
               <gridHelper args={GRID_HELPER_ARGS} />
               <axesHelper args={AXES_HELPER_ARGS} />
-              <OrbitControls enableZoom enableRotate enablePan />
+              <OrbitControls makeDefault enableZoom enableRotate enablePan />
             </Canvas>
           ) : (
-            <canvas ref={canvasRef} style={{ width: '100%', height: '100%' }} />
+            <canvas
+              ref={canvasRef}
+              style={{ width: '100%', height: '100%', cursor: isPaintingRegion ? 'crosshair' : 'default' }}
+              onMouseDown={e => {
+                if (!isPaintingRegion) return;
+                erosionPaintingRef.current = true;
+                paintErosionRegion(e);
+              }}
+              onMouseMove={e => {
+                if (erosionPaintingRef.current) paintErosionRegion(e);
+                handleBasinHover(e);
+              }}
+              onMouseUp={() => { erosionPaintingRef.current = false; }}
+              onMouseLeave={() => { erosionPaintingRef.current = false; setHoveredBasin(null); }}
+            />
+          )}
+          {!show3DView && hydrologyOverlay === 'basins' && hoveredBasin && (
+            <div style={{ position: 'absolute', left: 10, bottom: 10, padding: '6px 10px', background: 'rgba(30, 31, 48, 0.85)', color: '#e3e3e3', borderRadius: 6, fontSize: 13, pointerEvents: 'none' }}>
+              Basin {hoveredBasin.id}: area {hoveredBasin.area.toFixed(2)}, mean elevation {hoveredBasin.meanElevation.toFixed(3)},
+              pour point {hoveredBasin.pourHeight.toFixed(3)}
+              {hoveredBasin.drainsOffMap || hoveredBasin.spillsInto < 0 ? ' (drains off the map)' : ` (spills into basin ${hoveredBasin.spillsInto})`}
+            </div>
           )}
         </div>
       </div>
@@ -0,0 +1,118 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import PropTypes from 'prop-types';
+import * as THREE from 'three';
+import TerrainWorkerService from '../services/TerrainWorkerService';
+import { CHUNK_HEIGHT_PARAMS } from '../services/TerrainGeneratorService';
+
+// Chunk requests kept in flight at once, so the nearest chunks arrive first
+const MAX_PENDING_CHUNKS = 2;
+
+function buildChunkGeometry({ positions, normals, uvs, indices }) {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
+  geom.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(normals), 3));
+  geom.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(uvs), 2));
+  geom.setIndex(new THREE.BufferAttribute(new Uint32Array(indices), 1));
+  return geom;
+}
+
+// Streams size × size terrain chunks around the orbit target (or camera) and unloads
+// chunks that fall more than one ring outside the view distance
+export default function ChunkedTerrain({ params, material, onError }) {
+  const { camera, controls } = useThree();
+  const [chunks, setChunks] = useState([]);
+  const serviceRef = useRef(null);
+  const loadedRef = useRef(new Map());
+  const pendingRef = useRef(new Set());
+  const size = params.size;
+  const viewDistance = Math.max(1, Math.floor(params.chunkViewDistance || 2));
+  // Chunks are generated from the height params only, so nothing else restarts streaming
+  const chunkParams = { meshResolution: params.chunkResolution || 128 };
+  for (const key of CHUNK_HEIGHT_PARAMS) {
+    if (key !== 'meshResolution') chunkParams[key] = params[key];
+  }
+  const generationKey = JSON.stringify(chunkParams);
+
+  useEffect(() => {
+    const service = new TerrainWorkerService();
+    serviceRef.current = service;
+    return () => {
+      service.terminate();
+      serviceRef.current = null;
+      loadedRef.current.forEach(chunk => chunk.geometry.dispose());
+      loadedRef.current = new Map();
+      pendingRef.current = new Set();
+      setChunks([]);
+    };
+  }, [generationKey]);
+
+  useFrame(() => {
+    const service = serviceRef.current;
+    if (!service) return;
+    const focus = controls && controls.target ? controls.target : camera.position;
+    const centerX = Math.round(focus.x / size);
+    const centerY = Math.round(focus.z / size);
+    const loaded = loadedRef.current;
+    const pending = pendingRef.current;
+
+    // Unload chunks beyond the view distance (with one ring of hysteresis)
+    let unloaded = false;
+    loaded.forEach((chunk, key) => {
+      if (Math.max(Math.abs(chunk.cx - centerX), Math.abs(chunk.cy - centerY)) > viewDistance + 1) {
+        chunk.geometry.dispose();
+        loaded.delete(key);
+        unloaded = true;
+      }
+    });
+    if (unloaded) setChunks(Array.from(loaded.values()));
+
+    // Request the nearest missing chunks
+    while (pending.size < MAX_PENDING_CHUNKS) {
+      let best = null;
+      let bestDist = Infinity;
+      for (let dy = -viewDistance; dy <= viewDistance; dy++) {
+        for (let dx = -viewDistance; dx <= viewDistance; dx++) {
+          const key = `${centerX + dx},${centerY + dy}`;
+          const dist = dx * dx + dy * dy;
+          if (dist < bestDist && !loaded.has(key) && !pending.has(key)) {
+            best = { key, cx: centerX + dx, cy: centerY + dy };
+            bestDist = dist;
+          }
+        }
+      }
+      if (!best) break;
+      const { key, cx, cy } = best;
+      pending.add(key);
+      service.generateChunk(chunkParams, cx, cy).then(({ geometryData }) => {
+        if (serviceRef.current !== service) return;
+        pendingRef.current.delete(key);
+        loadedRef.current.set(key, { key, cx, cy, geometry: buildChunkGeometry(geometryData) });
+        setChunks(Array.from(loadedRef.current.values()));
+      }, error => {
+        // The chunk stays pending, so a failing setup stops streaming instead of retrying every frame
+        if (serviceRef.current === service && onError) onError(error.message);
+      });
+    }
+  });
+
+  return (
+    <group>
+      {chunks.map(chunk => (
+        <mesh
+          key={chunk.key}
+          geometry={chunk.geometry}
+          material={material}
+          position={[chunk.cx * size, 0, chunk.cy * size]}
+          rotation={[-Math.PI / 2, 0, 0]}
+        />
+      ))}
+    </group>
+  );
+}
+
+ChunkedTerrain.propTypes = {
+  params: PropTypes.object.isRequired,
+  material: PropTypes.object,
+  onError: PropTypes.func
+};
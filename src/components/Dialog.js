@@ -0,0 +1,53 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  background: 'rgba(0,0,0,0.55)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 100,
+};
+
+const panelStyle = {
+  width: 420,
+  maxHeight: '90vh',
+  overflowY: 'auto',
+  background: '#232323',
+  border: '2px solid #6ec1e4',
+  borderRadius: 10,
+  padding: '18px 16px',
+  boxShadow: '0 2px 12px 0 rgba(110,193,228,0.10)',
+  color: '#fff',
+};
+
+export const dialogButtonStyle = {
+  padding: '8px 18px',
+  border: 'none',
+  borderRadius: 8,
+  color: 'white',
+  fontWeight: 600,
+  cursor: 'pointer',
+};
+
+// Modal shell shared by the import/export dialogs; clicking the backdrop closes it
+const Dialog = ({ title, description, onClose, children }) => (
+  <div style={overlayStyle} onClick={onClose}>
+    <div style={panelStyle} onClick={e => e.stopPropagation()}>
+      <h3 style={{ marginTop: 0, color: '#6ec1e4' }}>{title}</h3>
+      {description && <p style={{ color: '#aab', fontSize: 13, marginTop: 0 }}>{description}</p>}
+      {children}
+    </div>
+  </div>
+);
+
+Dialog.propTypes = {
+  title: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  children: PropTypes.node
+};
+
+export default Dialog;
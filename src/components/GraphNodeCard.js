@@ -0,0 +1,128 @@
+import React from 'react';
+import ParameterControl from './ParameterControl';
+import { FaTrash } from 'react-icons/fa';
+import { NODE_TYPES, getDefaultNodeParams, graphDependsOn } from '../services/TerrainGraphService';
+
+const selectStyle = { marginRight: 8, borderRadius: 4, border: '1.5px solid #6ec1e4', background: '#181818', color: '#fff', fontWeight: 500 };
+
+const GraphNodeCard = React.memo(function GraphNodeCard({ node, idx, graph, onGraphChange, isOutput }) {
+  const def = NODE_TYPES[node.type];
+
+  // Replace this node in the graph
+  const update = changes => {
+    const nodes = graph.nodes.slice();
+    nodes[idx] = { ...node, ...changes };
+    onGraphChange({ ...graph, nodes });
+  };
+
+  // A graph always keeps an output node
+  const canRemove = graph.nodes.length > 1;
+
+  // Remove node and disconnect anything wired to it
+  const handleRemove = () => {
+    if (!canRemove) return;
+    const nodes = graph.nodes
+      .filter((_, i) => i !== idx)
+      .map(n => {
+        const inputs = { ...n.inputs };
+        for (const name of Object.keys(inputs)) {
+          if (inputs[name] === node.id) delete inputs[name];
+        }
+        return { ...n, inputs };
+      });
+    onGraphChange({ ...graph, nodes, output: isOutput ? (nodes[nodes.length - 1] || {}).id : graph.output });
+  };
+
+  // Nodes that already depend on this one would close a cycle
+  const sourceOptions = graph.nodes
+    .filter(n => !graphDependsOn(graph, n.id, node.id))
+    .map(n => ({ value: n.id, label: `${n.id} (${NODE_TYPES[n.type] ? NODE_TYPES[n.type].label : n.type})` }));
+
+  return (
+    <div
+      style={{
+        border: `2px solid ${isOutput ? '#e4b06e' : '#6ec1e4'}`,
+        borderRadius: '10px',
+        marginBottom: '14px',
+        padding: '14px 12px 10px 12px',
+        background: '#232323',
+        position: 'relative',
+        boxShadow: '0 2px 12px 0 rgba(110,193,228,0.10)',
+        transition: 'border 0.2s, box-shadow 0.2s',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+        <span style={{ width: 90, marginRight: 8, color: '#fff', fontWeight: 600, fontSize: 15, overflow: 'hidden', textOverflow: 'ellipsis' }} title={node.id}>
+          {node.id}
+        </span>
+        <select
+          value={node.type}
+          onChange={e => update({ type: e.target.value, params: getDefaultNodeParams(e.target.value), inputs: {} })}
+          style={selectStyle}
+        >
+          {Object.entries(NODE_TYPES).map(([type, d]) => (
+            <option key={type} value={type}>{d.label}</option>
+          ))}
+        </select>
+        {isOutput && <span style={{ color: '#e4b06e', fontWeight: 700, fontSize: 13 }}>OUTPUT</span>}
+        <button
+          onClick={handleRemove}
+          disabled={!canRemove}
+          title={canRemove ? 'Remove this node' : 'The last node cannot be removed'}
+          style={{
+            marginLeft: 'auto',
+            background: 'linear-gradient(90deg, #e46e6e 60%, #fff 100%)',
+            border: 'none',
+            borderRadius: '50%',
+            width: 32,
+            height: 32,
+            cursor: canRemove ? 'pointer' : 'not-allowed',
+            opacity: canRemove ? 1 : 0.4,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            outline: 'none',
+          }}
+        >
+          <FaTrash style={{ fontSize: 14, color: '#e46e6e' }} />
+        </button>
+      </div>
+      {def.inputs.map(name => (
+        <ParameterControl
+          key={name}
+          label={`Input ${name}`}
+          type="select"
+          value={node.inputs[name] || ''}
+          onChange={v => {
+            const inputs = { ...node.inputs };
+            if (v) inputs[name] = v; else delete inputs[name];
+            update({ inputs });
+          }}
+          options={sourceOptions.concat([{ value: '', label: 'None' }])}
+        />
+      ))}
+      {Object.keys(def.params).length > 0 && (
+        <details style={{ marginTop: 4 }}>
+          <summary style={{ color: '#aaa', cursor: 'pointer', fontWeight: 600 }}>Parameters</summary>
+          <div style={{ marginTop: 8 }}>
+            {Object.entries(def.params).map(([key, schema]) => (
+              <ParameterControl
+                key={key}
+                label={schema.label}
+                type={schema.type}
+                min={schema.min}
+                max={schema.max}
+                step={schema.step}
+                options={schema.options}
+                value={node.params[key] ?? schema.default}
+                onChange={v => update({ params: { ...node.params, [key]: schema.type === 'select' ? v : +v } })}
+              />
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+});
+
+export default GraphNodeCard;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import ParameterControl from './ParameterControl';
+import Dialog, { dialogButtonStyle } from './Dialog';
+import { HEIGHTMAP_EXPORT_FORMATS, HEIGHTMAP_EXPORT_FORMAT_OPTIONS } from '../services/HeightmapIOService';
+
+const BYTE_ORDER_OPTIONS = [
+  { value: 'le', label: 'Little-endian (Unity, World Machine)' },
+  { value: 'be', label: 'Big-endian' },
+];
+
+// Chooses an export format and hands it to onExport(options)
+const HeightmapExportDialog = ({ onExport, onClose }) => {
+  const [format, setFormat] = useState(HEIGHTMAP_EXPORT_FORMATS.PNG16);
+  const [byteOrder, setByteOrder] = useState('le');
+  const [sidecar, setSidecar] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onExport({ format, littleEndian: byteOrder === 'le', sidecar });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isRaw = format === HEIGHTMAP_EXPORT_FORMATS.R16 || format === HEIGHTMAP_EXPORT_FORMATS.R32;
+
+  return (
+    <Dialog
+      title="Export Heightmap"
+      description="Integer formats store the map's height range normalized; float formats store world heights unchanged. The sidecar records size, world extent and height range so the map can be re-imported losslessly."
+      onClose={onClose}
+    >
+      <ParameterControl label="Format" type="select" value={format} onChange={setFormat} options={HEIGHTMAP_EXPORT_FORMAT_OPTIONS} />
+      {isRaw && (
+        <ParameterControl label="Byte Order" type="select" value={byteOrder} onChange={setByteOrder} options={BYTE_ORDER_OPTIONS} />
+      )}
+      <ParameterControl label="Write Metadata Sidecar" type="checkbox" value={sidecar} onChange={setSidecar} description="Saves a .json file next to the heightmap." />
+      {error && <div style={{ color: '#e46e6e', marginBottom: 12 }}>{error}</div>}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 10 }}>
+        <button onClick={onClose} style={{ ...dialogButtonStyle, background: '#444' }}>Cancel</button>
+        <button
+          onClick={handleExport}
+          disabled={busy}
+          style={{ ...dialogButtonStyle, background: '#6ec1e4', opacity: busy ? 0.5 : 1 }}
+        >
+          {busy ? 'Exporting…' : 'Export'}
+        </button>
+      </div>
+    </Dialog>
+  );
+};
+
+HeightmapExportDialog.propTypes = {
+  onExport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default HeightmapExportDialog;
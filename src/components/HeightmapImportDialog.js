@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import ParameterControl from './ParameterControl';
+import Dialog, { dialogButtonStyle } from './Dialog';
+import { HEIGHTMAP_IMPORT_FORMATS, detectHeightmapFormat, guessRawDimensions } from '../services/HeightmapIOService';
+
+const BYTE_ORDER_OPTIONS = [
+  { value: 'le', label: 'Little-endian (Unity, World Machine)' },
+  { value: 'be', label: 'Big-endian' },
+];
+
+// Picks a heightmap file (plus optional metadata sidecar) and its layout, then hands it to onImport(file, options)
+const HeightmapImportDialog = ({ onImport, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState(null);
+  const [width, setWidth] = useState(1025);
+  const [height, setHeight] = useState(1025);
+  const [byteOrder, setByteOrder] = useState('le');
+  const [heightScale, setHeightScale] = useState(2);
+  const [metadata, setMetadata] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleFileChange = e => {
+    const picked = e.target.files && e.target.files[0];
+    setError(null);
+    setFile(picked || null);
+    if (!picked) return;
+    const detected = detectHeightmapFormat(picked.name);
+    setFormat(detected);
+    if (!detected) {
+      setError('Unsupported file type; choose a .png, .r16, .r32, .raw, .tif or .pfm file.');
+    } else if (detected === HEIGHTMAP_IMPORT_FORMATS.RAW) {
+      const ext = picked.name.split('.').pop().toLowerCase();
+      const guess = guessRawDimensions(picked.size, ext === 'r16' ? 16 : ext === 'r32' ? 32 : undefined);
+      if (guess) {
+        setWidth(guess.width);
+        setHeight(guess.height);
+      }
+    }
+  };
+
+  // Sidecar written by Export: restores layout, world size and the world height range
+  const handleMetadataChange = async e => {
+    const picked = e.target.files && e.target.files[0];
+    setError(null);
+    if (!picked) {
+      setMetadata(null);
+      return;
+    }
+    try {
+      const parsed = JSON.parse(await picked.text());
+      setMetadata(parsed);
+      if (parsed.width && parsed.height) {
+        setWidth(parsed.width);
+        setHeight(parsed.height);
+      }
+      if (parsed.littleEndian !== undefined) setByteOrder(parsed.littleEndian ? 'le' : 'be');
+    } catch (err) {
+      setMetadata(null);
+      setError(`Could not read metadata: ${err.message}`);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onImport(file, { format, width, height, littleEndian: byteOrder === 'le', heightScale, metadata });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isRaw = format === HEIGHTMAP_IMPORT_FORMATS.RAW;
+
+  return (
+    <Dialog
+      title="Import Heightmap"
+      description="8/16-bit grayscale PNG, headerless .r16/.r32/.raw, or float TIFF/PFM. The imported map replaces the generated terrain for erosion, scatter and the 3D view."
+      onClose={onClose}
+    >
+      <input type="file" accept=".png,.r16,.r32,.raw,.tif,.tiff,.pfm" onChange={handleFileChange} style={{ marginBottom: 12, color: '#e3e3e3' }} />
+      <label style={{ display: 'block', color: '#aab', fontSize: 13, marginBottom: 4 }}>Metadata sidecar (optional .json)</label>
+      <input type="file" accept=".json" onChange={handleMetadataChange} style={{ marginBottom: 16, color: '#e3e3e3' }} />
+      {isRaw && !metadata && (
+        <>
+          <ParameterControl label="Width" type="number" min="2" step="1" value={width} onChange={v => setWidth(Math.floor(+v))} description="Samples per row." />
+          <ParameterControl label="Height" type="number" min="2" step="1" value={height} onChange={v => setHeight(Math.floor(+v))} description="Number of rows." />
+          <ParameterControl label="Byte Order" type="select" value={byteOrder} onChange={setByteOrder} options={BYTE_ORDER_OPTIONS} description="16/32-bit files only." />
+        </>
+      )}
+      {metadata ? (
+        <div style={{ color: '#aab', fontSize: 13, marginBottom: 16 }}>
+          {metadata.width}x{metadata.height}, heights {Number(metadata.minHeight).toFixed(3)} to {Number(metadata.maxHeight).toFixed(3)}, world size {metadata.worldWidth} x {metadata.worldHeight}
+        </div>
+      ) : (
+        <ParameterControl label="Height Scale" type="number" min="0" step="0.1" value={heightScale} onChange={v => setHeightScale(+v)} description="World height of the brightest integer sample; float files keep their values." />
+      )}
+      {error && <div style={{ color: '#e46e6e', marginBottom: 12 }}>{error}</div>}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 10 }}>
+        <button onClick={onClose} style={{ ...dialogButtonStyle, background: '#444' }}>Cancel</button>
+        <button
+          onClick={handleImport}
+          disabled={!file || !format || busy}
+          style={{ ...dialogButtonStyle, background: '#6ec1e4', opacity: !file || !format || busy ? 0.5 : 1 }}
+        >
+          {busy ? 'Importing…' : 'Import'}
+        </button>
+      </div>
+    </Dialog>
+  );
+};
+
+HeightmapImportDialog.propTypes = {
+  onImport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default HeightmapImportDialog;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import ParameterControl from './ParameterControl';
+import Dialog, { dialogButtonStyle } from './Dialog';
+import { MESH_EXPORT_FORMATS, MESH_EXPORT_FORMAT_OPTIONS } from '../services/MeshExportService';
+
+// Chooses a mesh format and its contents, then hands them to onExport(options)
+const MeshExportDialog = ({ onExport, onClose }) => {
+  const [format, setFormat] = useState(MESH_EXPORT_FORMATS.GLB);
+  const [includeNormals, setIncludeNormals] = useState(true);
+  const [includeUVs, setIncludeUVs] = useState(true);
+  const [bakeColors, setBakeColors] = useState(true);
+  const [baseThickness, setBaseThickness] = useState(0.5);
+  const [includeWater, setIncludeWater] = useState(true);
+  const [includeScatter, setIncludeScatter] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await onExport({ format, includeNormals, includeUVs, bakeColors, baseThickness, includeWater, includeScatter });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isStl = format === MESH_EXPORT_FORMATS.STL;
+  const isGlb = format === MESH_EXPORT_FORMATS.GLB;
+
+  return (
+    <Dialog
+      title="Export Mesh"
+      description="Writes the current 3D terrain, Y-up in world units."
+      onClose={onClose}
+    >
+      <ParameterControl label="Format" type="select" value={format} onChange={setFormat} options={MESH_EXPORT_FORMAT_OPTIONS} />
+      {isStl ? (
+        <ParameterControl label="Base Thickness" type="number" min="0" step="0.1" value={baseThickness} onChange={v => setBaseThickness(+v)} description="Solid depth below the lowest point." />
+      ) : (
+        <>
+          <ParameterControl label="Include Normals" type="checkbox" value={includeNormals} onChange={setIncludeNormals} />
+          <ParameterControl label="Include UVs" type="checkbox" value={includeUVs} onChange={setIncludeUVs} />
+          <ParameterControl label="Bake Vertex Colours" type="checkbox" value={bakeColors} onChange={setBakeColors} description="Unlit colour from the terrain shader." />
+        </>
+      )}
+      {isGlb && (
+        <>
+          <ParameterControl label="Include Water" type="checkbox" value={includeWater} onChange={setIncludeWater} />
+          <ParameterControl label="Include Scatter" type="checkbox" value={includeScatter} onChange={setIncludeScatter} description="One instanced node per layer." />
+        </>
+      )}
+      {error && <div style={{ color: '#e46e6e', marginBottom: 12 }}>{error}</div>}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 10 }}>
+        <button onClick={onClose} style={{ ...dialogButtonStyle, background: '#444' }}>Cancel</button>
+        <button
+          onClick={handleExport}
+          disabled={busy}
+          style={{ ...dialogButtonStyle, background: '#6ec1e4', opacity: busy ? 0.5 : 1 }}
+        >
+          {busy ? 'Exporting…' : 'Export'}
+        </button>
+      </div>
+    </Dialog>
+  );
+};
+
+MeshExportDialog.propTypes = {
+  onExport: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default MeshExportDialog;
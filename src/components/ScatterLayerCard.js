@@ -1,6 +1,7 @@
 import React from 'react';
 import ParameterControl from './ParameterControl';
 import { FaTrash } from 'react-icons/fa';
+import { BIOMES } from '../services/BiomeService';
 
 const ScatterLayerCard = React.memo(function ScatterLayerCard({ layer, idx, layers, onParamChange, updateScatterLayer, params }) {
   // Remove layer handler
@@ -60,8 +61,28 @@ const ScatterLayerCard = React.memo(function ScatterLayerCard({ layer, idx, laye
           <option value="mountain">Mountains</option>
           <option value="valley">Valleys</option>
           <option value="plain">Plains</option>
+          <option value="biome">Biomes</option>
         </select>
       </div>
+      {layer.scatterOn === 'biome' && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginBottom: 8 }}>
+          {BIOMES.map(biome => {
+            const biomes = layer.biomes || [];
+            return (
+              <label key={biome.key} style={{ display: 'flex', alignItems: 'center', color: '#ccc', fontSize: 13 }}>
+                <input
+                  type="checkbox"
+                  checked={biomes.includes(biome.key)}
+                  onChange={e => update({ biomes: e.target.checked ? [...biomes, biome.key] : biomes.filter(key => key !== biome.key) })}
+                  style={{ marginRight: 4 }}
+                />
+                <span style={{ display: 'inline-block', width: 10, height: 10, borderRadius: 2, background: biome.color, marginRight: 4 }} />
+                {biome.label}
+              </label>
+            );
+          })}
+        </div>
+      )}
       <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: 4 }}>
         <button
           onClick={handleRemove}
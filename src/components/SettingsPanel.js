@@ -1,8 +1,11 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import ParameterControl from './ParameterControl';
-import { FaMountain, FaSlidersH, FaWater, FaLeaf, FaLayerGroup, FaEraser, FaMagic, FaPalette } from 'react-icons/fa';
+import { FaMountain, FaSlidersH, FaWater, FaLeaf, FaLayerGroup, FaEraser, FaMagic, FaPalette, FaProjectDiagram, FaGlobeAmericas } from 'react-icons/fa';
 import ScatterLayerCard from './ScatterLayerCard';
+import GraphNodeCard from './GraphNodeCard';
+import { NODE_TYPES, createGraphNode, createDefaultTerrainGraph } from '../services/TerrainGraphService';
+import { CELLULAR_DISTANCE_OPTIONS, CELLULAR_RETURN_OPTIONS } from '../services/NoiseService';
 
 // eslint-disable-next-line no-unused-vars
 const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
@@ -16,8 +19,11 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
     'Ridged Noise': <FaMagic style={{ marginRight: 8, color: '#b06ee4' }} />,
     'Domain Warping': <FaLayerGroup style={{ marginRight: 8, color: '#6ee4b0' }} />,
     'Erosion': <FaEraser style={{ marginRight: 8, color: '#e46e6e' }} />,
+    'Hydrology': <FaWater style={{ marginRight: 8, color: '#6e8ee4' }} />,
     'Smoothing': <FaLeaf style={{ marginRight: 8, color: '#6ee4b0' }} />,
+    'Node Graph': <FaProjectDiagram style={{ marginRight: 8, color: '#e4b06e' }} />,
     'Surface & Texture': <FaPalette style={{ marginRight: 8, color: '#e46ec1' }} />,
+    'Biomes': <FaGlobeAmericas style={{ marginRight: 8, color: '#6ee4b0' }} />,
     'Water': <FaWater style={{ marginRight: 8, color: '#6ec1e4' }} />,
     'Scatter Layers': <FaLayerGroup style={{ marginRight: 8, color: '#e4b06e' }} />
   };
@@ -28,6 +34,16 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
     { value: 'hydraulic', label: 'Hydraulic' },
     { value: 'both', label: 'Both' }
   ], []);
+  const hydraulicModelOptions = React.useMemo(() => [
+    { value: 'droplet', label: 'Droplets' },
+    { value: 'pipe', label: 'Shallow Water (pipe model)' }
+  ], []);
+  const regionPaintOptions = React.useMemo(() => [
+    { value: 'off', label: 'Off' },
+    { value: 'view', label: 'Show Region' },
+    { value: 'protect', label: 'Paint Protected' },
+    { value: 'erode', label: 'Paint Erodible' }
+  ], []);
 
   const CollapsibleSection = ({ title, children, defaultOpen = true }) => {
     const [open, setOpen] = React.useState(defaultOpen);
@@ -71,6 +87,12 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
     return newLayers;
   };
 
+  // Node graph being edited (falls back to the starter recipe)
+  const terrainGraph = params.terrainGraph && Array.isArray(params.terrainGraph.nodes)
+    ? params.terrainGraph
+    : createDefaultTerrainGraph();
+  const [newNodeType, setNewNodeType] = React.useState('noise');
+
   return (
     <div
       ref={panelRef => {
@@ -146,6 +168,19 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
           }} description="Controls both width and height of the terrain." />
           <ParameterControl label="Mesh Resolution" type="range" min="32" max="4096" step="32" value={params.meshResolution || 512} onChange={v => handleParamChange('meshResolution', +v)} description="Controls mesh grid resolution for preview/export (higher = slower)." />
           <ParameterControl label="Use Export Resolution" type="checkbox" value={params.useExportResolution || false} onChange={v => handleParamChange('useExportResolution', v)} description="Toggle to preview at full export resolution (4096²)." />
+          {!params.useTerrainGraph && (
+            <ParameterControl label="Tileable" type="checkbox" value={params.tileable || false} onChange={v => handleParamChange('tileable', v)} description="Wrap noise so opposite edges match and the heightmap repeats seamlessly." />
+          )}
+          {!params.useTerrainGraph && params.tileable && (
+            <ParameterControl label="Show 3x3 Repeat" type="checkbox" value={params.showTileRepeat || false} onChange={v => handleParamChange('showTileRepeat', v)} description="Tile the terrain around itself in the 3D view to check for seams." />
+          )}
+          <ParameterControl label="Infinite World" type="checkbox" value={params.chunkedWorld || false} onChange={v => handleParamChange('chunkedWorld', v)} description="Stream size × size chunks around the camera in the 3D view (built-in recipe)." />
+          {params.chunkedWorld && (
+            <>
+              <ParameterControl label="Chunk Resolution" type="range" min="32" max="512" step="32" value={params.chunkResolution || 128} onChange={v => handleParamChange('chunkResolution', +v)} description="Grid resolution of each streamed chunk." />
+              <ParameterControl label="View Distance" type="range" min="1" max="6" step="1" value={params.chunkViewDistance || 2} onChange={v => handleParamChange('chunkViewDistance', +v)} description="Chunks loaded in each direction around the camera." />
+            </>
+          )}
         </CollapsibleSection>
         <CollapsibleSection title="Elevation">
           <ParameterControl label="Height Range" type="range" min="0" max="5" step="0.1" value={params.amplitude} onChange={v => handleParamChange('amplitude', +v)} description="Maximum elevation difference." />
@@ -154,7 +189,7 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
           <ParameterControl label="Gain" type="range" min="0" max="1" step="0.05" value={params.gain} onChange={v => handleParamChange('gain', +v)} />
         </CollapsibleSection>
         <CollapsibleSection title="Ridged Noise" defaultOpen={false}>
-          <ParameterControl label="Ridged" type="checkbox" value={params.ridged} onChange={v => handleParamChange('ridged', v)} />
+          <ParameterControl label="Ridged" type="checkbox" value={params.ridged} onChange={v => handleParamChange('ridged', v)} description="Fold noise into sharp ridges instead of rolling hills." />
           <ParameterControl label="Ridged Offset" type="range" min="0" max="1" step="0.1" value={params.ridgedOffset} onChange={v => handleParamChange('ridgedOffset', +v)} />
         </CollapsibleSection>
         <CollapsibleSection title="Worley Noise" defaultOpen={false}>
@@ -174,10 +209,33 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
             min="0" 
             max="1" 
             step="0.1" 
-            value={params.worleyWeight || 0.5} 
+            value={params.worleyWeight ?? 0.5} 
             onChange={v => handleParamChange('worleyWeight', +v)} 
             description="Weight of Worley noise in the final terrain." 
           />
+          <ParameterControl
+            label="Output"
+            type="select"
+            value={params.worleyReturn || 'f1'}
+            onChange={v => handleParamChange('worleyReturn', v)}
+            options={CELLULAR_RETURN_OPTIONS}
+            description="F1 for cells and crater fields, Cell ID for stepped plateaus, F2 - F1 for cracked earth."
+          />
+          <ParameterControl
+            label="Distance"
+            type="select"
+            value={params.worleyDistance || 'euclidean'}
+            onChange={v => handleParamChange('worleyDistance', v)}
+            options={CELLULAR_DISTANCE_OPTIONS}
+            description="Manhattan gives diamond cells, Chebyshev square ones."
+          />
+          <ParameterControl
+            label="Invert"
+            type="checkbox"
+            value={params.worleyInvert || false}
+            onChange={v => handleParamChange('worleyInvert', v)}
+            description="Flip the profile: cell peaks become crater bowls, crack ridges become grooves."
+          />
           <ParameterControl 
             label="Seed" 
             type="number" 
@@ -195,15 +253,69 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
             { value: 'fractal', label: 'Fractal' },
             { value: 'simplex', label: 'Simplex' }
           ]} />
-          <ParameterControl label="Warp Strength" type="range" min="0" max="1" step="0.05" value={params.warpStrength} onChange={v => handleParamChange('warpStrength', +v)} />
-          <ParameterControl label="Warp Frequency" type="range" min="0" max="1" step="0.05" value={params.warpFrequency} onChange={v => handleParamChange('warpFrequency', +v)} />
-          <ParameterControl label="Warp Iterations" type="range" min="1" max="5" step="1" value={params.warpIterations} onChange={v => handleParamChange('warpIterations', +v)} />
+          <ParameterControl label="Warp Strength" type="range" min="0" max="1" step="0.05" value={params.warpStrength} onChange={v => handleParamChange('warpStrength', +v)} description="Warp offset, in base-noise wavelengths." />
+          <ParameterControl label="Warp Frequency" type="range" min="0" max="1" step="0.01" value={params.warpFrequency} onChange={v => handleParamChange('warpFrequency', +v)} description="Warp noise frequency relative to the terrain noise." />
+          <ParameterControl label="Warp Iterations" type="range" min="1" max="5" step="1" value={params.warpIterations} onChange={v => handleParamChange('warpIterations', +v)} description="Each pass warps the already-warped coordinates again." />
         </CollapsibleSection>
         <CollapsibleSection title="Smoothing" defaultOpen={false}>
           <ParameterControl label="Enable Smoothing" type="checkbox" value={params.applySmoothing} onChange={v => handleParamChange('applySmoothing', v)} description="Smooth out sharp terrain features." />
           <ParameterControl label="Smoothing Passes" type="range" min="0" max="10" step="1" value={params.smoothIterations} onChange={v => handleParamChange('smoothIterations', +v)} description="Number of smoothing passes." />
           <ParameterControl label="Smoothing Strength" type="range" min="0" max="1" step="0.05" value={params.smoothFactor} onChange={v => handleParamChange('smoothFactor', +v)} description="How much each pass smooths the terrain." />
         </CollapsibleSection>
+        <CollapsibleSection title="Node Graph" defaultOpen={false}>
+          <ParameterControl label="Use Node Graph" type="checkbox" value={params.useTerrainGraph || false} onChange={v => handleParamChange('useTerrainGraph', v)} description="Generate terrain from the node graph below instead of the built-in recipe." />
+          <ParameterControl
+            label="Output Node"
+            type="select"
+            value={terrainGraph.output || ''}
+            onChange={v => handleParamChange('terrainGraph', { ...terrainGraph, output: v })}
+            options={terrainGraph.nodes.map(n => ({ value: n.id, label: n.id }))}
+          />
+          {terrainGraph.nodes.map((node, idx) => (
+            <GraphNodeCard
+              key={node.id}
+              node={node}
+              idx={idx}
+              graph={terrainGraph}
+              isOutput={node.id === terrainGraph.output}
+              onGraphChange={graph => handleParamChange('terrainGraph', graph)}
+            />
+          ))}
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 10 }}>
+            <select
+              value={newNodeType}
+              onChange={e => setNewNodeType(e.target.value)}
+              style={{ flex: 1, borderRadius: 4, border: '1.5px solid #6ec1e4', background: '#181818', color: '#fff', fontWeight: 500, padding: '4px 6px' }}
+            >
+              {Object.entries(NODE_TYPES).map(([type, def]) => (
+                <option key={type} value={type}>{def.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                const ids = new Set(terrainGraph.nodes.map(n => n.id));
+                let n = 1;
+                while (ids.has(`${newNodeType}${n}`)) n++;
+                const node = createGraphNode(newNodeType, `${newNodeType}${n}`);
+                handleParamChange('terrainGraph', {
+                  ...terrainGraph,
+                  nodes: [...terrainGraph.nodes, node],
+                  output: terrainGraph.output || node.id
+                });
+              }}
+              style={{ padding: '6px 12px', background: '#6ec1e4', color: '#23243a', border: 'none', borderRadius: 6, fontWeight: 700, cursor: 'pointer' }}
+            >
+              Add Node
+            </button>
+            <button
+              onClick={() => handleParamChange('terrainGraph', createDefaultTerrainGraph())}
+              style={{ padding: '6px 12px', background: '#444', color: '#fff', border: 'none', borderRadius: 6, fontWeight: 700, cursor: 'pointer' }}
+              title="Replace the graph with the starter recipe"
+            >
+              Default
+            </button>
+          </div>
+        </CollapsibleSection>
         <CollapsibleSection title="Surface & Texture">
           <ParameterControl label="Height Scale" type="range" min={0.1} max={5.0} step={0.1} value={params.heightScale} onChange={value => handleParamChange('heightScale', +value)} description="Controls the exaggeration of height in the texture." />
           <ParameterControl label="Rock Height" type="range" min={0.1} max={1.0} step={0.1} value={params.rockHeight} onChange={value => handleParamChange('rockHeight', +value)} description="Height at which rock texture appears." />
@@ -213,9 +325,25 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
           <ParameterControl label="Texture Resolution" type="range" min={0.5} max={6.0} step={0.1} value={params.textureResolution || 1.0} onChange={value => handleParamChange('textureResolution', +value)} description="Controls the sharpness of the texture." />
           <ParameterControl label="Albedo Intensity" type="range" min={0} max={1} step={0.01} value={params.albedoIntensity || 0.6} onChange={value => handleParamChange('albedoIntensity', +value)} description="Blend between procedural and texture color (0 = procedural, 1 = texture)." />
         </CollapsibleSection>
+        <CollapsibleSection title="Biomes" defaultOpen={false}>
+          <ParameterControl label="Biome Texturing" type="checkbox" value={params.enableBiomes || false} onChange={v => handleParamChange('enableBiomes', v)} description="Colour the terrain by Whittaker biome and take moisture from the climate model instead of noise. Biome scatter layers work either way." />
+          <ParameterControl label="Latitude Gradient" type="range" min={0} max={1} step={0.01} value={params.biomeLatitudeGradient ?? 0.3} onChange={v => handleParamChange('biomeLatitudeGradient', +v)} description="How much colder the north edge of the map is than the south edge." />
+          <ParameterControl label="Lapse Rate" type="range" min={0} max={1.5} step={0.01} value={params.biomeLapseRate ?? 0.7} onChange={v => handleParamChange('biomeLapseRate', +v)} description="How much colder the highest peak is than sea level." />
+          <ParameterControl label="Wind Direction" type="range" min={0} max={359} step={1} value={params.biomeWindDirection ?? 270} onChange={v => handleParamChange('biomeWindDirection', +v)} description="Where the prevailing wind comes from, in degrees clockwise from north (the top of the 2D view)." />
+          <ParameterControl label="Rain Shadow" type="range" min={0} max={1} step={0.01} value={params.biomeRainShadow ?? 0.6} onChange={v => handleParamChange('biomeRainShadow', +v)} description="Wetter slopes facing the wind, drier land behind ridges." />
+          <ParameterControl label="Water Influence" type="range" min={0.01} max={0.5} step={0.01} value={params.biomeWaterRange ?? 0.15} onChange={v => handleParamChange('biomeWaterRange', +v)} description="How far (fraction of the map) the sea, lakes and rivers moisten the land." />
+        </CollapsibleSection>
         <CollapsibleSection title="Water" defaultOpen={false}>
           <ParameterControl label="Enable Water" type="checkbox" value={params.enableWater} onChange={value => handleParamChange('enableWater', +value)} description="Add a water plane at a given height." />
           <ParameterControl label="Water Level" type="range" min={0} max={1} step={0.01} value={params.waterLevel} onChange={value => handleParamChange('waterLevel', +value)} description="Height of the water plane." />
+          <ParameterControl label="Lakes" type="checkbox" value={params.enableLakes || false} onChange={v => handleParamChange('enableLakes', v)} description="Fill closed depressions with lakes, each at its own level (from the 2D heightmap)." />
+          {params.enableLakes && (
+            <>
+              <ParameterControl label="Lake Fill Ratio" type="range" min={0} max={1} step={0.01} value={params.lakeFillRatio ?? 1} onChange={v => handleParamChange('lakeFillRatio', +v)} description="Lake level between the depression floor (0) and its spill height (1)." />
+              <ParameterControl label="Min Lake Depth" type="range" min={0} max={0.2} step={0.001} value={params.lakeMinDepth ?? 0.01} onChange={v => handleParamChange('lakeMinDepth', +v)} description="Shallower lakes are left dry." />
+              <ParameterControl label="Min Lake Area" type="range" min={0} max={0.01} step={0.0001} value={params.lakeMinArea ?? 0.0005} onChange={v => handleParamChange('lakeMinArea', +v)} description="Smaller lakes (fraction of the map) are left dry." />
+            </>
+          )}
         </CollapsibleSection>
         <CollapsibleSection title="Scatter Layers">
           {(() => {
@@ -282,18 +410,77 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
           </div>
         </CollapsibleSection>
         <CollapsibleSection title="Erosion">
-          <ParameterControl label="Erosion Droplets" type="number" min={1000} max={1000000} step={1000} value={params.erosionDroplets || 100000} onChange={v => handleParamChange('erosionDroplets', +v)} description="Number of droplets to simulate." />
-          <ParameterControl label="Batch Size" type="number" min={100} max={10000} step={100} value={params.erosionBatchSize || 1000} onChange={v => handleParamChange('erosionBatchSize', +v)} description="Update mesh every N droplets." />
-          <ParameterControl label="Inertia" type="range" min={0} max={1} step={0.01} value={params.erosionInertia ?? 0.05} onChange={v => handleParamChange('erosionInertia', +v)} description="Droplet inertia (0 = follows slope, 1 = keeps direction)." />
-          <ParameterControl label="Friction" type="range" min={0} max={0.2} step={0.001} value={params.erosionFriction ?? 0.02} onChange={v => handleParamChange('erosionFriction', +v)} description="Velocity loss per step." />
-          <ParameterControl label="Sediment Capacity" type="range" min={0.1} max={16} step={0.1} value={params.erosionSedimentCapacity ?? 4} onChange={v => handleParamChange('erosionSedimentCapacity', +v)} description="Sediment capacity factor." />
-          <ParameterControl label="Deposition Rate" type="range" min={0.01} max={1} step={0.01} value={params.erosionDepositionRate ?? 0.3} onChange={v => handleParamChange('erosionDepositionRate', +v)} description="How quickly sediment is deposited/eroded." />
-          <ParameterControl label="Evaporation Rate" type="range" min={0.001} max={0.2} step={0.001} value={params.erosionEvaporationRate ?? 0.01} onChange={v => handleParamChange('erosionEvaporationRate', +v)} description="Water evaporation rate per step." />
-          <ParameterControl label="Min Volume" type="range" min={0.001} max={0.2} step={0.001} value={params.erosionMinVolume ?? 0.01} onChange={v => handleParamChange('erosionMinVolume', +v)} description="Volume below which droplet disappears." />
-          <ParameterControl label="Initial Volume" type="range" min={0.1} max={5} step={0.1} value={params.erosionInitialVolume ?? 0.1} onChange={v => handleParamChange('erosionInitialVolume', +v)} description="Starting water volume of each droplet." />
-          <ParameterControl label="Initial Speed" type="range" min={0.1} max={5} step={0.1} value={params.erosionInitialSpeed ?? 1.0} onChange={v => handleParamChange('erosionInitialSpeed', +v)} description="Starting speed of each droplet." />
-          <ParameterControl label="Max Droplet Lifetime" type="number" min={1} max={100} step={1} value={params.erosionMaxDropletLifetime ?? 30} onChange={v => handleParamChange('erosionMaxDropletLifetime', +v)} description="Max steps per droplet." />
-          <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginTop: 10 }}>
+          <ParameterControl label="Erosion Type" type="select" value={params.erosionType ?? 'hydraulic'} onChange={v => handleParamChange('erosionType', v)} options={erosionTypeOptions} description="Droplet (hydraulic), talus (thermal), or both interleaved." />
+          <ParameterControl label="Erosion Seed" type="number" min={0} max={999999} step={1} value={params.erosionSeed ?? 1} onChange={v => handleParamChange('erosionSeed', Math.floor(+v))} description="Same heightmap, settings and seed always give the same result." />
+          {(params.erosionType ?? 'hydraulic') !== 'thermal' && (
+            <>
+              <ParameterControl label="Hydraulic Model" type="select" value={params.erosionHydraulicModel ?? 'droplet'} onChange={v => handleParamChange('erosionHydraulicModel', v)} options={hydraulicModelOptions} description="Droplets carve thin gullies; the shallow-water grid also fills lakes and widens valleys." />
+              {(params.erosionHydraulicModel ?? 'droplet') === 'droplet' ? (
+                <>
+                  <ParameterControl label="Erosion Droplets" type="number" min={1000} max={1000000} step={1000} value={params.erosionDroplets || 100000} onChange={v => handleParamChange('erosionDroplets', +v)} description="Number of droplets to simulate." />
+                  <ParameterControl label="Batch Size" type="number" min={100} max={10000} step={100} value={params.erosionBatchSize || 1000} onChange={v => handleParamChange('erosionBatchSize', +v)} description="Update mesh every N droplets." />
+                  <ParameterControl label="Parallel Workers" type="number" min={1} max={16} step={1} value={params.erosionWorkers || 1} onChange={v => handleParamChange('erosionWorkers', Math.max(1, Math.floor(+v)))} description="Droplets run over map tiles, in parallel above 1 worker; a seed gives the same result for any worker count." />
+                  <ParameterControl label="Inertia" type="range" min={0} max={1} step={0.01} value={params.erosionInertia ?? 0.05} onChange={v => handleParamChange('erosionInertia', +v)} description="Droplet inertia (0 = follows slope, 1 = keeps direction)." />
+                  <ParameterControl label="Friction" type="range" min={0} max={0.2} step={0.001} value={params.erosionFriction ?? 0.02} onChange={v => handleParamChange('erosionFriction', +v)} description="Velocity loss per step." />
+                  <ParameterControl label="Sediment Capacity" type="range" min={0.1} max={16} step={0.1} value={params.erosionSedimentCapacity ?? 4} onChange={v => handleParamChange('erosionSedimentCapacity', +v)} description="Sediment capacity factor." />
+                  <ParameterControl label="Deposition Rate" type="range" min={0.01} max={1} step={0.01} value={params.erosionDepositionRate ?? 0.3} onChange={v => handleParamChange('erosionDepositionRate', +v)} description="How quickly sediment is deposited/eroded." />
+                  <ParameterControl label="Evaporation Rate" type="range" min={0.001} max={0.2} step={0.001} value={params.erosionEvaporationRate ?? 0.01} onChange={v => handleParamChange('erosionEvaporationRate', +v)} description="Water evaporation rate per step." />
+                  <ParameterControl label="Min Volume" type="range" min={0.001} max={0.2} step={0.001} value={params.erosionMinVolume ?? 0.01} onChange={v => handleParamChange('erosionMinVolume', +v)} description="Volume below which droplet disappears." />
+                  <ParameterControl label="Initial Volume" type="range" min={0.1} max={5} step={0.1} value={params.erosionInitialVolume ?? 0.1} onChange={v => handleParamChange('erosionInitialVolume', +v)} description="Starting water volume of each droplet." />
+                  <ParameterControl label="Initial Speed" type="range" min={0.1} max={5} step={0.1} value={params.erosionInitialSpeed ?? 1.0} onChange={v => handleParamChange('erosionInitialSpeed', +v)} description="Starting speed of each droplet." />
+                  <ParameterControl label="Max Droplet Lifetime" type="number" min={1} max={100} step={1} value={params.erosionMaxDropletLifetime ?? 30} onChange={v => handleParamChange('erosionMaxDropletLifetime', +v)} description="Max steps per droplet." />
+                  <ParameterControl label="Erosion Radius" type="range" min={0} max={8} step={0.5} value={params.erosionRadius ?? 0} onChange={v => handleParamChange('erosionRadius', +v)} description="Brush radius in cells of a 256² map, scaled with resolution (0 = erode only the four corners)." />
+                  <ParameterControl label="Slope Weight" type="range" min={0} max={4} step={0.001} value={params.erosionSlopeMapFactor ?? 0.001} onChange={v => handleParamChange('erosionSlopeMapFactor', +v)} description="Extra capacity on steep ground." />
+                  <ParameterControl label="Flow Weight" type="range" min={0} max={4} step={0.01} value={params.erosionFlowWeight ?? 0} onChange={v => handleParamChange('erosionFlowWeight', +v)} description="Extra capacity along drainage lines (normalized flow)." />
+                  <ParameterControl label="Curvature Weight" type="range" min={0} max={4} step={0.01} value={params.erosionCurvatureWeight ?? 0} onChange={v => handleParamChange('erosionCurvatureWeight', +v)} description="Extra capacity in concave valleys." />
+                </>
+              ) : (
+                <>
+                  <ParameterControl label="Iterations" type="number" min={10} max={5000} step={10} value={params.erosionPipeIterations ?? 300} onChange={v => handleParamChange('erosionPipeIterations', +v)} description="Number of shallow-water passes." />
+                  <ParameterControl label="Rain Rate" type="range" min={0.0001} max={0.005} step={0.0001} value={params.erosionPipeRainRate ?? 0.0005} onChange={v => handleParamChange('erosionPipeRainRate', +v)} description="Water depth added to every cell per pass." />
+                  <ParameterControl label="Sediment Capacity" type="range" min={0.001} max={0.1} step={0.001} value={params.erosionPipeCapacity ?? 0.01} onChange={v => handleParamChange('erosionPipeCapacity', +v)} description="Sediment carried per unit of flow speed and slope." />
+                  <ParameterControl label="Dissolve Rate" type="range" min={0.01} max={1} step={0.01} value={params.erosionPipeDissolveRate ?? 0.3} onChange={v => handleParamChange('erosionPipeDissolveRate', +v)} description="How quickly flowing water picks up sediment." />
+                  <ParameterControl label="Deposit Rate" type="range" min={0.01} max={1} step={0.01} value={params.erosionPipeDepositRate ?? 0.3} onChange={v => handleParamChange('erosionPipeDepositRate', +v)} description="How quickly slowing water drops sediment." />
+                  <ParameterControl label="Evaporation Rate" type="range" min={0.001} max={0.2} step={0.001} value={params.erosionPipeEvaporationRate ?? 0.01} onChange={v => handleParamChange('erosionPipeEvaporationRate', +v)} description="Fraction of water lost per pass." />
+                </>
+              )}
+            </>
+          )}
+          {(params.erosionType ?? 'hydraulic') !== 'hydraulic' && (
+            <>
+              <ParameterControl label="Talus Angle" type="range" min={5} max={80} step={1} value={params.erosionTalusAngle ?? 35} onChange={v => handleParamChange('erosionTalusAngle', +v)} description="Steepest stable slope in degrees; steeper material slides." />
+              <ParameterControl label="Thermal Iterations" type="number" min={1} max={1000} step={1} value={params.erosionThermalIterations ?? 50} onChange={v => handleParamChange('erosionThermalIterations', +v)} description="Number of thermal passes." />
+              <ParameterControl label="Transfer Rate" type="range" min={0.01} max={1} step={0.01} value={params.erosionThermalTransferRate ?? 0.5} onChange={v => handleParamChange('erosionThermalTransferRate', +v)} description="Fraction of the excess material moved per pass." />
+            </>
+          )}
+          <ParameterControl label="Min Height" type="range" min={0} max={1} step={0.01} value={params.erosionMinHeight ?? 0} onChange={v => handleParamChange('erosionMinHeight', +v)} description="Only erode above this normalized height." />
+          <ParameterControl label="Max Height" type="range" min={0} max={1} step={0.01} value={params.erosionMaxHeight ?? 1} onChange={v => handleParamChange('erosionMaxHeight', +v)} description="Only erode below this normalized height." />
+          <ParameterControl label="Min Slope" type="range" min={0} max={90} step={1} value={params.erosionMinSlope ?? 0} onChange={v => handleParamChange('erosionMinSlope', +v)} description="Only erode ground at least this steep (degrees)." />
+          <ParameterControl label="Max Slope" type="range" min={0} max={90} step={1} value={params.erosionMaxSlope ?? 90} onChange={v => handleParamChange('erosionMaxSlope', +v)} description="Only erode ground at most this steep (degrees)." />
+          <ParameterControl label="Region Mask" type="select" value={params.erosionPaintMode || 'off'} onChange={v => params.onErosionPaintModeChange && params.onErosionPaintModeChange(v)} options={regionPaintOptions} description="Darkens protected ground in the 2D view; paint modes draw on it with the mouse." />
+          {(params.erosionPaintMode === 'protect' || params.erosionPaintMode === 'erode') && (
+            <ParameterControl label="Brush Size" type="range" min={0.005} max={0.25} step={0.005} value={params.erosionPaintRadius ?? 0.05} onChange={v => handleParamChange('erosionPaintRadius', +v)} description="Brush radius as a fraction of the map width." />
+          )}
+          {params.onClearErosionPaint && params.erosionPaintMode && params.erosionPaintMode !== 'off' && (
+            <button
+              onClick={() => params.onClearErosionPaint()}
+              style={{
+                padding: '6px 14px',
+                marginBottom: 18,
+                background: '#444',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '7px',
+                fontWeight: 600,
+                fontSize: 14,
+                cursor: 'pointer'
+              }}
+            >
+              Clear Painted Mask
+            </button>
+          )}
+          <ParameterControl label="Snapshots per Run" type="number" min={1} max={100} step={1} value={params.erosionSnapshotCount || 20} onChange={v => handleParamChange('erosionSnapshotCount', Math.floor(+v))} description="Timeline points kept per run (delta-compressed)." />
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginTop: 10, flexWrap: 'wrap' }}>
             <button
               onClick={() => params.onStartErosion && params.onStartErosion()}
               style={{
@@ -314,7 +501,7 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
               Start Erosion
             </button>
             <button
-              onClick={() => params.onStopErosion && params.onStopErosion()}
+              onClick={() => (params.erosionPaused ? params.onResumeErosion : params.onPauseErosion)()}
               style={{
                 padding: '8px 18px',
                 background: 'linear-gradient(90deg, #6ec1e4 60%, #e46e6e 100%)',
@@ -323,14 +510,34 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
                 borderRadius: '7px',
                 fontWeight: 700,
                 fontSize: 15,
-                cursor: !params.erosionRunning ? 'not-allowed' : 'pointer',
+                cursor: !params.onPauseErosion && !params.onResumeErosion ? 'not-allowed' : 'pointer',
                 boxShadow: '0 2px 8px 0 rgba(110,193,228,0.08)',
                 transition: 'background 0.2s, box-shadow 0.2s',
-                opacity: !params.erosionRunning ? 0.5 : 1
+                opacity: !params.onPauseErosion && !params.onResumeErosion ? 0.5 : 1
               }}
-              disabled={!params.erosionRunning}
+              disabled={!params.onPauseErosion && !params.onResumeErosion}
             >
-              Stop Erosion
+              {params.erosionPaused ? 'Resume' : 'Pause'}
+            </button>
+            <button
+              onClick={() => params.onCancelErosion && params.onCancelErosion()}
+              style={{
+                padding: '8px 18px',
+                background: '#444',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '7px',
+                fontWeight: 700,
+                fontSize: 15,
+                cursor: !params.onCancelErosion ? 'not-allowed' : 'pointer',
+                boxShadow: '0 2px 8px 0 rgba(110,193,228,0.08)',
+                transition: 'background 0.2s, box-shadow 0.2s',
+                opacity: !params.onCancelErosion ? 0.5 : 1
+              }}
+              disabled={!params.onCancelErosion}
+              title="Stop the run and shut down the erosion worker; the terrain keeps the last step."
+            >
+              Cancel
             </button>
             {params.onResetErosion && (
               <button
@@ -357,9 +564,86 @@ const SettingsPanel = React.memo(({ params, onParamChange, onReset }) => {
               </div>
             )}
             {params.erosionProgress !== undefined && (
-              <span style={{ color: '#e46e6e', fontWeight: 600, fontSize: 14, marginLeft: 8 }}>{Math.round(params.erosionProgress * 100)}%</span>
+              <span style={{ color: '#e46e6e', fontWeight: 600, fontSize: 14, marginLeft: 8 }}>
+                {Math.round(params.erosionProgress * 100)}%{params.erosionPaused ? ' (paused)' : ''}
+              </span>
+            )}
+            {params.erosionComputeTime > 0 && (
+              <span style={{ color: '#aaa', fontSize: 12 }} title="Worker compute time of this run">
+                {(params.erosionComputeTime / 1000).toFixed(2)} s
+              </span>
             )}
           </div>
+          {params.erosionError && (
+            <div style={{ color: '#e46e6e', fontSize: 13, marginTop: 8 }}>Erosion failed: {params.erosionError}</div>
+          )}
+          {params.erosionSnapshots && params.erosionSnapshots.length > 1 && (() => {
+            const snapshots = params.erosionSnapshots;
+            const index = Math.max(0, Math.min(snapshots.length - 1, params.erosionSnapshotIndex));
+            const current = snapshots[index];
+            return (
+              <div style={{ marginTop: 14 }}>
+                <ParameterControl
+                  label="Timeline"
+                  type="range"
+                  min={0}
+                  max={snapshots.length - 1}
+                  step={1}
+                  value={index}
+                  onChange={v => params.onScrubErosion && params.onScrubErosion(+v)}
+                  description={`Run ${current.run}, ${Math.round(current.progress * 100)}% (${snapshots.length} snapshots, ${(params.erosionHistoryBytes / 1048576).toFixed(1)} MB)`}
+                />
+                <ParameterControl label="Compare Before/After" type="checkbox" value={!!params.erosionCompare} onChange={v => params.onToggleErosionCompare && params.onToggleErosionCompare(v)} description="Left half of the 2D view shows the terrain before erosion." />
+                <button
+                  onClick={() => params.onBranchErosion && params.onBranchErosion()}
+                  style={{
+                    padding: '8px 18px',
+                    background: 'linear-gradient(90deg, #6ec1e4 60%, #fff 100%)',
+                    color: '#23243a',
+                    border: 'none',
+                    borderRadius: '7px',
+                    fontWeight: 700,
+                    fontSize: 15,
+                    cursor: !params.onBranchErosion ? 'not-allowed' : 'pointer',
+                    boxShadow: '0 2px 8px 0 rgba(110,193,228,0.08)',
+                    transition: 'background 0.2s, box-shadow 0.2s',
+                    opacity: !params.onBranchErosion ? 0.5 : 1
+                  }}
+                  disabled={!params.onBranchErosion}
+                  title="Discard later snapshots; the next Start Erosion continues from this one with the current settings."
+                >
+                  Branch From Here
+                </button>
+              </div>
+            );
+          })()}
+        </CollapsibleSection>
+        <CollapsibleSection title="Hydrology" defaultOpen={false}>
+          <ParameterControl label="Min Basin Area" type="range" min={0} max={0.05} step={0.0005} value={params.basinMinArea ?? 0.001} onChange={v => handleParamChange('basinMinArea', +v)} description="Basins smaller than this fraction of the map merge into the basin they spill into." />
+          <ParameterControl label="Basins Drain to Edge" type="checkbox" value={params.basinsDrainToEdge || false} onChange={v => handleParamChange('basinsDrainToEdge', v)} description="Fill depressions first, so every basin is a catchment of the map edge instead of a closed depression." />
+          <ParameterControl label="River Threshold" type="range" min={0.0002} max={0.05} step={0.0002} value={params.riverThreshold ?? 0.002} onChange={v => handleParamChange('riverThreshold', +v)} description="Contributing area (fraction of the map) where a river begins." />
+          <ParameterControl label="River Width" type="range" min={0.5} max={4} step={0.1} value={params.riverWidth ?? 1} onChange={v => handleParamChange('riverWidth', +v)} description="Width in cells where a river begins; grows with the square root of the flow." />
+          <ParameterControl label="Max River Width" type="range" min={1} max={20} step={0.5} value={params.riverMaxWidth ?? 6} onChange={v => handleParamChange('riverMaxWidth', +v)} description="Widest river, in cells." />
+          <ParameterControl label="River Depth" type="range" min={0} max={0.2} step={0.001} value={params.riverDepth ?? 0.02} onChange={v => handleParamChange('riverDepth', +v)} description="Bed depth carved below the terrain (deeper for wider rivers)." />
+          <ParameterControl label="Rivers in 3D" type="checkbox" value={params.enableRivers || false} onChange={v => handleParamChange('enableRivers', v)} description="Show river ribbons along the beds in the 3D view." />
+          {(params.onCarveRivers || params.onExportRivers) && (
+            <div style={{ display: 'flex', gap: 12, marginTop: 10, flexWrap: 'wrap' }}>
+              <button
+                onClick={() => params.onCarveRivers()}
+                style={{ background: '#6e8ee4', color: '#fff', border: 'none', borderRadius: 8, padding: '8px 16px', fontWeight: 600, cursor: 'pointer' }}
+                title="Lower the river beds into the current heightmap."
+              >
+                Carve Rivers
+              </button>
+              <button
+                onClick={() => params.onExportRivers()}
+                style={{ background: '#23243a', color: '#e3e3e3', border: '1.5px solid #6e8ee4', borderRadius: 8, padding: '8px 16px', fontWeight: 600, cursor: 'pointer' }}
+                title="Download the river centrelines with flow and width as GeoJSON."
+              >
+                Export Rivers (GeoJSON)
+              </button>
+            </div>
+          )}
         </CollapsibleSection>
       </div>
     </div>
@@ -398,7 +682,9 @@ SettingsPanel.propTypes = {
     sedimentCurvatureIntensity: PropTypes.number.isRequired,
     enableWater: PropTypes.bool.isRequired,
     waterLevel: PropTypes.number.isRequired,
-    scatterLayers: PropTypes.array.isRequired
+    scatterLayers: PropTypes.array.isRequired,
+    useTerrainGraph: PropTypes.bool,
+    terrainGraph: PropTypes.object
   }).isRequired,
   onParamChange: PropTypes.func.isRequired,
   onReset: PropTypes.func.isRequired
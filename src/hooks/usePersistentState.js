@@ -16,8 +16,7 @@ const ensureDefaults = (value, defaultValue) => {
   // Ensure Worley noise parameters
   result.worleyPoints = result.worleyPoints || 256;
   result.worleySeed = result.worleySeed || Math.random() * 1000;
-  result.worleyWeight = result.worleyWeight || 0.5;
-  result.worleyDimension = result.worleyDimension || 2;
+  result.worleyWeight = result.worleyWeight ?? 0.5;
   
   // Ensure color values
   result.desertColor = result.desertColor || new THREE.Color(0.76, 0.7, 0.5);
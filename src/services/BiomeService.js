@@ -0,0 +1,256 @@
+import * as THREE from 'three';
+import { computeFlowMap, normalizeFlowMap, computeLakes } from './HeightfieldService';
+
+/**
+ * Whittaker-style biomes, indexed by id. Colours are the ground tint the terrain shader uses.
+ * @type {Array<{id: number, key: string, label: string, color: string}>}
+ */
+export const BIOMES = [
+  { key: 'ice', label: 'Ice', color: '#e8eef2' },
+  { key: 'tundra', label: 'Tundra', color: '#8c8f72' },
+  { key: 'borealForest', label: 'Boreal Forest', color: '#2f4f33' },
+  { key: 'grassland', label: 'Temperate Grassland', color: '#8c9a52' },
+  { key: 'shrubland', label: 'Shrubland', color: '#7f7a4a' },
+  { key: 'temperateForest', label: 'Temperate Forest', color: '#3f6a2c' },
+  { key: 'temperateRainforest', label: 'Temperate Rainforest', color: '#2a5a32' },
+  { key: 'desert', label: 'Desert', color: '#d2b98a' },
+  { key: 'savanna', label: 'Savanna', color: '#a89a4c' },
+  { key: 'tropicalForest', label: 'Tropical Seasonal Forest', color: '#4f7a26' },
+  { key: 'tropicalRainforest', label: 'Tropical Rainforest', color: '#1f5a1e' },
+].map((biome, id) => ({ id, ...biome }));
+
+const BIOME_IDS = Object.fromEntries(BIOMES.map(biome => [biome.key, biome.id]));
+
+// Whittaker table: temperature bands (upper bound, coldest first), each split into moisture
+// bands (upper bound, driest first)
+const WHITTAKER_TABLE = [
+  { temperature: 0.1, moisture: [[1, 'ice']] },
+  { temperature: 0.25, moisture: [[1, 'tundra']] },
+  { temperature: 0.45, moisture: [[0.2, 'grassland'], [1, 'borealForest']] },
+  { temperature: 0.7, moisture: [[0.2, 'grassland'], [0.4, 'shrubland'], [0.7, 'temperateForest'], [1, 'temperateRainforest']] },
+  { temperature: Infinity, moisture: [[0.25, 'desert'], [0.5, 'savanna'], [0.75, 'tropicalForest'], [1, 'tropicalRainforest']] },
+];
+
+/**
+ * Temperature in [0, 1] (1 = hottest): falls towards the north edge (row 0) with latitude and
+ * with elevation above sea level (lapse rate over the relief of the map).
+ * @param {Float32Array} heightMap - Heights, row-major.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {object} [options]
+ * @param {number} [options.seaLevel] - Elevation where the lapse rate starts (defaults to the lowest cell).
+ * @param {number} [options.baseTemperature=0.9] - Temperature at sea level on the south edge.
+ * @param {number} [options.latitudeGradient=0.3] - Drop from the south edge to the north edge.
+ * @param {number} [options.lapseRate=0.7] - Drop from sea level to the highest peak.
+ * @returns {Float32Array}
+ */
+export function computeTemperature(heightMap, width, height, {
+  seaLevel = -Infinity, baseTemperature = 0.9, latitudeGradient = 0.3, lapseRate = 0.7
+} = {}) {
+  let minH = Infinity, maxH = -Infinity;
+  for (let i = 0; i < heightMap.length; i++) {
+    if (heightMap[i] < minH) minH = heightMap[i];
+    if (heightMap[i] > maxH) maxH = heightMap[i];
+  }
+  const base = Math.max(seaLevel, minH);
+  const relief = maxH - base;
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const latitude = 1 - y / Math.max(height - 1, 1);
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const elevation = relief > 0 ? Math.max(0, heightMap[i] - base) / relief : 0;
+      const t = baseTemperature - latitudeGradient * latitude - lapseRate * elevation;
+      out[i] = Math.max(0, Math.min(1, t));
+    }
+  }
+  return out;
+}
+
+// Distance (world units) from every cell to the nearest water cell, by a two-pass 8-neighbour
+// chamfer transform; Infinity everywhere when there is no water
+function distanceToWater(water, width, height, dx, dy) {
+  const dist = new Float32Array(width * height);
+  for (let i = 0; i < dist.length; i++) dist[i] = water[i] ? 0 : Infinity;
+  const diagonal = Math.hypot(dx, dy);
+  // Forward pass looks at the already visited neighbours above and to the left, the backward
+  // pass at those below and to the right
+  const passes = [
+    [[-1, 0, dx], [-1, -1, diagonal], [0, -1, dy], [1, -1, diagonal]],
+    [[1, 0, dx], [1, 1, diagonal], [0, 1, dy], [-1, 1, diagonal]],
+  ];
+  passes.forEach((neighbours, pass) => {
+    for (let k = 0; k < width * height; k++) {
+      const i = pass === 0 ? k : width * height - 1 - k;
+      const x = i % width, y = (i - x) / width;
+      let d = dist[i];
+      for (const [ox, oy, step] of neighbours) {
+        const nx = x + ox, ny = y + oy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        d = Math.min(d, dist[ny * width + nx] + step);
+      }
+      dist[i] = d;
+    }
+  });
+  return dist;
+}
+
+/**
+ * Moisture in [0, 1] from distance to water, accumulated flow and a wind-driven rain shadow:
+ * air picks up moisture near water and along rivers, rains out on slopes facing the wind and
+ * arrives dry behind ridges.
+ * @param {Float32Array} heightMap - Heights, row-major.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {number} worldWidth - World-space width of the terrain.
+ * @param {number} worldHeight - World-space depth of the terrain.
+ * @param {object} [options]
+ * @param {Uint8Array} [options.water] - 1 for water cells (sea, lakes, rivers).
+ * @param {Float32Array} [options.flow] - Normalized flow accumulation (see normalizeFlowMap).
+ * @param {number} [options.baseMoisture=0.2] - Moisture far from any water.
+ * @param {number} [options.waterRange=0.15] - Distance (fraction of the world width) over which water's influence fades.
+ * @param {number} [options.flowWeight=0.3] - Moisture added along the strongest flow.
+ * @param {number} [options.windDirection=270] - Direction the wind comes from, degrees clockwise from north (row 0).
+ * @param {number} [options.rainShadow=0.6] - Strength of the windward wetting and leeward drying, 0-1.
+ * @param {number} [options.shadowDistance=0.25] - How far upwind (fraction of the world width) ridges cast a rain shadow.
+ * @returns {Float32Array}
+ */
+export function computeMoisture(heightMap, width, height, worldWidth, worldHeight, {
+  water = null, flow = null, baseMoisture = 0.2, waterRange = 0.15, flowWeight = 0.3,
+  windDirection = 270, rainShadow = 0.6, shadowDistance = 0.25
+} = {}) {
+  const n = width * height;
+  const dx = worldWidth / (width - 1);
+  const dy = worldHeight / (height - 1);
+  let minH = Infinity, maxH = -Infinity;
+  for (let i = 0; i < n; i++) {
+    if (heightMap[i] < minH) minH = heightMap[i];
+    if (heightMap[i] > maxH) maxH = heightMap[i];
+  }
+  const relief = maxH - minH || 1;
+  const dist = water ? distanceToWater(water, width, height, dx, dy) : null;
+  const range = Math.max(waterRange * worldWidth, 1e-6);
+  // Upwind step of one cell, in cells (rows run south, so north is -y)
+  const angle = windDirection * Math.PI / 180;
+  const ux = Math.sin(angle), uy = -Math.cos(angle);
+  const stepLength = Math.hypot(ux * dx, uy * dy);
+  const reach = Math.max(1, Math.round(shadowDistance * worldWidth / stepLength));
+  const samples = Math.min(reach, 64);
+  const sample = (x, y) => {
+    const sx = Math.max(0, Math.min(width - 1, Math.round(x)));
+    const sy = Math.max(0, Math.min(height - 1, Math.round(y)));
+    return heightMap[sy * width + sx];
+  };
+  const out = new Float32Array(n);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const h = heightMap[i];
+      let m = baseMoisture;
+      if (dist) m += (1 - baseMoisture) * Math.exp(-dist[i] / range);
+      if (flow) m += flowWeight * flow[i];
+      if (rainShadow > 0) {
+        // Highest ridge upwind, counting less the further away it is
+        let barrier = 0;
+        for (let s = 1; s <= samples; s++) {
+          const d = s * reach / samples;
+          const px = x + ux * d, py = y + uy * d;
+          if (px < 0 || py < 0 || px > width - 1 || py > height - 1) break;
+          barrier = Math.max(barrier, (sample(px, py) - h) / relief * (1 - d / (reach + 1)));
+        }
+        const shadow = Math.min(1, barrier / 0.25);
+        // Rise along the wind (tangent of the slope) lifts the air and wrings out its moisture
+        const lift = Math.max(0, Math.min(1, (h - sample(x + ux, y + uy)) / stepLength));
+        m = m * (1 - rainShadow * shadow) + 0.3 * rainShadow * lift;
+      }
+      out[i] = Math.max(0, Math.min(1, m));
+    }
+  }
+  return out;
+}
+
+/**
+ * Classifies every cell into one of BIOMES from its temperature and moisture (Whittaker diagram).
+ * @param {Float32Array} temperature - Temperature per cell in [0, 1].
+ * @param {Float32Array} moisture - Moisture per cell in [0, 1].
+ * @returns {Uint8Array} - Biome id per cell.
+ */
+export function classifyBiomes(temperature, moisture) {
+  const out = new Uint8Array(temperature.length);
+  for (let i = 0; i < out.length; i++) {
+    const band = WHITTAKER_TABLE.find(row => temperature[i] < row.temperature);
+    const [, key] = band.moisture.find(([limit]) => moisture[i] < limit) || band.moisture[band.moisture.length - 1];
+    out[i] = BIOME_IDS[key];
+  }
+  return out;
+}
+
+/**
+ * Temperature, moisture and biome maps of a heightmap. Water is the sea below waterLevel, the
+ * lakes of filled depressions (when lakes is set) and cells draining more than riverThreshold of
+ * the map.
+ * @param {Float32Array} heightMap - Heights, row-major.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {number} worldWidth - World-space width of the terrain.
+ * @param {number} worldHeight - World-space depth of the terrain.
+ * @param {object} [options] - Also passed on to computeTemperature and computeMoisture.
+ * @param {number} [options.waterLevel] - Sea level (none by default).
+ * @param {boolean} [options.lakes=false] - Count lakes as water.
+ * @param {number} [options.riverThreshold=0.002] - Contributing area (fraction of the map) that counts as a river.
+ * @returns {{temperature: Float32Array, moisture: Float32Array, biomes: Uint8Array}}
+ */
+export function computeBiomes(heightMap, width, height, worldWidth, worldHeight, options = {}) {
+  const { waterLevel = -Infinity, lakes = false, riverThreshold = 0.002 } = options;
+  const n = width * height;
+  const flow = computeFlowMap(heightMap, width, height);
+  const lakeDepth = lakes ? computeLakes(heightMap, width, height, { minArea: 4 }).depth : null;
+  const water = new Uint8Array(n);
+  const riverCells = Math.max(2, riverThreshold * n);
+  for (let i = 0; i < n; i++) {
+    water[i] = heightMap[i] <= waterLevel || (lakeDepth && lakeDepth[i] > 0) || flow[i] >= riverCells ? 1 : 0;
+  }
+  const temperature = computeTemperature(heightMap, width, height, { ...options, seaLevel: waterLevel });
+  const moisture = computeMoisture(heightMap, width, height, worldWidth, worldHeight, {
+    ...options, water, flow: normalizeFlowMap(flow)
+  });
+  return { temperature, moisture, biomes: classifyBiomes(temperature, moisture) };
+}
+
+/**
+ * Packs the biome maps into an RGBA texture for the terrain shader: R = biome id, G = temperature,
+ * B = moisture. Rows are flipped so the texture lines up with the mesh UVs; nearest filtering
+ * keeps the ids intact.
+ * @param {{temperature: Float32Array, moisture: Float32Array, biomes: Uint8Array}} maps - From computeBiomes.
+ * @param {number} width - Width of the maps.
+ * @param {number} height - Height of the maps.
+ * @returns {THREE.DataTexture}
+ */
+export function createBiomeTexture({ temperature, moisture, biomes }, width, height) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const src = y * width;
+    const dst = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      const o = (dst + x) * 4;
+      data[o] = biomes[src + x];
+      data[o + 1] = Math.round(temperature[src + x] * 255);
+      data[o + 2] = Math.round(moisture[src + x] * 255);
+      data[o + 3] = 255;
+    }
+  }
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+  texture.magFilter = THREE.NearestFilter;
+  texture.minFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Biome ground colours for the shader's palette uniform, indexed by biome id. Kept as the
+ * display values, like the colours written into the terrain shader.
+ * @returns {Array<THREE.Color>}
+ */
+export function getBiomePalette() {
+  return BIOMES.map(biome => new THREE.Color().setStyle(biome.color, THREE.LinearSRGBColorSpace));
+}
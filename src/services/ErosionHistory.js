@@ -0,0 +1,221 @@
+// Deltas are quantised to this fraction of a field's value range (the precision of a 16-bit heightmap)
+const PRECISION = 1 / 65536;
+// Memory the snapshots may hold before the oldest keyframes are evicted
+const DEFAULT_MAX_BYTES = 256 * 1048576;
+
+/**
+ * Delta-compressed timeline of erosion snapshots. Each snapshot holds a set of equally sized
+ * Float32Arrays (heightmap and masks), quantised to 8 or 16 bits per cell: every
+ * keyframeInterval-th snapshot is stored as a whole, the others as the change since the previous
+ * snapshot, listing only the changed cells when that is smaller. Restoring any snapshot replays at
+ * most keyframeInterval - 1 deltas.
+ *
+ * Quantisation errors do not add up, as each delta is taken against the previous snapshot as it
+ * will be restored. Fields given in `derived` are only stored on keyframes and rebuilt from the
+ * other fields in between. Once the snapshots hold more than maxBytes, the oldest keyframe and its
+ * deltas are evicted and the remaining snapshots renumbered.
+ */
+export default class ErosionHistory {
+  /**
+   * @param {number} [keyframeInterval=8] - A whole snapshot is kept every N snapshots.
+   * @param {Object} [options]
+   * @param {number} [options.maxBytes] - Memory budget of the snapshots.
+   * @param {Object<string, Function>} [options.derived] - Fields rebuilt by (state, keyframe) => Float32Array
+   *   from the other fields of a snapshot and of its keyframe, instead of being stored.
+   */
+  constructor(keyframeInterval = 8, { maxBytes = DEFAULT_MAX_BYTES, derived = {} } = {}) {
+    this.keyframeInterval = Math.max(1, keyframeInterval);
+    this.maxBytes = maxBytes;
+    this.derived = derived;
+    this.clear();
+  }
+
+  /**
+   * Drop every snapshot.
+   */
+  clear() {
+    this.snapshots = [];
+    // The last snapshot and its keyframe, as get() restores them
+    this.latest = null;
+    this.keyframe = null;
+    this.bytes = 0;
+  }
+
+  /**
+   * Number of stored snapshots.
+   * @returns {number}
+   */
+  get length() {
+    return this.snapshots.length;
+  }
+
+  /**
+   * Append a snapshot of the given state, evicting the oldest keyframes when over budget.
+   * @param {Object<string, Float32Array>} state - Arrays to record (copied, not retained).
+   * @param {Object} info - Metadata returned by list(), e.g. { run, progress }.
+   * @returns {Object} - The snapshot's info, with its index.
+   */
+  push(state, info) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    const cells = Object.values(state)[0].length;
+    const keyframe = !last || last.sinceKeyframe + 1 >= this.keyframeInterval
+      || Object.keys(state).some(key => !this.latest[key]);
+    const fields = {};
+    if (keyframe) this.latest = emptyState(Object.keys(state), cells);
+    for (const [key, values] of Object.entries(state)) {
+      if (!keyframe && this.derived[key]) continue;
+      fields[key] = encodeDelta(this.latest[key], values);
+      applyDelta(this.latest[key], fields[key]);
+    }
+    if (keyframe) {
+      this.keyframe = copyState(this.latest);
+    } else {
+      for (const [key, derive] of Object.entries(this.derived)) {
+        if (state[key]) this.latest[key] = derive(this.latest, this.keyframe);
+      }
+    }
+    const entry = { ...info, index: this.snapshots.length };
+    const bytes = fieldBytes(fields);
+    this.snapshots.push({
+      info: entry, fields, keyframe, sinceKeyframe: keyframe ? 0 : last.sinceKeyframe + 1, cells, bytes
+    });
+    this.bytes += bytes;
+    this.evict();
+    return entry;
+  }
+
+  /**
+   * Rebuild one snapshot.
+   * @param {number} index - Snapshot index.
+   * @returns {Object<string, Float32Array>} - Fresh copies of the recorded arrays.
+   */
+  get(index) {
+    return this.restore(index).state;
+  }
+
+  /**
+   * Discard every snapshot after index, so new snapshots branch from it.
+   * @param {number} index - Last snapshot to keep.
+   */
+  truncate(index) {
+    const { state, keyframe } = this.restore(index);
+    this.latest = state;
+    this.keyframe = keyframe;
+    for (const snapshot of this.snapshots.splice(index + 1)) this.bytes -= snapshot.bytes;
+  }
+
+  /**
+   * Metadata of every snapshot, oldest first.
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.snapshots.map(s => s.info);
+  }
+
+  /**
+   * Memory held by the snapshots.
+   * @returns {number} - Bytes.
+   */
+  byteLength() {
+    return this.bytes;
+  }
+
+  /**
+   * A snapshot and the keyframe it is replayed from.
+   * @private
+   */
+  restore(index) {
+    if (index < 0 || index >= this.snapshots.length) {
+      throw new Error(`No erosion snapshot ${index}`);
+    }
+    const start = index - this.snapshots[index].sinceKeyframe;
+    const { fields, cells } = this.snapshots[start];
+    const keyframe = emptyState(Object.keys(fields), cells);
+    for (const [key, field] of Object.entries(fields)) applyDelta(keyframe[key], field);
+    const state = copyState(keyframe);
+    for (let i = start + 1; i <= index; i++) {
+      for (const [key, field] of Object.entries(this.snapshots[i].fields)) applyDelta(state[key], field);
+    }
+    if (index > start) {
+      for (const [key, derive] of Object.entries(this.derived)) {
+        if (state[key]) state[key] = derive(state, keyframe);
+      }
+    }
+    return { state, keyframe };
+  }
+
+  /**
+   * Drop the oldest keyframe and its deltas while over budget; the latest keyframe always stays.
+   * @private
+   */
+  evict() {
+    while (this.bytes > this.maxBytes) {
+      const next = this.snapshots.findIndex((snapshot, i) => i > 0 && snapshot.keyframe);
+      if (next < 0) return;
+      for (const snapshot of this.snapshots.splice(0, next)) this.bytes -= snapshot.bytes;
+      this.snapshots.forEach((snapshot, i) => { snapshot.info.index = i; });
+    }
+  }
+}
+
+function copyState(state) {
+  const copy = {};
+  for (const [key, values] of Object.entries(state)) copy[key] = new Float32Array(values);
+  return copy;
+}
+
+// Zeroed arrays, which keyframes are encoded against
+function emptyState(keys, cells) {
+  const state = {};
+  for (const key of keys) state[key] = new Float32Array(cells);
+  return state;
+}
+
+function fieldBytes(fields) {
+  let bytes = 0;
+  for (const { indices, codes } of Object.values(fields)) bytes += (indices ? indices.byteLength : 0) + codes.byteLength;
+  return bytes;
+}
+
+// Change from previous to values as 8 or 16-bit codes, for every cell or for the changed cells
+// only, whichever is smaller. The step is PRECISION of the field's range, or coarser when a change
+// would not fit in 16 bits.
+function encodeDelta(previous, values) {
+  let min = Infinity;
+  let max = -Infinity;
+  let largest = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i];
+    if (values[i] > max) max = values[i];
+    largest = Math.max(largest, Math.abs(values[i] - previous[i]));
+  }
+  if (largest === 0) return { step: 0, indices: new Uint32Array(0), codes: new Int8Array(0) };
+  const step = Math.max((max - min) * PRECISION, largest / 32767);
+  const largestCode = Math.round(largest / step);
+  const Codes = largestCode > 127 ? Int16Array : Int8Array;
+  const dense = new Codes(values.length);
+  let changed = 0;
+  for (let i = 0; i < values.length; i++) {
+    dense[i] = Math.round((values[i] - previous[i]) / step);
+    if (dense[i] !== 0) changed++;
+  }
+  // An index costs 4 bytes on top of its code
+  if (changed * (4 + Codes.BYTES_PER_ELEMENT) >= dense.byteLength) return { step, codes: dense };
+  const indices = new Uint32Array(changed);
+  const codes = new Codes(changed);
+  for (let i = 0, j = 0; i < dense.length; i++) {
+    if (dense[i] !== 0) {
+      indices[j] = i;
+      codes[j++] = dense[i];
+    }
+  }
+  return { step, indices, codes };
+}
+
+function applyDelta(target, { step, indices, codes }) {
+  if (indices) {
+    for (let i = 0; i < indices.length; i++) target[indices[i]] += codes[i] * step;
+  } else {
+    for (let i = 0; i < codes.length; i++) target[i] += codes[i] * step;
+  }
+}
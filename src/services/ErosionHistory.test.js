@@ -0,0 +1,80 @@
+/* eslint-env jest */
+import ErosionHistory from './ErosionHistory';
+
+const CELLS = 64 * 64;
+// Keyframes of the heightmap below quantise to steps of 1/32767 (its largest magnitude is about 1)
+const HEIGHT_TOLERANCE = 1 / 32767;
+
+// A heightmap that erodes a little more with every frame, plus a mask that accumulates
+function frame(n) {
+  const heightMap = new Float32Array(CELLS);
+  const eroded = new Float32Array(CELLS);
+  for (let i = 0; i < CELLS; i++) {
+    heightMap[i] = Math.sin(i / 37) - 0.002 * n * Math.cos(i / 11);
+    eroded[i] = i % 7 < n ? 0.01 * n : 0;
+  }
+  return { heightMap, eroded };
+}
+
+function expectClose(actual, expected, tolerance) {
+  let worst = 0;
+  for (let i = 0; i < expected.length; i++) worst = Math.max(worst, Math.abs(actual[i] - expected[i]));
+  expect(worst).toBeLessThanOrEqual(tolerance);
+}
+
+test('every snapshot is rebuilt from its keyframe and deltas within the quantisation step', () => {
+  const history = new ErosionHistory(4, { maxBytes: Infinity });
+  for (let n = 0; n < 11; n++) history.push(frame(n), { run: 0, progress: n / 10 });
+  expect(history.length).toBe(11);
+  for (let n = 0; n < 11; n++) {
+    const state = history.get(n);
+    expectClose(state.heightMap, frame(n).heightMap, HEIGHT_TOLERANCE);
+    expectClose(state.eroded, frame(n).eroded, 0.1 / 32767);
+  }
+});
+
+test('quantisation errors do not add up over deltas', () => {
+  const history = new ErosionHistory(64, { maxBytes: Infinity });
+  for (let n = 0; n < 40; n++) history.push(frame(n), { run: 0 });
+  expectClose(history.get(39).heightMap, frame(39).heightMap, HEIGHT_TOLERANCE);
+});
+
+test('derived fields are rebuilt instead of stored', () => {
+  const derive = state => state.heightMap.map(h => h * 2);
+  const history = new ErosionHistory(4, { maxBytes: Infinity, derived: { doubled: derive } });
+  const withDoubled = n => ({ ...frame(n), doubled: frame(n).heightMap.map(h => h * 2) });
+  for (let n = 0; n < 3; n++) history.push(withDoubled(n), { run: 0 });
+  expect(history.snapshots[1].fields.doubled).toBeUndefined();
+  expectClose(history.get(2).doubled, withDoubled(2).doubled, 2 * HEIGHT_TOLERANCE);
+});
+
+test('truncate drops later snapshots so new ones branch from the kept one', () => {
+  const history = new ErosionHistory(4, { maxBytes: Infinity });
+  for (let n = 0; n < 6; n++) history.push(frame(n), { run: 0 });
+  history.truncate(2);
+  expect(history.length).toBe(3);
+  const entry = history.push(frame(9), { run: 1 });
+  expect(entry.index).toBe(3);
+  expectClose(history.get(3).heightMap, frame(9).heightMap, HEIGHT_TOLERANCE);
+  expectClose(history.get(2).heightMap, frame(2).heightMap, HEIGHT_TOLERANCE);
+});
+
+test('the oldest keyframes are evicted over budget and the rest renumbered', () => {
+  const unbounded = new ErosionHistory(3, { maxBytes: Infinity });
+  for (let n = 0; n < 9; n++) unbounded.push(frame(n), { run: 0, progress: n });
+  // Exactly the bytes of the last two keyframe groups
+  const budget = unbounded.snapshots.slice(3).reduce((sum, s) => sum + s.bytes, 0);
+  const history = new ErosionHistory(3, { maxBytes: budget });
+  for (let n = 0; n < 9; n++) history.push(frame(n), { run: 0, progress: n });
+  expect(history.byteLength()).toBeLessThanOrEqual(budget);
+  expect(history.list().map(info => info.progress)).toEqual([3, 4, 5, 6, 7, 8]);
+  expect(history.list().map(info => info.index)).toEqual([0, 1, 2, 3, 4, 5]);
+  expectClose(history.get(0).heightMap, frame(3).heightMap, HEIGHT_TOLERANCE);
+  expectClose(history.get(5).heightMap, frame(8).heightMap, HEIGHT_TOLERANCE);
+});
+
+test('an unknown snapshot index throws', () => {
+  const history = new ErosionHistory();
+  history.push(frame(0), { run: 0 });
+  expect(() => history.get(1)).toThrow('No erosion snapshot 1');
+});
@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { encodePNG } from './HeightmapIOService';
+
+/**
+ * Output masks recorded by ErosionSimulator.
+ * @enum {string}
+ */
+export const EROSION_MASKS = {
+  ERODED: 'eroded',
+  DEPOSITED: 'deposited',
+  WETNESS: 'wetness',
+  FLOW_DIRECTION: 'flowDirection',
+};
+
+/**
+ * Select options for the 2D overlay (including "none").
+ * @type {Array<{value: string, label: string}>}
+ */
+export const EROSION_OVERLAY_OPTIONS = [
+  { value: 'none', label: 'No Overlay' },
+  { value: EROSION_MASKS.ERODED, label: 'Eroded' },
+  { value: EROSION_MASKS.DEPOSITED, label: 'Deposited' },
+  { value: EROSION_MASKS.WETNESS, label: 'Wetness' },
+  { value: EROSION_MASKS.FLOW_DIRECTION, label: 'Flow Direction' },
+];
+
+// Overlay tint per mask (flow direction is drawn as a hue wheel instead)
+const OVERLAY_COLORS = {
+  [EROSION_MASKS.ERODED]: [228, 110, 110],
+  [EROSION_MASKS.DEPOSITED]: [228, 176, 110],
+  [EROSION_MASKS.WETNESS]: [110, 193, 228],
+};
+// Tint for cells a region mask protects from erosion
+const REGION_OVERLAY_COLOR = [40, 52, 96];
+
+/**
+ * Rescales one mask to [0, 1]. Amounts are divided by their maximum; wetness is log-scaled
+ * because traffic concentrates by orders of magnitude along channels; flow direction is already
+ * an angle in [0, 1).
+ * @param {object} masks - Masks from ErosionSimulator.getMasks.
+ * @param {string} key - One of EROSION_MASKS.
+ * @returns {Float32Array}
+ */
+export function normalizeErosionMask(masks, key) {
+  const mask = masks[key];
+  if (key === EROSION_MASKS.FLOW_DIRECTION) return new Float32Array(mask);
+  const out = new Float32Array(mask.length);
+  let max = 0;
+  for (let i = 0; i < mask.length; i++) if (mask[i] > max) max = mask[i];
+  if (max <= 0) return out;
+  if (key === EROSION_MASKS.WETNESS) {
+    const logMax = Math.log1p(max);
+    for (let i = 0; i < mask.length; i++) out[i] = Math.log1p(Math.max(mask[i], 0)) / logMax;
+  } else {
+    for (let i = 0; i < mask.length; i++) out[i] = Math.max(mask[i], 0) / max;
+  }
+  return out;
+}
+
+/**
+ * Tints a grayscale RGBA image (e.g. the 2D heightmap view) with one mask, in place.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, one per cell.
+ * @param {object} masks - Masks from ErosionSimulator.getMasks.
+ * @param {string} key - One of EROSION_MASKS.
+ */
+export function applyErosionOverlay(pixels, masks, key) {
+  const values = normalizeErosionMask(masks, key);
+  const color = new THREE.Color();
+  for (let i = 0; i < values.length; i++) {
+    let r, g, b, alpha;
+    if (key === EROSION_MASKS.FLOW_DIRECTION) {
+      // Hue encodes the direction; only cells water has passed through are tinted
+      if (masks.wetness[i] <= 0) continue;
+      color.setHSL(values[i], 0.8, 0.55);
+      r = color.r * 255;
+      g = color.g * 255;
+      b = color.b * 255;
+      alpha = 0.75;
+    } else {
+      [r, g, b] = OVERLAY_COLORS[key];
+      alpha = Math.sqrt(values[i]) * 0.85;
+    }
+    pixels[4 * i] += (r - pixels[4 * i]) * alpha;
+    pixels[4 * i + 1] += (g - pixels[4 * i + 1]) * alpha;
+    pixels[4 * i + 2] += (b - pixels[4 * i + 2]) * alpha;
+  }
+}
+
+/**
+ * Encodes one mask as a 16-bit grayscale PNG.
+ * @param {object} masks - Masks from ErosionSimulator.getMasks.
+ * @param {string} key - One of EROSION_MASKS.
+ * @param {number} width - Width of the masks.
+ * @param {number} height - Height of the masks.
+ * @returns {Promise<{name: string, blob: Blob}>}
+ */
+export async function exportErosionMask(masks, key, width, height) {
+  const blob = await encodePNG(normalizeErosionMask(masks, key), width, height, 16);
+  return { name: `erosion_${key}_${width}x${height}.png`, blob };
+}
+
+/**
+ * Packs the masks into an RGBA texture for the terrain shader: R = eroded, G = deposited,
+ * B = wetness, A = flow direction. Rows are flipped so the texture lines up with the mesh UVs.
+ * @param {object} masks - Masks from ErosionSimulator.getMasks.
+ * @param {number} width - Width of the masks.
+ * @param {number} height - Height of the masks.
+ * @returns {THREE.DataTexture}
+ */
+export function createErosionMaskTexture(masks, width, height) {
+  const channels = [
+    normalizeErosionMask(masks, EROSION_MASKS.ERODED),
+    normalizeErosionMask(masks, EROSION_MASKS.DEPOSITED),
+    normalizeErosionMask(masks, EROSION_MASKS.WETNESS),
+    normalizeErosionMask(masks, EROSION_MASKS.FLOW_DIRECTION),
+  ];
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const src = y * width;
+    const dst = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < 4; c++) data[(dst + x) * 4 + c] = Math.round(channels[c][src + x] * 255);
+    }
+  }
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+/**
+ * Paints a soft round dab into a region mask (1 = erodible, 0 = protected), in place.
+ * @param {Float32Array} mask - Region mask, one value per cell.
+ * @param {number} width - Width of the mask.
+ * @param {number} height - Height of the mask.
+ * @param {number} cx - Brush centre column.
+ * @param {number} cy - Brush centre row.
+ * @param {number} radius - Brush radius in cells.
+ * @param {boolean} protect - Paint towards 0 (protect) instead of 1 (erode).
+ */
+export function paintRegionMask(mask, width, height, cx, cy, radius, protect) {
+  const r = Math.max(radius, 0.5);
+  const x0 = Math.max(0, Math.floor(cx - r)), x1 = Math.min(width - 1, Math.ceil(cx + r));
+  const y0 = Math.max(0, Math.floor(cy - r)), y1 = Math.min(height - 1, Math.ceil(cy + r));
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const d2 = ((x - cx) * (x - cx) + (y - cy) * (y - cy)) / (r * r);
+      if (d2 >= 1) continue;
+      // Full strength in the middle, fading out towards the rim
+      const strength = Math.min(1, 2 * (1 - d2));
+      const i = y * width + x;
+      mask[i] = protect ? Math.min(mask[i], 1 - strength) : Math.max(mask[i], strength);
+    }
+  }
+}
+
+/**
+ * Darkens the parts of an RGBA image that a region mask excludes from erosion, in place.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, one per cell.
+ * @param {Float32Array} region - Region weight per cell (1 = erodible, 0 = protected).
+ */
+export function applyRegionOverlay(pixels, region) {
+  const [r, g, b] = REGION_OVERLAY_COLOR;
+  for (let i = 0; i < region.length; i++) {
+    const alpha = (1 - region[i]) * 0.65;
+    if (alpha <= 0) continue;
+    pixels[4 * i] += (r - pixels[4 * i]) * alpha;
+    pixels[4 * i + 1] += (g - pixels[4 * i + 1]) * alpha;
+    pixels[4 * i + 2] += (b - pixels[4 * i + 2]) * alpha;
+  }
+}
@@ -1,5 +1,18 @@
+import { createRandom } from './NoiseService';
+
+// 8-neighbourhood offsets and their distances in cells, for thermal erosion
+const NEIGHBOR_DX = [-1, 0, 1, -1, 1, -1, 0, 1];
+const NEIGHBOR_DY = [-1, -1, -1, 0, 0, 1, 1, 1];
+const NEIGHBOR_DIST = [Math.SQRT2, 1, Math.SQRT2, 1, 1, Math.SQRT2, 1, Math.SQRT2];
+
+// Thermal passes per step() call when no droplets drive the schedule
+const THERMAL_ITERATIONS_PER_STEP = 4;
+// Shallow-water passes per step() call
+const PIPE_ITERATIONS_PER_STEP = 4;
+const GRAVITY = 9.81;
+
 /**
- * ErosionSimulator: Hydraulic erosion simulation for heightfields.
+ * ErosionSimulator: Hydraulic (droplet or shallow-water pipe model) and thermal (talus) erosion for heightfields.
  * Supports batch updates and bilinear mass transfer for smooth results.
  */
 export default class ErosionSimulator {
@@ -23,28 +36,62 @@ export default class ErosionSimulator {
       initialVolume: 1.0,      // Starting water volume of each droplet
       initialSpeed: 1.0,       // Starting speed (not strictly needed)
       maxDropletLifetime: 30,  // Max steps per droplet
-      slopeMapFactor: 0.001    // weight for slope influence
+      slopeMapFactor: 0.001,   // weight for slope influence
+      flowWeight: 0,           // weight for normalized flow accumulation (drainage lines)
+      curvatureWeight: 0,      // weight for concavity (valleys)
+      erosionRadius: 0,        // Droplet erosion brush radius in cells of a 256-cell map (0 = bilinear corners)
+      resolution: 0,           // Map resolution the brush scales with (0 = width - 1; tiles pass the full map's)
+      seed: 1,                 // Droplet placement seed; same map, params and seed give identical results
+      erosionType: 'hydraulic', // 'hydraulic', 'thermal' or 'both' (interleaved)
+      hydraulicModel: 'droplet', // 'droplet' or 'pipe' (grid shallow water)
+      pipeIterations: 300,     // Shallow-water passes per run
+      pipeRainRate: 0.0005,    // Water depth added to every cell per pass
+      pipeTimeStep: 0.5,       // Pass length in cell-crossing times (keep below 1 for stability)
+      pipeCapacity: 0.01,      // Sediment capacity per unit of speed × sin(slope)
+      pipeDissolveRate: 0.3,   // Fraction of the capacity deficit picked up per pass
+      pipeDepositRate: 0.3,    // Fraction of the surplus sediment dropped per pass
+      pipeEvaporationRate: 0.01, // Fraction of water lost per pass
+      pipeMinSlope: 0.05,      // sin(slope) floor so flat river beds still carry sediment
+      talusAngle: 35,          // Steepest stable slope in degrees
+      thermalIterations: 50,   // Thermal passes per run
+      thermalTransferRate: 0.5, // Fraction of the excess moved per pass [0..1]
+      size: 0                  // World width, sets the cell spacing for the talus angle (0 = 1 unit per cell)
     }, params);
+    this.cellSize = this.params.size > 0 ? this.params.size / (width - 1) : 1;
+    // Optional per-cell region weight [0..1] scaling erosion and deposition (null = everywhere)
+    this.erosionMask = null;
+    this._buildBrush();
+    this.thermalIterationsDone = 0;
+    this.resetMasks();
   }
 
   /**
    * Initialize persistent droplet state for progressive simulation.
+   * @param {number} numDroplets
+   * @param {Float32Array} [positions] - Interleaved x, y start positions; seeded random ones if omitted.
    */
-  resetDroplets(numDroplets) {
+  resetDroplets(numDroplets, positions = null) {
+    this.random = createRandom(this.params.seed, 'erosion');
     this.droplets = [];
     for (let i = 0; i < numDroplets; i++) {
-      this.droplets.push(this._createDroplet());
+      const droplet = this._createDroplet();
+      if (positions) {
+        droplet.x = positions[2 * i];
+        droplet.y = positions[2 * i + 1];
+      }
+      this.droplets.push(droplet);
     }
-    this.dropletsActive = true;
+    this.nextDroplet = 0;
+    this.aliveDroplets = numDroplets;
   }
 
   /**
-   * Create a new droplet with random position and initial state.
+   * Create a new droplet with a seeded random position and initial state.
    */
   _createDroplet() {
     return {
-      x: Math.random() * (this.width - 2) + 1, // avoid edges
-      y: Math.random() * (this.height - 2) + 1,
+      x: this.random() * (this.width - 2) + 1, // avoid edges
+      y: this.random() * (this.height - 2) + 1,
       dx: 0,
       dy: 0,
       speed: this.params.initialSpeed,
@@ -56,19 +103,18 @@ export default class ErosionSimulator {
   }
 
   /**
-   * Step all droplets for a batch (progressive, continuous, float positions).
-   * @param {number} batchSize - Number of droplets to step this batch.
+   * Run the next droplets to completion, one after the other in seed order (continuous, float
+   * positions). The batch size only sets how many finish per call, so it never changes the result.
+   * @param {number} batchSize - Number of droplets to finish this batch.
    * @param {function(Float32Array):void} onStep - Callback after batch.
    * @returns {boolean} - True if droplets remain, false if all finished.
    */
   stepDroplets(batchSize, onStep = null) {
     const { width, height, heightMap, params } = this;
-    let activeCount = 0;
-    for (let i = 0; i < this.droplets.length && activeCount < batchSize; i++) {
-      const d = this.droplets[i];
-      if (!d.alive) continue;
-      activeCount++;
-      for (let step = 0; step < 1; step++) { // 1 step per batch per droplet
+    const end = Math.min(this.droplets.length, this.nextDroplet + Math.max(1, batchSize));
+    for (; this.nextDroplet < end; this.nextDroplet++) {
+      const d = this.droplets[this.nextDroplet];
+      while (d.alive) {
         // Bilinear height and gradient
         const cellX = Math.floor(d.x);
         const cellY = Math.floor(d.y);
@@ -103,39 +149,47 @@ export default class ErosionSimulator {
         d.speed *= (1 - params.friction);
         // Base capacity
         let capacity = Math.max(-deltaH, 0.01) * d.speed * d.water * params.sedimentCapacityFactor;
-        // // Factor in precomputed slope (if provided) to boost capacity on steeper slopes
-        // if (this.slopeMap) {
-        //   const idx2 = cellY * width + cellX;
-        //   const rawSlope = this.slopeMap[idx2] || 0;
-        //   const clampedSlope = Math.min(rawSlope, 1);
-        //   capacity *= 1 + clampedSlope * this.params.slopeMapFactor;
-        // }
-        // // Factor in flow accumulation (more erosion where water concentrates)
-        // if (this.flowMap) {
-        //   const idx2 = cellY * width + cellX;
-        //   const flowFactor = this.flowMap[idx2] || 0;
-        //   capacity *= 1 + flowFactor;
-        // }
-        // // Factor in curvature (encourage erosion in concave areas)
-        // if (this.curvatureMap) {
-        //   const idx2 = cellY * width + cellX;
-        //   const curv = this.curvatureMap[idx2] || 0;
-        //   capacity *= 1 + Math.abs(curv);
-        // }
-        // Erode or deposit
+        // Weighted terrain factors, sampled at the droplet's cell (maps are precomputed at init)
+        const idx2 = cellY * width + cellX;
+        if (this.slopeMap) {
+          // Factor in slope to boost capacity on steeper ground
+          capacity *= 1 + Math.min(this.slopeMap[idx2], 1) * params.slopeMapFactor;
+        }
+        if (this.flowMap) {
+          // Factor in normalized flow accumulation (more erosion where water concentrates)
+          capacity *= 1 + this.flowMap[idx2] * params.flowWeight;
+        }
+        if (this.curvatureMap) {
+          // Factor in concavity (encourage erosion in valleys, not on ridges)
+          capacity *= 1 + Math.max(this.curvatureMap[idx2], 0) * params.curvatureWeight;
+        }
+        // Erode or deposit, scaled by the region mask over the touched cells so a masked-out
+        // cell is never changed (sediment stays in the droplet there)
+        const mask = this.erosionMask;
+        const regionWeight = mask
+          ? Math.min(mask[idx2], mask[idx2 + 1], mask[idx2 + width], mask[idx2 + width + 1])
+          : 1;
         if (d.sediment > capacity) {
           // Deposit
-          const deposit = (d.sediment - capacity) * params.depositionRate;
+          const deposit = (d.sediment - capacity) * params.depositionRate * regionWeight;
           this._bilinearAdd(heightMap, cellX, cellY, offX, offY, deposit);
           d.sediment -= deposit;
+          this._bilinearAdd(this.depositedMap, cellX, cellY, offX, offY, deposit);
         } else {
-          // Erode
+          // Erode, spread over the brush when there is one
           const erode = Math.min((capacity - d.sediment) * params.depositionRate, newH);
-          if (erode > 0) {
-            this._bilinearAdd(heightMap, cellX, cellY, offX, offY, -erode);
-            d.sediment += erode;
+          if (erode > 0 && this.brush) {
+            d.sediment += this._brushErode(heightMap, cellX, cellY, erode);
+          } else if (erode > 0 && regionWeight > 0) {
+            this._bilinearAdd(heightMap, cellX, cellY, offX, offY, -erode * regionWeight);
+            d.sediment += erode * regionWeight;
+            this._bilinearAdd(this.erodedMap, cellX, cellY, offX, offY, erode * regionWeight);
           }
         }
+        // Droplet traffic and the direction it last passed in
+        this.wetnessMap[idx2] += 1;
+        this.flowX[idx2] = d.dx;
+        this.flowY[idx2] = d.dy;
         // Evaporate
         d.water *= (1 - params.evaporationRate);
         d.lifetime++;
@@ -146,8 +200,290 @@ export default class ErosionSimulator {
       }
     }
     if (onStep) onStep(new Float32Array(heightMap));
-    // Return true if any droplets are still alive
-    return this.droplets.some(d => d.alive);
+    // Return true if any droplets are still to run
+    this.aliveDroplets = this.droplets.length - this.nextDroplet;
+    return this.aliveDroplets > 0;
+  }
+
+  /**
+   * Thermal erosion: wherever the drop to a neighbour exceeds the talus angle, part of the
+   * excess slides downhill, shared between the lower neighbours in proportion to their excess.
+   * Each pass accumulates into a delta buffer so the result is independent of traversal order.
+   * @param {number} iterations - Number of passes to run.
+   */
+  stepThermal(iterations = 1) {
+    const { width, height, params } = this;
+    const talusDrop = Math.tan(params.talusAngle * Math.PI / 180) * this.cellSize;
+    const rate = Math.min(Math.max(params.thermalTransferRate, 0), 1);
+    if (!this.thermalDelta || this.thermalDelta.length !== width * height) {
+      this.thermalDelta = new Float32Array(width * height);
+    }
+    const delta = this.thermalDelta;
+    const excess = new Float32Array(8);
+    const mask = this.erosionMask;
+    for (let it = 0; it < iterations; it++) {
+      const heightMap = this.heightMap;
+      delta.fill(0);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const idx = y * width + x;
+          const h = heightMap[idx];
+          let total = 0;
+          let maxExcess = 0;
+          for (let k = 0; k < 8; k++) {
+            const nx = x + NEIGHBOR_DX[k];
+            const ny = y + NEIGHBOR_DY[k];
+            excess[k] = 0;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const e = h - heightMap[ny * width + nx] - talusDrop * NEIGHBOR_DIST[k];
+            if (e > 0) {
+              excess[k] = e;
+              total += e;
+              if (e > maxExcess) maxExcess = e;
+            }
+          }
+          if (total <= 0) continue;
+          // Moving half the largest excess levels that pair exactly; the rest follows over later passes.
+          // The region mask limits both what leaves this cell and what lands on each neighbour.
+          const moved = rate * maxExcess * 0.5 * (mask ? mask[idx] : 1);
+          for (let k = 0; k < 8; k++) {
+            if (excess[k] <= 0) continue;
+            const target = (y + NEIGHBOR_DY[k]) * width + x + NEIGHBOR_DX[k];
+            const share = moved * excess[k] / total * (mask ? mask[target] : 1);
+            delta[target] += share;
+            delta[idx] -= share;
+          }
+        }
+      }
+      for (let i = 0; i < heightMap.length; i++) {
+        heightMap[i] += delta[i];
+        if (delta[i] < 0) this.erodedMap[i] -= delta[i];
+        else this.depositedMap[i] += delta[i];
+      }
+      this.thermalIterationsDone++;
+    }
+  }
+
+  /**
+   * Clear the shallow-water state: water depth, outflow flux, velocity and suspended sediment.
+   */
+  resetPipeState() {
+    const n = this.width * this.height;
+    this.water = new Float32Array(n);
+    this.fluxL = new Float32Array(n);
+    this.fluxR = new Float32Array(n);
+    this.fluxT = new Float32Array(n);
+    this.fluxB = new Float32Array(n);
+    this.velocityX = new Float32Array(n);
+    this.velocityY = new Float32Array(n);
+    this.sediment = new Float32Array(n);
+    this.pipeScratch = new Float32Array(n);
+    this.pipeIterationsDone = 0;
+  }
+
+  /**
+   * Shallow-water (virtual pipe) hydraulic erosion. Each pass rains on every cell, moves water
+   * through pipes to the four neighbours driven by the surface height difference, derives velocity
+   * from the flux, dissolves or deposits against a slope/speed capacity and carries the suspended
+   * sediment downstream. Water leaving the map edge is lost, so rivers drain off the terrain.
+   * @param {number} iterations - Number of passes to run.
+   */
+  stepPipe(iterations = 1) {
+    if (!this.water) this.resetPipeState();
+    const { width, height, params } = this;
+    const { water, fluxL, fluxR, fluxT, fluxB, velocityX, velocityY, sediment } = this;
+    const l = this.cellSize;
+    const area = l * l;
+    const dt = params.pipeTimeStep * l;
+    const fluxGain = dt * l * GRAVITY;
+    const evaporation = 1 - Math.min(Math.max(params.pipeEvaporationRate, 0), 1);
+    const dissolve = Math.min(Math.max(params.pipeDissolveRate, 0), 1);
+    const deposit = Math.min(Math.max(params.pipeDepositRate, 0), 1);
+    const carried = this.pipeScratch;
+    // Velocities are clamped to half a cell per pass, which keeps the transport step stable
+    const maxSpeed = 0.5 * l / dt;
+
+    for (let it = 0; it < iterations; it++) {
+      const bed = this.heightMap;
+      // 1. Rain
+      for (let i = 0; i < water.length; i++) water[i] += params.pipeRainRate;
+
+      // 2. Outflow flux; beyond the edge the surface is taken as the bare bed, so water drains out
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const surface = bed[i] + water[i];
+          const hL = x > 0 ? bed[i - 1] + water[i - 1] : bed[i];
+          const hR = x < width - 1 ? bed[i + 1] + water[i + 1] : bed[i];
+          const hT = y > 0 ? bed[i - width] + water[i - width] : bed[i];
+          const hB = y < height - 1 ? bed[i + width] + water[i + width] : bed[i];
+          let fL = Math.max(0, fluxL[i] + fluxGain * (surface - hL));
+          let fR = Math.max(0, fluxR[i] + fluxGain * (surface - hR));
+          let fT = Math.max(0, fluxT[i] + fluxGain * (surface - hT));
+          let fB = Math.max(0, fluxB[i] + fluxGain * (surface - hB));
+          // Never drain more than the cell holds
+          const out = (fL + fR + fT + fB) * dt;
+          if (out > water[i] * area && out > 0) {
+            const k = water[i] * area / out;
+            fL *= k; fR *= k; fT *= k; fB *= k;
+          }
+          fluxL[i] = fL; fluxR[i] = fR; fluxT[i] = fT; fluxB[i] = fB;
+        }
+      }
+
+      // 3. Water depth and velocity from the net flux
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const inL = x > 0 ? fluxR[i - 1] : 0;
+          const inR = x < width - 1 ? fluxL[i + 1] : 0;
+          const inT = y > 0 ? fluxB[i - width] : 0;
+          const inB = y < height - 1 ? fluxT[i + width] : 0;
+          const before = water[i];
+          const after = Math.max(0, before + dt * (inL + inR + inT + inB - fluxL[i] - fluxR[i] - fluxT[i] - fluxB[i]) / area);
+          water[i] = after;
+          const meanDepth = (before + after) * 0.5;
+          if (meanDepth > 1e-6) {
+            let vx = (inL - fluxL[i] + fluxR[i] - inR) * 0.5 / (l * meanDepth);
+            let vy = (inT - fluxT[i] + fluxB[i] - inB) * 0.5 / (l * meanDepth);
+            const speed = Math.sqrt(vx * vx + vy * vy);
+            if (speed > maxSpeed) {
+              vx *= maxSpeed / speed;
+              vy *= maxSpeed / speed;
+            }
+            velocityX[i] = vx;
+            velocityY[i] = vy;
+            if (speed > 0) {
+              this.flowX[i] = vx;
+              this.flowY[i] = vy;
+            }
+          } else {
+            velocityX[i] = 0;
+            velocityY[i] = 0;
+          }
+        }
+      }
+
+      // 4. Dissolve or deposit against the transport capacity
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const gx = (bed[x < width - 1 ? i + 1 : i] - bed[x > 0 ? i - 1 : i]) / (2 * l);
+          const gy = (bed[y < height - 1 ? i + width : i] - bed[y > 0 ? i - width : i]) / (2 * l);
+          const tan2 = gx * gx + gy * gy;
+          const sinSlope = Math.max(Math.sqrt(tan2 / (1 + tan2)), params.pipeMinSlope);
+          const speed = Math.sqrt(velocityX[i] * velocityX[i] + velocityY[i] * velocityY[i]);
+          // Capacity fades out in very shallow water so dry ground is left untouched
+          const depthFactor = Math.min(1, water[i] / (params.pipeRainRate * 10 || 1));
+          const capacity = params.pipeCapacity * sinSlope * speed * depthFactor;
+          // Never dig below the lowest neighbour or build above the highest, so the solver
+          // cannot drill pits or raise spikes where flow converges
+          const nL = x > 0 ? bed[i - 1] : bed[i];
+          const nR = x < width - 1 ? bed[i + 1] : bed[i];
+          const nT = y > 0 ? bed[i - width] : bed[i];
+          const nB = y < height - 1 ? bed[i + width] : bed[i];
+          const regionWeight = this.erosionMask ? this.erosionMask[i] : 1;
+          if (capacity > sediment[i]) {
+            const lowest = Math.min(nL, nR, nT, nB);
+            const amount = Math.min(dissolve * (capacity - sediment[i]), Math.max(0, bed[i] - lowest)) * regionWeight;
+            bed[i] -= amount;
+            sediment[i] += amount;
+            this.erodedMap[i] += amount;
+          } else {
+            const highest = Math.max(nL, nR, nT, nB);
+            const amount = Math.min(deposit * (sediment[i] - capacity), Math.max(0, highest - bed[i])) * regionWeight;
+            bed[i] += amount;
+            sediment[i] -= amount;
+            this.depositedMap[i] += amount;
+          }
+        }
+      }
+
+      // 5. Move suspended sediment downstream, splatting bilinearly so it is conserved inside the map
+      const cellsPerTime = dt / l;
+      carried.fill(0);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          if (sediment[i] === 0) continue;
+          const tx = x + velocityX[i] * cellsPerTime;
+          const ty = y + velocityY[i] * cellsPerTime;
+          // Sediment carried past the edge leaves with the water
+          if (tx < 0 || ty < 0 || tx > width - 1 || ty > height - 1) continue;
+          const x0 = Math.min(Math.floor(tx), width - 2);
+          const y0 = Math.min(Math.floor(ty), height - 2);
+          const fx = tx - x0;
+          const fy = ty - y0;
+          const j = y0 * width + x0;
+          const amount = sediment[i];
+          carried[j] += amount * (1 - fx) * (1 - fy);
+          carried[j + 1] += amount * fx * (1 - fy);
+          carried[j + width] += amount * (1 - fx) * fy;
+          carried[j + width + 1] += amount * fx * fy;
+        }
+      }
+      sediment.set(carried);
+
+      // 6. Evaporation; what remains counts towards the wetness mask
+      for (let i = 0; i < water.length; i++) {
+        water[i] *= evaporation;
+        this.wetnessMap[i] += water[i];
+      }
+      this.pipeIterationsDone++;
+    }
+  }
+
+  /**
+   * Advance the simulation according to params.erosionType. In 'both' mode thermal passes are
+   * interleaved with the hydraulic solver so both finish together.
+   * @param {number} batchSize - Droplets to step this call (hydraulic and both modes).
+   * @returns {{alive: boolean, progress: number}} - Whether work remains and overall progress [0..1].
+   */
+  step(batchSize) {
+    const { erosionType, hydraulicModel, pipeIterations } = this.params;
+    const runHydraulic = erosionType !== 'thermal';
+
+    let hydraulicProgress = 1;
+    if (runHydraulic && hydraulicModel === 'pipe') {
+      const passes = Math.min(PIPE_ITERATIONS_PER_STEP, pipeIterations - this.pipeIterationsDone);
+      if (passes > 0) this.stepPipe(passes);
+      if (pipeIterations > 0) hydraulicProgress = this.pipeIterationsDone / pipeIterations;
+    } else if (runHydraulic) {
+      const totalDroplets = this.droplets ? this.droplets.length : 0;
+      if (this.aliveDroplets > 0) this.stepDroplets(batchSize);
+      if (totalDroplets > 0) hydraulicProgress = 1 - this.aliveDroplets / totalDroplets;
+    }
+
+    return this.advanceThermal(hydraulicProgress);
+  }
+
+  /**
+   * Run the thermal passes due at the given hydraulic progress (all remaining ones in slices once
+   * it reaches 1) and combine both into the overall progress. step() calls this; a tiled droplet
+   * run that does its hydraulic work elsewhere calls it directly.
+   * @param {number} hydraulicProgress - Hydraulic progress [0..1] (ignored in thermal mode).
+   * @returns {{alive: boolean, progress: number}} - Whether work remains and overall progress [0..1].
+   */
+  advanceThermal(hydraulicProgress) {
+    const { erosionType, thermalIterations } = this.params;
+    const runHydraulic = erosionType !== 'thermal';
+    const runThermal = erosionType !== 'hydraulic';
+
+    let thermalProgress = 1;
+    if (runThermal && thermalIterations > 0) {
+      const remaining = thermalIterations - this.thermalIterationsDone;
+      // Keep pace with the hydraulic solver; once it is done (or absent) run fixed-size slices
+      const target = runHydraulic && hydraulicProgress < 1
+        ? Math.ceil(hydraulicProgress * thermalIterations) - this.thermalIterationsDone
+        : THERMAL_ITERATIONS_PER_STEP;
+      const passes = Math.min(remaining, Math.max(0, target));
+      if (passes > 0) this.stepThermal(passes);
+      thermalProgress = this.thermalIterationsDone / thermalIterations;
+    }
+
+    const parts = (runHydraulic ? 1 : 0) + (runThermal ? 1 : 0);
+    const progress = ((runHydraulic ? hydraulicProgress : 0) + (runThermal ? thermalProgress : 0)) / parts;
+    return { alive: progress < 1, progress };
   }
 
   /**
@@ -196,21 +532,172 @@ export default class ErosionSimulator {
     if (resetHeightmap && initialHeightMap) {
       this.heightMap = new Float32Array(initialHeightMap);
     }
-    this.resetDroplets(numDroplets);
+    const { erosionType, hydraulicModel } = this.params;
+    const usesDroplets = erosionType !== 'thermal' && hydraulicModel !== 'pipe';
+    this.resetDroplets(usesDroplets ? numDroplets : 0);
+    this.thermalIterationsDone = 0;
+    // The nine shallow-water grids are only allocated for a pipe run
+    if (erosionType !== 'thermal' && hydraulicModel === 'pipe') this.resetPipeState();
+    this.resetMasks();
+  }
+
+  /**
+   * Clear the output masks recorded while eroding.
+   */
+  resetMasks() {
+    const n = this.width * this.height;
+    this.erodedMap = new Float32Array(n);
+    this.depositedMap = new Float32Array(n);
+    this.wetnessMap = new Float32Array(n);
+    this.flowX = new Float32Array(n);
+    this.flowY = new Float32Array(n);
+  }
+
+  /**
+   * Copies of the output masks: total material removed and deposited per cell, wetness (droplet
+   * traffic, or accumulated water depth in the pipe model) and the last flow direction as an
+   * angle mapped to [0, 1) (0 where nothing has flowed).
+   * @returns {{eroded: Float32Array, deposited: Float32Array, wetness: Float32Array, flowDirection: Float32Array}}
+   */
+  getMasks() {
+    return ErosionSimulator.masksFromState(this.getState());
+  }
+
+  /**
+   * Output masks (as returned by getMasks) for a state recorded with getState.
+   * @param {Object<string, Float32Array>} state
+   * @returns {{eroded: Float32Array, deposited: Float32Array, wetness: Float32Array, flowDirection: Float32Array}}
+   */
+  static masksFromState({ eroded, deposited, wetness, flowX, flowY }) {
+    const flowDirection = new Float32Array(flowX.length);
+    for (let i = 0; i < flowDirection.length; i++) {
+      if (flowX[i] !== 0 || flowY[i] !== 0) {
+        flowDirection[i] = (Math.atan2(flowY[i], flowX[i]) + Math.PI) / (2 * Math.PI) % 1;
+      }
+    }
+    return {
+      eroded: new Float32Array(eroded),
+      deposited: new Float32Array(deposited),
+      wetness: new Float32Array(wetness),
+      flowDirection
+    };
+  }
+
+  /**
+   * Eroded mask of a state rebuilt from an earlier state: every height change is recorded in the
+   * eroded or deposited mask, so material eroded in between is what was deposited minus what the
+   * terrain rose.
+   * @param {Object<string, Float32Array>} state - State from getState, its eroded mask is not read.
+   * @param {Object<string, Float32Array>} earlier - Complete earlier state.
+   * @returns {Float32Array}
+   */
+  static rebuildEroded(state, earlier) {
+    const eroded = new Float32Array(state.heightMap.length);
+    for (let i = 0; i < eroded.length; i++) {
+      const rise = state.heightMap[i] - earlier.heightMap[i];
+      eroded[i] = Math.max(0, earlier.eroded[i] + state.deposited[i] - earlier.deposited[i] - rise);
+    }
+    return eroded;
   }
 
   /**
-   * Pause the simulation (droplets and heightmap are preserved).
+   * The heightmap and raw mask accumulators, for snapshots (live references, not copies).
+   * @returns {Object<string, Float32Array>}
+   */
+  getState() {
+    return {
+      heightMap: this.heightMap,
+      eroded: this.erodedMap,
+      deposited: this.depositedMap,
+      wetness: this.wetnessMap,
+      flowX: this.flowX,
+      flowY: this.flowY
+    };
+  }
+
+  /**
+   * Load a state from getState (copied). Fields that are missing keep their current values.
+   * @param {Object<string, Float32Array>} state
+   */
+  setState(state) {
+    if (state.heightMap) this.heightMap = new Float32Array(state.heightMap);
+    if (state.eroded) this.erodedMap = new Float32Array(state.eroded);
+    if (state.deposited) this.depositedMap = new Float32Array(state.deposited);
+    if (state.wetness) this.wetnessMap = new Float32Array(state.wetness);
+    if (state.flowX) this.flowX = new Float32Array(state.flowX);
+    if (state.flowY) this.flowY = new Float32Array(state.flowY);
+  }
+
+  /**
+   * Precompute the droplet erosion brush: cell offsets within the radius weighted by
+   * (radius - distance). The radius scales with the grid width so maps of any resolution erode
+   * with the same character. Cells near the border lose part of the brush; their normalization
+   * is computed once per cell on first use.
+   * @private
    */
-  pause() {
-    this.dropletsActive = false;
+  _buildBrush() {
+    const resolution = this.params.resolution > 0 ? this.params.resolution : this.width - 1;
+    const radius = this.params.erosionRadius * resolution / 256;
+    this.brush = null;
+    if (!(radius > 0)) return;
+    const reach = Math.ceil(radius) - 1;
+    const dx = [], dy = [], weights = [];
+    let sum = 0;
+    for (let y = -reach; y <= reach; y++) {
+      for (let x = -reach; x <= reach; x++) {
+        const weight = radius - Math.sqrt(x * x + y * y);
+        if (weight <= 0) continue;
+        dx.push(x);
+        dy.push(y);
+        weights.push(weight);
+        sum += weight;
+      }
+    }
+    this.brush = {
+      reach,
+      dx: Int32Array.from(dx),
+      dy: Int32Array.from(dy),
+      weights: Float32Array.from(weights, w => w / sum)
+    };
+    // 0 = not computed yet; interior cells use the full brush and never need an entry
+    this.brushNorm = new Float32Array(this.width * this.height);
   }
 
   /**
-   * Resume the simulation (droplets and heightmap are preserved).
+   * Remove up to amount of material around (cx, cy) with the erosion brush, never below zero and
+   * scaled per cell by the region mask.
+   * @private
+   * @returns {number} - Material actually removed.
    */
-  resume() {
-    this.dropletsActive = true;
+  _brushErode(heightMap, cx, cy, amount) {
+    const { width, height, brush, erosionMask } = this;
+    const { reach, dx, dy, weights } = brush;
+    const interior = cx >= reach && cy >= reach && cx < width - reach && cy < height - reach;
+    let norm = 1;
+    if (!interior) {
+      const idx = cy * width + cx;
+      if (this.brushNorm[idx] === 0) {
+        let sum = 0;
+        for (let k = 0; k < weights.length; k++) {
+          const x = cx + dx[k], y = cy + dy[k];
+          if (x >= 0 && y >= 0 && x < width && y < height) sum += weights[k];
+        }
+        this.brushNorm[idx] = 1 / sum;
+      }
+      norm = this.brushNorm[idx];
+    }
+    let removed = 0;
+    for (let k = 0; k < weights.length; k++) {
+      const x = cx + dx[k], y = cy + dy[k];
+      if (!interior && (x < 0 || y < 0 || x >= width || y >= height)) continue;
+      const j = y * width + x;
+      const weighted = amount * weights[k] * norm * (erosionMask ? erosionMask[j] : 1);
+      const delta = Math.min(weighted, Math.max(heightMap[j], 0));
+      heightMap[j] -= delta;
+      this.erodedMap[j] += delta;
+      removed += delta;
+    }
+    return removed;
   }
 
   /**
@@ -268,17 +755,7 @@ export default class ErosionSimulator {
    */
   resetHeightMap(newHeightMap) {
     this.heightMap = new Float32Array(newHeightMap);
-  }
-
-  /**
-   * Optionally, set a deterministic random seed for reproducibility.
-   */
-  static setSeed(seed) {
-    // Simple LCG for reproducibility (optional, not used by default)
-    let s = seed % 2147483647;
-    if (s <= 0) s += 2147483646;
-    Math.random = function() {
-      return (s = s * 16807 % 2147483647) / 2147483647;
-    };
+    if (this.water) this.resetPipeState();
+    this.resetMasks();
   }
 } 
\ No newline at end of file
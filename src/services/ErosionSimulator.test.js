@@ -0,0 +1,105 @@
+/* eslint-env jest */
+import ErosionSimulator from './ErosionSimulator';
+
+const WIDTH = 65;
+const HEIGHT = 65;
+
+function terrain() {
+  const heightMap = new Float32Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      heightMap[y * WIDTH + x] = 0.5 + 0.3 * Math.sin(x / 9) * Math.cos(y / 11) + 0.1 * Math.sin(x / 3 + y / 4);
+    }
+  }
+  return heightMap;
+}
+
+function erode(params, batchSize) {
+  const simulator = new ErosionSimulator(WIDTH, HEIGHT, terrain(), { size: 10, ...params });
+  simulator.start(3000);
+  let result;
+  do {
+    result = simulator.step(batchSize);
+  } while (result.alive);
+  return simulator.heightMap;
+}
+
+test('same seed and params erode identically', () => {
+  const params = { seed: 7, erosionType: 'both', thermalIterations: 20 };
+  expect(erode(params, 500)).toEqual(erode(params, 500));
+});
+
+test('droplet erosion does not depend on the batch size', () => {
+  for (const erosionRadius of [0, 3]) {
+    const params = { seed: 3, erosionRadius };
+    expect(erode(params, 777)).toEqual(erode(params, 1000));
+  }
+});
+
+test('a different seed erodes differently', () => {
+  expect(erode({ seed: 1 }, 1000)).not.toEqual(erode({ seed: 2 }, 1000));
+});
+
+// A cone dropping 0.5 per cell from its peak
+function cone() {
+  const heightMap = new Float32Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) heightMap[y * WIDTH + x] = Math.max(0, 5 - 0.5 * Math.hypot(x - 32, y - 32));
+  }
+  return heightMap;
+}
+
+// Largest drop between 4-neighbours, in height per cell
+function steepestDrop(heightMap) {
+  let steepest = 0;
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const h = heightMap[y * WIDTH + x];
+      if (x > 0) steepest = Math.max(steepest, Math.abs(h - heightMap[y * WIDTH + x - 1]));
+      if (y > 0) steepest = Math.max(steepest, Math.abs(h - heightMap[(y - 1) * WIDTH + x]));
+    }
+  }
+  return steepest;
+}
+
+const sum = heightMap => heightMap.reduce((total, h) => total + h, 0);
+
+test('thermal erosion relaxes slopes towards the talus angle and conserves material', () => {
+  // One unit per cell, so the stable drop between neighbours is tan(10°) ≈ 0.18 against the cone's 0.5
+  const simulator = new ErosionSimulator(WIDTH, HEIGHT, cone(), { erosionType: 'thermal', thermalIterations: 200, talusAngle: 10 });
+  simulator.start(0);
+  let result;
+  do {
+    result = simulator.step(0);
+  } while (result.alive);
+  expect(result.progress).toBe(1);
+  expect(steepestDrop(simulator.heightMap)).toBeLessThan(0.5);
+  expect(sum(simulator.heightMap)).toBeCloseTo(sum(cone()), 1);
+  // What left the peak landed on its flanks
+  expect(sum(simulator.erodedMap)).toBeCloseTo(sum(simulator.depositedMap), 1);
+  expect(simulator.heightMap[32 * WIDTH + 32]).toBeLessThan(5);
+});
+
+test('thermal erosion leaves slopes below the talus angle alone', () => {
+  // tan(30°) ≈ 0.58 per cell
+  const simulator = new ErosionSimulator(WIDTH, HEIGHT, cone(), { erosionType: 'thermal', thermalIterations: 20, talusAngle: 30 });
+  simulator.start(0);
+  simulator.stepThermal(20);
+  expect(simulator.heightMap).toEqual(cone());
+});
+
+test('in both mode thermal passes keep pace with the droplets and finish with them', () => {
+  const simulator = new ErosionSimulator(WIDTH, HEIGHT, terrain(), { seed: 5, erosionType: 'both', thermalIterations: 30 });
+  simulator.start(3000);
+  let result, previous = 0;
+  do {
+    result = simulator.step(250);
+    const hydraulicProgress = 1 - simulator.aliveDroplets / 3000;
+    expect(simulator.thermalIterationsDone).toBe(Math.ceil(hydraulicProgress * 30));
+    expect(result.progress).toBeGreaterThan(previous);
+    previous = result.progress;
+  } while (result.alive);
+  expect(simulator.aliveDroplets).toBe(0);
+  expect(simulator.thermalIterationsDone).toBe(30);
+  expect(result.progress).toBe(1);
+});
@@ -0,0 +1,50 @@
+// Pool of tile workers for TiledErosion; tasks are spread round-robin and settle by request id
+export default class ErosionTilePool {
+  constructor(size) {
+    this.workers = [];
+    this.pending = new Map();
+    this.nextId = 0;
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(new URL('../workers/erosionTileWorker.js', import.meta.url));
+      worker.onmessage = e => {
+        const { type, id, result, message } = e.data;
+        const pending = this.pending.get(id);
+        if (!pending) return;
+        this.pending.delete(id);
+        if (type === 'tile') pending.resolve(result);
+        if (type === 'error') pending.reject(new Error(message));
+      };
+      // A crashed worker fails every task still waiting, so run() cannot hang
+      worker.onerror = e => {
+        e.preventDefault();
+        const error = new Error(e.message || 'Erosion tile worker failed');
+        this.pending.forEach(pending => pending.reject(error));
+        this.pending.clear();
+      };
+      this.workers.push(worker);
+    }
+  }
+
+  get size() {
+    return this.workers.length;
+  }
+
+  // Erodes every task (see erodeTile) and resolves with the results in task order, or rejects
+  // when a tile fails
+  run(tasks) {
+    return Promise.all(tasks.map((task, i) => new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject });
+      const transfers = [task.heightMap, task.slopeMap, task.flowMap, task.curvatureMap, task.erosionMask, task.droplets]
+        .filter(Boolean)
+        .map(values => values.buffer);
+      this.workers[i % this.workers.length].postMessage({ action: 'erodeTile', payload: { id, task } }, transfers);
+    })));
+  }
+
+  terminate() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+    this.pending.clear();
+  }
+}
@@ -2,48 +2,102 @@ export default class ErosionWorkerService {
   constructor() {
     this.worker = new Worker(new URL('../workers/erosionWorker.js', import.meta.url));
     this.handlers = {};
+    // Rejects of the requests waiting on a reply, by reply type
+    this.rejects = {};
     this.worker.onmessage = (e) => {
       const { type } = e.data;
+      if (type === 'error') {
+        this.fail(new Error(e.data.message));
+        return;
+      }
       const handler = this.handlers[type];
       if (handler) handler(e.data);
     };
+    this.worker.onerror = (e) => {
+      e.preventDefault();
+      this.fail(new Error(e.message || 'Erosion worker failed'));
+    };
+  }
+
+  // Fails every request still waiting, after the worker reported an error or crashed
+  fail(error) {
+    const rejects = Object.values(this.rejects).filter(Boolean);
+    this.handlers = {};
+    this.rejects = {};
+    rejects.forEach(reject => reject(error));
   }
 
-  init(width, height, heightMap, params, numDroplets) {
-    return new Promise((resolve) => {
-      this.handlers['initialized'] = () => {
+  init(width, height, heightMap, params, numDroplets, { snapshotCount, erosionMask = null, workers = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.rejects['initialized'] = reject;
+      this.handlers['initialized'] = (data) => {
         this.handlers['initialized'] = null;
-        resolve();
+        this.rejects['initialized'] = null;
+        resolve(data);
       };
-      this.worker.postMessage({ action: 'init', payload: { width, height, heightMap, params, numDroplets } }, [heightMap.buffer]);
+      this.worker.postMessage({ action: 'init', payload: { width, height, heightMap, params, numDroplets, snapshotCount, erosionMask, workers } }, [heightMap.buffer]);
     });
   }
 
   step(batchSize) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
+      this.rejects['stepped'] = reject;
       this.handlers['stepped'] = (data) => {
         this.handlers['stepped'] = null;
+        this.rejects['stepped'] = null;
         resolve(data);
       };
       this.worker.postMessage({ action: 'step', payload: { batchSize } });
     });
   }
 
-  pause() {
-    this.worker.postMessage({ action: 'pause' });
+  // A newer scrub supersedes the one in flight, which rejects with error.superseded set
+  scrub(index) {
+    if (this.rejects['scrubbed']) {
+      const error = new Error('Scrub superseded');
+      error.superseded = true;
+      this.rejects['scrubbed'](error);
+    }
+    return new Promise((resolve, reject) => {
+      this.rejects['scrubbed'] = reject;
+      this.handlers['scrubbed'] = (data) => {
+        // Replies to superseded scrubs still arrive; skip them
+        if (data.index !== index) return;
+        this.handlers['scrubbed'] = null;
+        this.rejects['scrubbed'] = null;
+        resolve(data);
+      };
+      this.worker.postMessage({ action: 'scrub', payload: { index } });
+    });
   }
 
-  resume() {
-    this.worker.postMessage({ action: 'resume' });
+  branch(index) {
+    return new Promise((resolve, reject) => {
+      this.rejects['branched'] = reject;
+      this.handlers['branched'] = (data) => {
+        this.handlers['branched'] = null;
+        this.rejects['branched'] = null;
+        resolve(data);
+      };
+      this.worker.postMessage({ action: 'branch', payload: { index } });
+    });
   }
 
-  reset(initialHeightMap) {
-    return new Promise((resolve) => {
-      this.handlers['reset'] = () => {
-        this.handlers['reset'] = null;
-        resolve();
+  restart(params, numDroplets, { erosionMask = null, workers = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.rejects['restarted'] = reject;
+      this.handlers['restarted'] = (data) => {
+        this.handlers['restarted'] = null;
+        this.rejects['restarted'] = null;
+        resolve(data);
       };
-      this.worker.postMessage({ action: 'reset', payload: { initialHeightMap } }, [initialHeightMap.buffer]);
+      this.worker.postMessage({ action: 'restart', payload: { params, numDroplets, erosionMask, workers } });
     });
   }
+
+  terminate() {
+    this.worker.terminate();
+    this.handlers = {};
+    this.rejects = {};
+  }
 } 
\ No newline at end of file
@@ -53,33 +53,775 @@ export function computeCurvatureMap(heightMap, width, height, worldWidth, worldH
   return curvatureMap;
 }
 
-export function computeFlowMap(heightMap, width, height) {
-  const flowMap = new Float32Array(width * height).fill(1);
-  const downslope = new Int32Array(width * height);
-  // Determine downslope neighbor for each cell
+// 8-neighbourhood offsets (cardinals first) and their distances in cells, for flow routing
+const FLOW_DX = [1, 0, -1, 0, 1, -1, -1, 1];
+const FLOW_DY = [0, -1, 0, 1, -1, -1, 1, 1];
+const FLOW_DIST = [1, 1, 1, 1, Math.SQRT2, Math.SQRT2, Math.SQRT2, Math.SQRT2];
+// D-infinity facets as [cardinal, diagonal] neighbour indices, going round the cell
+const DINF_FACETS = [[0, 4], [1, 4], [1, 5], [2, 5], [2, 6], [3, 6], [3, 7], [0, 7]];
+
+// Flow routing methods for computeFlowRouting
+export const FLOW_ROUTING = {
+  D8: 'd8', // all flow to the steepest of the 8 neighbours
+  DINF: 'dinf', // D-infinity: split between the two cells bracketing the steepest facet direction
+  MFD: 'mfd', // multiple flow direction: shared by all lower neighbours, weighted by slope ^ exponent
+};
+
+// Depression handling before routing
+export const FLOW_CONDITIONING = {
+  NONE: 'none', // flow ends in pits
+  FILL: 'fill', // raise depressions to their spill height
+  BREACH: 'breach', // carve a channel from each pit to its outlet
+};
+
+// Binary min-heap of cell indices keyed by height, for the Priority-Flood
+class CellHeap {
+  constructor() {
+    this.cells = [];
+    this.keys = [];
+  }
+
+  get size() {
+    return this.cells.length;
+  }
+
+  push(cell, key) {
+    const { cells, keys } = this;
+    let i = cells.length;
+    cells.push(cell);
+    keys.push(key);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= key) break;
+      cells[i] = cells[parent];
+      keys[i] = keys[parent];
+      i = parent;
+    }
+    cells[i] = cell;
+    keys[i] = key;
+  }
+
+  pop() {
+    const { cells, keys } = this;
+    const top = cells[0];
+    const cell = cells.pop();
+    const key = keys.pop();
+    const n = cells.length;
+    if (n === 0) return top;
+    let i = 0;
+    for (;;) {
+      let child = 2 * i + 1;
+      if (child >= n) break;
+      if (child + 1 < n && keys[child + 1] < keys[child]) child++;
+      if (keys[child] >= key) break;
+      cells[i] = cells[child];
+      keys[i] = keys[child];
+      i = child;
+    }
+    cells[i] = cell;
+    keys[i] = key;
+    return top;
+  }
+}
+
+// Seeds the Priority-Flood with the border cells, where water leaves the map
+function seedBorder(heights, width, height, heap, closed) {
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const idx = y * width + x;
-      let minZ = heightMap[idx];
-      let minIdx = idx;
-      for (let dy = -1; dy <= 1; dy++) {
-        for (let dx = -1; dx <= 1; dx++) {
-          if (dx === 0 && dy === 0) continue;
-          const nx = x + dx, ny = y + dy;
-          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
-          const nIdx = ny * width + nx;
-          if (heightMap[nIdx] < minZ) { minZ = heightMap[nIdx]; minIdx = nIdx; }
+      if (x > 0 && y > 0 && x < width - 1 && y < height - 1) continue;
+      const i = y * width + x;
+      closed[i] = 1;
+      heap.push(i, heights[i]);
+    }
+  }
+}
+
+// Smallest float32 above v
+const nextUpView = new Float32Array(1);
+const nextUpBits = new Int32Array(nextUpView.buffer);
+function nextUp32(v) {
+  nextUpView[0] = v;
+  if (nextUpView[0] > v) return nextUpView[0];
+  if (v === 0) return 1.401298464324817e-45;
+  nextUpBits[0] += v > 0 ? 1 : -1;
+  return nextUpView[0];
+}
+
+// Priority-Flood depression filling (Barnes et al. 2014): every cell is raised to the lowest
+// height at which water can leave the map, so all flow reaches the border. Filled areas are
+// flat unless epsilon > 0, which gives them a slight slope towards their outlet instead.
+export function fillDepressions(heightMap, width, height, epsilon = 0) {
+  const out = new Float32Array(heightMap);
+  const closed = new Uint8Array(width * height);
+  const heap = new CellHeap();
+  // Cells inside a depression are flooded breadth-first, which needs no ordering when they are flat
+  const pit = [];
+  let pitHead = 0;
+  seedBorder(out, width, height, heap, closed);
+  while (heap.size || pitHead < pit.length) {
+    const c = pitHead < pit.length ? pit[pitHead++] : heap.pop();
+    if (pitHead === pit.length) pit.length = pitHead = 0;
+    const x = c % width, y = (c - x) / width;
+    for (let k = 0; k < 8; k++) {
+      const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const n = ny * width + nx;
+      if (closed[n]) continue;
+      closed[n] = 1;
+      if (epsilon > 0) {
+        const spill = Math.max(Math.fround(out[c] + epsilon), nextUp32(out[c]));
+        if (out[n] < spill) out[n] = spill;
+        heap.push(n, out[n]);
+      } else if (out[n] <= out[c]) {
+        out[n] = out[c];
+        pit.push(n);
+      } else {
+        heap.push(n, out[n]);
+      }
+    }
+  }
+  return out;
+}
+
+// Priority-Flood depression breaching: instead of filling a depression, the path by which the
+// flood reached it is carved down to its lowest cell, so rivers cut through ridges and dams the
+// way they do in real terrain. Carved channels are flat; resolveFlats gives them a direction.
+export function breachDepressions(heightMap, width, height) {
+  const out = new Float32Array(heightMap);
+  const closed = new Uint8Array(width * height);
+  const parent = new Int32Array(width * height).fill(-1);
+  const heap = new CellHeap();
+  seedBorder(out, width, height, heap, closed);
+  while (heap.size) {
+    const c = heap.pop();
+    const x = c % width, y = (c - x) / width;
+    for (let k = 0; k < 8; k++) {
+      const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+      const n = ny * width + nx;
+      if (closed[n]) continue;
+      closed[n] = 1;
+      parent[n] = c;
+      // A lower cell reached from higher ground is in a depression: lower the path out of it
+      const level = out[n];
+      for (let p = c; p !== -1 && out[p] > level; p = parent[p]) out[p] = level;
+      heap.push(n, out[n]);
+    }
+  }
+  return out;
+}
+
+// Drainage for flat areas (Barnes et al. 2014): returns an increment per cell that has no lower
+// neighbour but lies on a flat that drains somewhere, growing away from the flat's outlets and
+// towards higher ground around it; 0 elsewhere. Flow on a flat follows decreasing increments.
+export function resolveFlats(heightMap, width, height) {
+  const n = width * height;
+  const drained = new Uint8Array(n);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      // Border cells drain off the map
+      let isDrained = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+      for (let k = 0; k < 8 && !isDrained; k++) {
+        if (heightMap[(y + FLOW_DY[k]) * width + x + FLOW_DX[k]] < heightMap[i]) isDrained = true;
+      }
+      drained[i] = isDrained ? 1 : 0;
+    }
+  }
+  // Low edges drain a flat; high edges are flat cells next to higher ground
+  const lowEdges = [];
+  const highEdges = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      let low = false, high = false;
+      for (let k = 0; k < 8; k++) {
+        const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        if (drained[i] && !drained[j] && heightMap[j] === heightMap[i]) low = true;
+        if (!drained[i] && heightMap[j] > heightMap[i]) high = true;
+      }
+      if (low) lowEdges.push(i);
+      if (high) highEdges.push(i);
+    }
+  }
+  // Label each drainable flat from its low edges
+  const labels = new Int32Array(n);
+  let labelCount = 0;
+  for (const start of lowEdges) {
+    if (labels[start]) continue;
+    const label = ++labelCount;
+    const z = heightMap[start];
+    const stack = [start];
+    labels[start] = label;
+    while (stack.length) {
+      const c = stack.pop();
+      const x = c % width, y = (c - x) / width;
+      for (let k = 0; k < 8; k++) {
+        const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        if (labels[j] || heightMap[j] !== z) continue;
+        labels[j] = label;
+        stack.push(j);
+      }
+    }
+  }
+  // Breadth-first distance over a flat's undrained cells
+  const spread = (starts, distance, first) => {
+    let queue = starts.filter(i => labels[i]);
+    queue.forEach(i => { distance[i] = first; });
+    for (let d = first + 1; queue.length; d++) {
+      const next = [];
+      for (const c of queue) {
+        const x = c % width, y = (c - x) / width;
+        for (let k = 0; k < 8; k++) {
+          const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const j = ny * width + nx;
+          if (drained[j] || distance[j] || labels[j] !== labels[c]) continue;
+          distance[j] = d;
+          next.push(j);
+        }
+      }
+      queue = next;
+    }
+  };
+  const away = new Int32Array(n);
+  spread(highEdges.filter(i => !drained[i]), away, 1);
+  const maxAway = new Int32Array(labelCount + 1);
+  for (let i = 0; i < n; i++) if (away[i] > maxAway[labels[i]]) maxAway[labels[i]] = away[i];
+  // Low edges are drained themselves, so the distance counts from 1 on the first flat cell
+  const towards = new Int32Array(n);
+  spread(lowEdges, towards, 0);
+  const increments = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    if (drained[i] || towards[i] <= 0) continue;
+    // Towards the outlet counts double, so the increment falls along every path out of the flat
+    increments[i] = 2 * towards[i] + (away[i] ? maxAway[labels[i]] - away[i] : 0);
+  }
+  return increments;
+}
+
+// Flow directions over a heightmap: each cell's receivers and the share of its flow each gets,
+// stored compactly (cell i sends weights[e] to receivers[e] for offsets[i] <= e < offsets[i + 1]),
+// plus an upstream-first order of all cells. Depressions are conditioned first, and flats are
+// routed with resolveFlats, so only border cells (and pits, without conditioning) have no receiver.
+// heights is the conditioned heightmap the routing follows.
+export function computeFlowRouting(heightMap, width, height, {
+  routing = FLOW_ROUTING.D8, conditioning = FLOW_CONDITIONING.FILL, exponent = 1.1
+} = {}) {
+  const n = width * height;
+  const heights = conditioning === FLOW_CONDITIONING.FILL ? fillDepressions(heightMap, width, height)
+    : conditioning === FLOW_CONDITIONING.BREACH ? breachDepressions(heightMap, width, height)
+    : heightMap;
+  const flats = resolveFlats(heights, width, height);
+  const maxReceivers = routing === FLOW_ROUTING.MFD ? 8 : routing === FLOW_ROUTING.DINF ? 2 : 1;
+  const offsets = new Int32Array(n + 1);
+  const receivers = new Int32Array(n * maxReceivers);
+  const weights = new Float32Array(n * maxReceivers);
+  let count = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const z = heights[i];
+      const start = count;
+      const neighbour = k => {
+        const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+        return nx < 0 || ny < 0 || nx >= width || ny >= height ? -1 : ny * width + nx;
+      };
+      if (routing === FLOW_ROUTING.DINF) {
+        // Tarboton (1997): steepest downhill direction over the 8 triangular facets around the cell
+        let best = 0, bestFacet = null, bestAngle = 0;
+        for (const [k1, k2] of DINF_FACETS) {
+          const j1 = neighbour(k1), j2 = neighbour(k2);
+          if (j1 < 0 || j2 < 0) continue;
+          const s1 = z - heights[j1];
+          const s2 = heights[j1] - heights[j2];
+          let angle = Math.atan2(s2, s1);
+          let slope = Math.hypot(s1, s2);
+          if (angle < 0) {
+            angle = 0;
+            slope = s1;
+          } else if (angle > Math.PI / 4) {
+            angle = Math.PI / 4;
+            slope = (z - heights[j2]) / Math.SQRT2;
+          }
+          if (slope > best) {
+            best = slope;
+            bestFacet = [j1, j2];
+            bestAngle = angle;
+          }
+        }
+        if (bestFacet) {
+          const share = bestAngle / (Math.PI / 4);
+          if (share < 1) {
+            receivers[count] = bestFacet[0];
+            weights[count++] = 1 - share;
+          }
+          if (share > 0) {
+            receivers[count] = bestFacet[1];
+            weights[count++] = share;
+          }
+        }
+      } else {
+        let best = 0, bestJ = -1, total = 0;
+        for (let k = 0; k < 8; k++) {
+          const j = neighbour(k);
+          if (j < 0) continue;
+          const drop = (z - heights[j]) / FLOW_DIST[k];
+          if (drop <= 0) continue;
+          if (routing === FLOW_ROUTING.MFD) {
+            // Freeman (1991): share proportional to slope ^ exponent
+            const weight = Math.pow(drop, exponent);
+            receivers[count] = j;
+            weights[count++] = weight;
+            total += weight;
+          } else if (drop > best) {
+            best = drop;
+            bestJ = j;
+          }
+        }
+        if (routing === FLOW_ROUTING.MFD) {
+          for (let e = start; e < count; e++) weights[e] /= total;
+        } else if (bestJ >= 0) {
+          receivers[count] = bestJ;
+          weights[count++] = 1;
+        }
+      }
+      // No lower neighbour: on a drainable flat, step to the neighbour with the smallest increment
+      if (count === start && flats[i] > 0) {
+        let bestJ = -1, bestIncrement = flats[i];
+        for (let k = 0; k < 8; k++) {
+          const j = neighbour(k);
+          if (j < 0 || heights[j] !== z || flats[j] >= bestIncrement) continue;
+          bestIncrement = flats[j];
+          bestJ = j;
+        }
+        if (bestJ >= 0) {
+          receivers[count] = bestJ;
+          weights[count++] = 1;
+        }
+      }
+      offsets[i + 1] = count;
+    }
+  }
+  // Upstream-first order: a cell comes after every cell that sends it flow
+  const donors = new Int32Array(n);
+  for (let e = 0; e < count; e++) donors[receivers[e]]++;
+  const order = new Int32Array(n);
+  let tail = 0;
+  for (let i = 0; i < n; i++) if (!donors[i]) order[tail++] = i;
+  for (let head = 0; head < tail; head++) {
+    const c = order[head];
+    for (let e = offsets[c]; e < offsets[c + 1]; e++) {
+      if (--donors[receivers[e]] === 0) order[tail++] = receivers[e];
+    }
+  }
+  return { heights, offsets, receivers: receivers.subarray(0, count), weights: weights.subarray(0, count), order };
+}
+
+// Upstream contributing area of every cell, in cells (itself included), along a flow routing.
+// With rain (one value per cell) it accumulates that instead of 1 per cell.
+export function accumulateFlow({ offsets, receivers, weights, order }, rain = null) {
+  const area = rain ? new Float32Array(rain) : new Float32Array(order.length).fill(1);
+  for (let o = 0; o < order.length; o++) {
+    const c = order[o];
+    for (let e = offsets[c]; e < offsets[c + 1]; e++) area[receivers[e]] += area[c] * weights[e];
+  }
+  return area;
+}
+
+// Flow accumulation (contributing area in cells) with the given routing and conditioning
+// (see computeFlowRouting); depression-filled D8 by default.
+export function computeFlowMap(heightMap, width, height, options = {}) {
+  return accumulateFlow(computeFlowRouting(heightMap, width, height, options));
+}
+
+// Log-scales accumulated flow (>= 1 cell) into [0, 1], so trunk rivers don't dwarf everything else
+export function normalizeFlowMap(flowMap) {
+  let maxFlow = 1;
+  for (let i = 0; i < flowMap.length; i++) if (flowMap[i] > maxFlow) maxFlow = flowMap[i];
+  const out = new Float32Array(flowMap.length);
+  const logMax = Math.log(maxFlow);
+  if (logMax > 0) {
+    for (let i = 0; i < flowMap.length; i++) out[i] = Math.log(Math.max(flowMap[i], 1)) / logMax;
+  }
+  return out;
+}
+
+// Rescales curvature to [-1, 1] relative to three times its mean magnitude (positive = concave)
+export function normalizeCurvatureMap(curvatureMap) {
+  let sumAbs = 0;
+  for (let i = 0; i < curvatureMap.length; i++) sumAbs += Math.abs(curvatureMap[i]);
+  const scale = 3 * sumAbs / (curvatureMap.length || 1);
+  const out = new Float32Array(curvatureMap.length);
+  if (scale > 0) {
+    for (let i = 0; i < curvatureMap.length; i++) out[i] = Math.max(-1, Math.min(1, curvatureMap[i] / scale));
+  }
+  return out;
+}
+
+// 1 inside [low, high], fading linearly to 0 over `fade` outside it
+function bandWeight(value, low, high, fade) {
+  if (fade <= 0) return value >= low && value <= high ? 1 : 0;
+  return Math.max(0, Math.min(1, (value - low) / fade + 1, (high - value) / fade + 1));
+}
+
+// Per-cell weight in [0, 1] for cells whose normalized height lies in [minHeight, maxHeight] and
+// whose slope (degrees) lies in [minSlope, maxSlope]. Edges fade over `softness` (a fraction of the
+// height range, or of 90 degrees) so a limited region does not end in a step.
+export function computeRegionMask(heightMap, width, height, worldWidth, worldHeight, {
+  minHeight = 0, maxHeight = 1, minSlope = 0, maxSlope = 90, softness = 0.05
+} = {}) {
+  let minH = Infinity, maxH = -Infinity;
+  for (let i = 0; i < heightMap.length; i++) {
+    if (heightMap[i] < minH) minH = heightMap[i];
+    if (heightMap[i] > maxH) maxH = heightMap[i];
+  }
+  const range = maxH - minH || 1;
+  const limitsSlope = minSlope > 0 || maxSlope < 90;
+  const slopeMap = limitsSlope ? computeSlopeMap(heightMap, width, height, worldWidth, worldHeight) : null;
+  const out = new Float32Array(width * height);
+  for (let i = 0; i < out.length; i++) {
+    let weight = bandWeight((heightMap[i] - minH) / range, minHeight, maxHeight, softness);
+    if (slopeMap && weight > 0) {
+      const degrees = Math.atan(slopeMap[i]) * 180 / Math.PI;
+      weight *= bandWeight(degrees, minSlope, maxSlope, softness * 90);
+    }
+    out[i] = weight;
+  }
+  return out;
+}
+
+const SMOOTH_KERNEL = [
+  { x: -1, y: -1, weight: 0.5 }, { x: 0, y: -1, weight: 1 }, { x: 1, y: -1, weight: 0.5 },
+  { x: -1, y: 0, weight: 1 }, { x: 1, y: 0, weight: 1 },
+  { x: -1, y: 1, weight: 0.5 }, { x: 0, y: 1, weight: 1 }, { x: 1, y: 1, weight: 0.5 }
+];
+const SMOOTH_CENTER_WEIGHT = 6;
+
+// Weighted 3x3 smoothing, lerped towards the neighbourhood average by factor (in place).
+// With wrap, neighbours wrap around with period (size - 1), matching tileable heightmaps.
+export function smoothHeightmap(heightMap, width, height, iterations, factor, wrap = false) {
+  const temp = new Float32Array(heightMap);
+  const periodX = width - 1;
+  const periodY = height - 1;
+  for (let iter = 0; iter < iterations; iter++) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const idx = y * width + x;
+        let sum = heightMap[idx] * SMOOTH_CENTER_WEIGHT;
+        let totalWeight = SMOOTH_CENTER_WEIGHT;
+        for (const { x: dx, y: dy, weight } of SMOOTH_KERNEL) {
+          let nx = x + dx;
+          let ny = y + dy;
+          if (wrap) {
+            nx = (nx + periodX) % periodX;
+            ny = (ny + periodY) % periodY;
+          }
+          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+            sum += heightMap[ny * width + nx] * weight;
+            totalWeight += weight;
+          }
         }
+        const avg = sum / totalWeight;
+        temp[idx] = heightMap[idx] + (avg - heightMap[idx]) * factor;
+      }
+    }
+    heightMap.set(temp);
+  }
+  return heightMap;
+}
+
+// Linearly fades heights to zero over `margin` cells at the borders (in place)
+export function fadeHeightmapEdges(heightMap, width, height, margin = 1) {
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const edgeDist = Math.min(x, y, width - 1 - x, height - 1 - y);
+      if (edgeDist < margin) {
+        heightMap[y * width + x] *= edgeDist / margin;
+      }
+    }
+  }
+  return heightMap;
+}
+
+// Drainage basins: every cell is labelled with the basin whose outlet its D8 flow reaches, where
+// an outlet is a pit (or flat-bottomed pit) or a border cell water leaves the map through.
+// Without conditioning, each depression is its own basin and its pour point is the saddle it
+// overflows at; with fill or breach, all basins drain off the map. Basins smaller than minArea
+// cells are merged into the basin they spill into. Returns the labels (basin index per cell) and
+// per basin: outlet cell, whether it drains off the map, cell count, world area, mean elevation,
+// pour-point height and cell (the outlet itself for basins draining off the map) and the basin
+// it spills into (-1 off the map).
+export function computeBasins(heightMap, width, height, worldWidth, worldHeight, {
+  conditioning = FLOW_CONDITIONING.NONE, minArea = 0
+} = {}) {
+  const n = width * height;
+  const { offsets, receivers, order } = computeFlowRouting(heightMap, width, height, { routing: FLOW_ROUTING.D8, conditioning });
+  const labels = new Int32Array(n).fill(-1);
+  const outlets = [];
+  // Outlets first: neighbouring sinks of equal height (a flat pit floor) share one basin
+  for (let i = 0; i < n; i++) {
+    if (labels[i] >= 0 || offsets[i] !== offsets[i + 1]) continue;
+    const label = outlets.length;
+    outlets.push(i);
+    labels[i] = label;
+    const stack = [i];
+    while (stack.length) {
+      const c = stack.pop();
+      const x = c % width, y = (c - x) / width;
+      for (let k = 0; k < 8; k++) {
+        const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        if (labels[j] >= 0 || offsets[j] !== offsets[j + 1] || heightMap[j] !== heightMap[c]) continue;
+        labels[j] = label;
+        stack.push(j);
       }
-      downslope[idx] = minIdx;
     }
   }
-  // Topological sort by height
-  const indices = Array.from({ length: width * height }, (_, i) => i);
-  indices.sort((a, b) => heightMap[a] - heightMap[b]);
-  for (const idx of indices) {
-    const ds = downslope[idx];
-    if (ds !== idx) flowMap[ds] += flowMap[idx];
+  // Downstream first, every other cell joins its receiver's basin
+  for (let o = n - 1; o >= 0; o--) {
+    const c = order[o];
+    if (labels[c] < 0) labels[c] = labels[receivers[offsets[c]]];
   }
-  return flowMap;
-} 
\ No newline at end of file
+  let basins = basinStats(heightMap, width, height, labels, outlets);
+  // Smallest first, merge basins below minArea into the basin across their lowest saddle; repeated
+  // on the merged basins until every basin is large enough or has nothing left to merge into
+  while (minArea > 0 && basins.some(basin => basin.cells < minArea && basin.neighbour >= 0)) {
+    const root = basins.map((_, b) => b);
+    const find = b => {
+      while (root[b] !== b) b = root[b] = root[root[b]];
+      return b;
+    };
+    const cells = basins.map(basin => basin.cells);
+    const bySize = basins.map((_, b) => b).sort((a, b) => cells[a] - cells[b]);
+    for (const b of bySize) {
+      if (find(b) !== b || cells[b] >= minArea || basins[b].neighbour < 0) continue;
+      const target = find(basins[b].neighbour);
+      if (target === b) continue;
+      root[b] = target;
+      cells[target] += cells[b];
+    }
+    const compact = new Int32Array(basins.length).fill(-1);
+    const mergedOutlets = [];
+    for (let b = 0; b < basins.length; b++) {
+      if (find(b) !== b) continue;
+      compact[b] = mergedOutlets.length;
+      mergedOutlets.push(basins[b].outlet);
+    }
+    for (let i = 0; i < n; i++) labels[i] = compact[find(labels[i])];
+    basins = basinStats(heightMap, width, height, labels, mergedOutlets);
+  }
+  const cellArea = (worldWidth / (width - 1)) * (worldHeight / (height - 1));
+  return {
+    labels,
+    basins: basins.map(({ neighbour, ...basin }) => ({ ...basin, area: basin.cells * cellArea }))
+  };
+}
+
+// Per-basin statistics for computeBasins; neighbour is the basin across the lowest saddle
+function basinStats(heightMap, width, height, labels, outlets) {
+  const basins = outlets.map((outlet, id) => {
+    const x = outlet % width, y = (outlet - x) / width;
+    return {
+      id,
+      outlet,
+      drainsOffMap: x === 0 || y === 0 || x === width - 1 || y === height - 1,
+      cells: 0,
+      meanElevation: 0,
+      pourHeight: Infinity,
+      pourPoint: -1,
+      spillsInto: -1,
+      neighbour: -1
+    };
+  });
+  const saddleHeight = new Float64Array(basins.length).fill(Infinity);
+  const saddleCell = new Int32Array(basins.length).fill(-1);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const basin = basins[labels[i]];
+      basin.cells++;
+      basin.meanElevation += heightMap[i];
+      // A depression reaching the border can also overflow off the map there
+      const border = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+      if (border && heightMap[i] < basin.pourHeight) {
+        basin.pourHeight = heightMap[i];
+        basin.pourPoint = i;
+      }
+      // Each pair of neighbouring cells once (E, S, SE, SW); the saddle between them is the higher one
+      for (const [dx, dy] of [[1, 0], [0, 1], [1, 1], [-1, 1]]) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        const other = basins[labels[j]];
+        if (other === basin) continue;
+        const saddle = heightMap[i] > heightMap[j] ? i : j;
+        for (const [from, to] of [[basin, other], [other, basin]]) {
+          if (heightMap[saddle] < saddleHeight[from.id]) {
+            saddleHeight[from.id] = heightMap[saddle];
+            saddleCell[from.id] = saddle;
+            from.neighbour = to.id;
+          }
+        }
+      }
+    }
+  }
+  for (const basin of basins) {
+    basin.meanElevation /= basin.cells;
+    if (basin.drainsOffMap) {
+      basin.pourHeight = heightMap[basin.outlet];
+      basin.pourPoint = basin.outlet;
+    } else if (saddleHeight[basin.id] < basin.pourHeight) {
+      basin.pourHeight = saddleHeight[basin.id];
+      basin.pourPoint = saddleCell[basin.id];
+      basin.spillsInto = basin.neighbour;
+    }
+  }
+  return basins;
+}
+
+// Lakes in closed depressions, from depression filling: each depression (including compound ones
+// whose pits merge before they overflow) holds one lake whose level lies fillRatio of the way from
+// its floor to its spill height, so 1 fills it to the brim and smaller ratios leave drier basins.
+// Lakes shallower than minDepth or with fewer than minArea water cells are dropped. Returns the
+// lakes ({ id, level, spillHeight, floor, cells, maxDepth, volume } with volume in cells × height),
+// the lake per cell (-1 = dry) and the water depth per cell.
+export function computeLakes(heightMap, width, height, { fillRatio = 1, minDepth = 0, minArea = 1 } = {}) {
+  const n = width * height;
+  const filled = fillDepressions(heightMap, width, height);
+  const component = new Int32Array(n).fill(-1);
+  const labels = new Int32Array(n).fill(-1);
+  const depth = new Float32Array(n);
+  const lakes = [];
+  for (let start = 0; start < n; start++) {
+    if (component[start] >= 0 || filled[start] <= heightMap[start]) continue;
+    // One depression: connected flooded cells at the same filled level
+    const spillHeight = filled[start];
+    const cells = [start];
+    component[start] = start;
+    let floor = heightMap[start];
+    for (let c = 0; c < cells.length; c++) {
+      const i = cells[c];
+      if (heightMap[i] < floor) floor = heightMap[i];
+      const x = i % width, y = (i - x) / width;
+      for (let k = 0; k < 8; k++) {
+        const nx = x + FLOW_DX[k], ny = y + FLOW_DY[k];
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const j = ny * width + nx;
+        if (component[j] >= 0 || filled[j] !== spillHeight || filled[j] <= heightMap[j]) continue;
+        component[j] = start;
+        cells.push(j);
+      }
+    }
+    const level = floor + Math.min(Math.max(fillRatio, 0), 1) * (spillHeight - floor);
+    const wet = cells.filter(i => heightMap[i] < level);
+    const maxDepth = level - floor;
+    if (!wet.length || wet.length < minArea || maxDepth < minDepth) continue;
+    const lake = { id: lakes.length, level, spillHeight, floor, cells: wet.length, maxDepth, volume: 0 };
+    for (const i of wet) {
+      labels[i] = lake.id;
+      depth[i] = level - heightMap[i];
+      lake.volume += depth[i];
+    }
+    lakes.push(lake);
+  }
+  return { lakes, labels, depth };
+}
+
+// River centrelines: cells whose D8 contributing area reaches threshold cells, traced downstream
+// into polylines that split at confluences (a tributary ends on the confluence cell its
+// downstream river starts on). Points are { x, y, flow, width } in cells, where width grows with
+// the square root of the flow from baseWidth at the threshold up to maxWidth. Rivers are listed
+// upstream first, each with the river it flows into (-1 where it leaves the map or ends in a pit).
+// Also returns the flow accumulation the rivers were traced on and the conditioned heights they
+// follow (see computeFlowRouting).
+export function extractRivers(heightMap, width, height, {
+  threshold = 100, conditioning = FLOW_CONDITIONING.FILL, baseWidth = 1, maxWidth = 8
+} = {}) {
+  const n = width * height;
+  const routing = computeFlowRouting(heightMap, width, height, { routing: FLOW_ROUTING.D8, conditioning });
+  const { heights, offsets, receivers, order } = routing;
+  const flow = accumulateFlow(routing);
+  const receiver = c => (offsets[c] === offsets[c + 1] ? -1 : receivers[offsets[c]]);
+  // Flow only grows downstream, so a river cell's receiver is a river cell too
+  const riverDonors = new Uint8Array(n);
+  for (let c = 0; c < n; c++) {
+    if (flow[c] >= threshold && receiver(c) >= 0) riverDonors[receiver(c)]++;
+  }
+  const point = c => {
+    const x = c % width;
+    return {
+      x,
+      y: (c - x) / width,
+      flow: flow[c],
+      width: Math.min(maxWidth, baseWidth * Math.sqrt(flow[c] / threshold))
+    };
+  };
+  // A river starts at every source (no river upstream) and below every confluence
+  const startingAt = new Map();
+  const rivers = [];
+  for (let o = 0; o < n; o++) {
+    const start = order[o];
+    if (flow[start] < threshold || riverDonors[start] === 1) continue;
+    const points = [point(start)];
+    let end = start;
+    for (let next = receiver(start); next >= 0; next = receiver(next)) {
+      points.push(point(next));
+      end = next;
+      if (riverDonors[next] !== 1) break;
+    }
+    startingAt.set(start, rivers.length);
+    rivers.push({ id: rivers.length, points, end });
+  }
+  return {
+    rivers: rivers.map(({ end, ...river }) => ({
+      ...river,
+      downstream: end !== river.points[0].y * width + river.points[0].x && startingAt.has(end) ? startingAt.get(end) : -1
+    })),
+    flow,
+    heights
+  };
+}
+
+// Carves river beds (from extractRivers) into a copy of the heightmap. Each bed lies depth below
+// the conditioned heights the rivers were traced on (deeper with the square root of the width), so
+// a river crossing a filled depression runs over it instead of cutting a trench from the pit floor;
+// the banks slope up parabolically over bankWidth cells beyond half the river width. Once all
+// rivers are stamped, the beds are lowered where needed so none rises downstream, including
+// across confluences and where neighbouring rivers' banks undercut each other.
+export function carveRivers(heightMap, width, height, { rivers, heights }, { depth = 0.05, bankWidth = 1 } = {}) {
+  const out = new Float32Array(heightMap);
+  for (const river of rivers) {
+    for (const p of river.points) {
+      const bed = heights[p.y * width + p.x] - depth * Math.sqrt(p.width);
+      const radius = p.width / 2 + bankWidth;
+      const reach = Math.ceil(radius);
+      for (let y = Math.max(0, p.y - reach); y <= Math.min(height - 1, p.y + reach); y++) {
+        for (let x = Math.max(0, p.x - reach); x <= Math.min(width - 1, p.x + reach); x++) {
+          const t = Math.hypot(x - p.x, y - p.y) / radius;
+          const j = y * width + x;
+          if (t >= 1 || heightMap[j] <= bed) continue;
+          out[j] = Math.min(out[j], bed + (heightMap[j] - bed) * t * t);
+        }
+      }
+    }
+  }
+  // Rivers are listed upstream first, so a confluence cell is settled by its tributaries before
+  // the river below it starts from it. Terrain left below its bed (the floor of a filled
+  // depression) holds water and does not lower the bed further down.
+  for (const river of rivers) {
+    let bed = Infinity;
+    for (const p of river.points) {
+      const i = p.y * width + p.x;
+      bed = Math.min(bed, heights[i] - depth * Math.sqrt(p.width));
+      if (out[i] < heightMap[i]) bed = Math.min(bed, out[i]);
+      out[i] = Math.min(out[i], bed);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,207 @@
+/* eslint-env jest */
+import {
+  fillDepressions, breachDepressions, resolveFlats, computeFlowRouting, accumulateFlow, computeFlowMap,
+  computeBasins, computeLakes, extractRivers, carveRivers, FLOW_ROUTING, FLOW_CONDITIONING
+} from './HeightfieldService';
+
+const SIZE = 9;
+
+function grid(fn) {
+  const heightMap = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) heightMap[y * SIZE + x] = fn(x, y);
+  }
+  return heightMap;
+}
+
+const at = (x, y) => y * SIZE + x;
+const isBorder = i => {
+  const x = i % SIZE, y = Math.floor(i / SIZE);
+  return x === 0 || y === 0 || x === SIZE - 1 || y === SIZE - 1;
+};
+
+// Slopes down to the left edge, with a pit two cells deep at (5, 4)
+const slopeWithPit = () => grid((x, y) => (x === 5 && y === 4 ? 3 : x));
+// Ridge down the middle column, falling to the left and right edges
+const ridge = () => grid(x => 4 - Math.abs(x - 4));
+// Closed bowl around the centre cell
+const bowl = () => grid((x, y) => Math.hypot(x - 4, y - 4));
+// Walled flat at height 1 with a single gap in the wall at height 1.5
+const walledFlat = () => grid((x, y) => {
+  if (x === 0 && y === 4) return 1.5;
+  return isBorder(at(x, y)) ? 2 : 1;
+});
+
+function receiversOf({ offsets, receivers }, i) {
+  return Array.from(receivers.subarray(offsets[i], offsets[i + 1]));
+}
+
+test('filling raises a pit to its spill height and leaves the rest alone', () => {
+  const heightMap = slopeWithPit();
+  const filled = fillDepressions(heightMap, SIZE, SIZE);
+  expect(filled[at(5, 4)]).toBe(4);
+  filled[at(5, 4)] = heightMap[at(5, 4)];
+  expect(filled).toEqual(heightMap);
+});
+
+test('filling with epsilon slopes the filled area towards its outlet', () => {
+  const filled = fillDepressions(slopeWithPit(), SIZE, SIZE, 1e-3);
+  expect(filled[at(5, 4)]).toBeGreaterThan(4);
+  expect(filled[at(5, 4)]).toBeLessThan(4.01);
+});
+
+test('breaching carves a path out of a pit instead of filling it', () => {
+  const heightMap = slopeWithPit();
+  const breached = breachDepressions(heightMap, SIZE, SIZE);
+  expect(breached[at(5, 4)]).toBe(3);
+  let lowered = 0;
+  for (let i = 0; i < heightMap.length; i++) {
+    expect(breached[i]).toBeLessThanOrEqual(heightMap[i]);
+    if (breached[i] < heightMap[i]) lowered++;
+  }
+  expect(lowered).toBeGreaterThan(0);
+});
+
+test('flats get increments that fall towards their outlet', () => {
+  const heightMap = walledFlat();
+  const increments = resolveFlats(fillDepressions(heightMap, SIZE, SIZE), SIZE, SIZE);
+  for (let i = 0; i < increments.length; i++) {
+    if (isBorder(i)) expect(increments[i]).toBe(0);
+    else expect(increments[i]).toBeGreaterThan(0);
+  }
+  // The cell by the gap drains first; the far side of the flat drains last
+  expect(increments[at(1, 4)]).toBeLessThan(increments[at(4, 4)]);
+  expect(increments[at(4, 4)]).toBeLessThan(increments[at(7, 4)]);
+});
+
+test('conditioned routing drains every cell off the map', () => {
+  for (const heightMap of [slopeWithPit(), walledFlat(), bowl()]) {
+    for (const conditioning of [FLOW_CONDITIONING.FILL, FLOW_CONDITIONING.BREACH]) {
+      for (const routing of Object.values(FLOW_ROUTING)) {
+        const flowRouting = computeFlowRouting(heightMap, SIZE, SIZE, { routing, conditioning });
+        const flow = accumulateFlow(flowRouting);
+        let leaving = 0;
+        for (let i = 0; i < flow.length; i++) {
+          const out = receiversOf(flowRouting, i);
+          if (!out.length) {
+            expect(isBorder(i)).toBe(true);
+            leaving += flow[i];
+          }
+          const { offsets, weights } = flowRouting;
+          const total = weights.subarray(offsets[i], offsets[i + 1]).reduce((sum, w) => sum + w, 0);
+          if (out.length) expect(total).toBeCloseTo(1, 5);
+        }
+        // Flow is conserved: everything that falls on the map leaves it
+        expect(leaving).toBeCloseTo(SIZE * SIZE, 3);
+      }
+    }
+  }
+});
+
+test('D8 follows the steepest descent and accumulates area downstream', () => {
+  const heightMap = grid(x => x);
+  const routing = computeFlowRouting(heightMap, SIZE, SIZE, { conditioning: FLOW_CONDITIONING.NONE });
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 1; x < SIZE; x++) expect(receiversOf(routing, at(x, y))).toEqual([at(x - 1, y)]);
+  }
+  const flow = computeFlowMap(heightMap, SIZE, SIZE);
+  for (let y = 0; y < SIZE; y++) expect(flow[at(0, y)]).toBe(SIZE);
+});
+
+test('without conditioning, a pit keeps its flow', () => {
+  const routing = computeFlowRouting(slopeWithPit(), SIZE, SIZE, { conditioning: FLOW_CONDITIONING.NONE });
+  expect(receiversOf(routing, at(5, 4))).toEqual([]);
+  expect(accumulateFlow(routing)[at(5, 4)]).toBeGreaterThan(1);
+});
+
+test('a ridge splits the map into two basins draining off opposite edges', () => {
+  // Cells are 2 x 2 world units apart
+  const { labels, basins } = computeBasins(ridge(), SIZE, SIZE, 16, 16);
+  expect(basins).toHaveLength(2);
+  expect(basins.every(basin => basin.drainsOffMap)).toBe(true);
+  expect(basins[0].cells + basins[1].cells).toBe(SIZE * SIZE);
+  for (const basin of basins) expect(basin.area).toBe(basin.cells * 4);
+  expect(labels[at(0, 4)]).not.toBe(labels[at(8, 4)]);
+  for (let y = 0; y < SIZE; y++) {
+    expect(labels[at(1, y)]).toBe(labels[at(0, 4)]);
+    expect(labels[at(7, y)]).toBe(labels[at(8, 4)]);
+  }
+});
+
+test('a closed depression is its own basin and pours over its lowest rim', () => {
+  const { basins } = computeBasins(bowl(), SIZE, SIZE, 8, 8);
+  expect(basins).toHaveLength(1);
+  expect(basins[0]).toMatchObject({ outlet: at(4, 4), drainsOffMap: false, cells: SIZE * SIZE, pourHeight: 4 });
+  const filled = computeBasins(bowl(), SIZE, SIZE, 8, 8, { conditioning: FLOW_CONDITIONING.FILL });
+  expect(filled.basins.every(basin => basin.drainsOffMap)).toBe(true);
+});
+
+test('basins below minArea merge into the basin they spill into', () => {
+  const heightMap = ridge();
+  heightMap[at(2, 4)] = -1;
+  const { labels, basins } = computeBasins(heightMap, SIZE, SIZE, 8, 8);
+  expect(basins).toHaveLength(3);
+  const pit = basins.find(basin => !basin.drainsOffMap);
+  expect(pit.outlet).toBe(at(2, 4));
+  expect(pit.spillsInto).toBe(labels[at(0, 4)]);
+  const merged = computeBasins(heightMap, SIZE, SIZE, 8, 8, { minArea: 20 });
+  expect(merged.basins).toHaveLength(2);
+  expect(merged.labels[at(2, 4)]).toBe(merged.labels[at(0, 4)]);
+});
+
+test('a depression holds one lake up to its spill height', () => {
+  const { lakes, labels, depth } = computeLakes(walledFlat(), SIZE, SIZE);
+  expect(lakes).toHaveLength(1);
+  expect(lakes[0]).toMatchObject({ level: 1.5, spillHeight: 1.5, floor: 1, cells: 49, maxDepth: 0.5, volume: 24.5 });
+  for (let i = 0; i < labels.length; i++) {
+    expect(labels[i]).toBe(isBorder(i) ? -1 : 0);
+    expect(depth[i]).toBe(isBorder(i) ? 0 : 0.5);
+  }
+});
+
+test('lakes follow fillRatio and drop below minDepth or minArea', () => {
+  expect(computeLakes(walledFlat(), SIZE, SIZE, { fillRatio: 0.5 }).lakes[0].level).toBe(1.25);
+  expect(computeLakes(walledFlat(), SIZE, SIZE, { minDepth: 0.6 }).lakes).toHaveLength(0);
+  expect(computeLakes(walledFlat(), SIZE, SIZE, { minArea: 50 }).lakes).toHaveLength(0);
+});
+
+// A valley running down to the left edge along the middle row
+const valley = () => grid((x, y) => x + 2 * Math.abs(y - 4));
+
+test('rivers run downstream and split at confluences', () => {
+  const { rivers, flow } = extractRivers(valley(), SIZE, SIZE, { threshold: 4 });
+  expect(rivers.length).toBeGreaterThan(1);
+  const byId = new Map(rivers.map(river => [river.id, river]));
+  for (const river of rivers) {
+    for (let p = 1; p < river.points.length; p++) {
+      const a = river.points[p - 1], b = river.points[p];
+      expect(Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y))).toBe(1);
+      expect(b.flow).toBeGreaterThanOrEqual(a.flow);
+    }
+    expect(river.points[0].flow).toBeGreaterThanOrEqual(4);
+    const last = river.points[river.points.length - 1];
+    if (river.downstream >= 0) {
+      // A tributary ends on the cell its downstream river starts from
+      expect(byId.get(river.downstream).points[0]).toMatchObject({ x: last.x, y: last.y });
+    } else {
+      expect(last.x).toBe(0);
+    }
+  }
+  expect(flow[at(0, 4)]).toBe(Math.max(...flow));
+});
+
+test('carved river beds lie below the terrain and never rise downstream', () => {
+  const heightMap = valley();
+  const rivers = extractRivers(heightMap, SIZE, SIZE, { threshold: 4 });
+  const carved = carveRivers(heightMap, SIZE, SIZE, rivers, { depth: 0.5 });
+  for (let i = 0; i < heightMap.length; i++) expect(carved[i]).toBeLessThanOrEqual(heightMap[i]);
+  for (const river of rivers.rivers) {
+    let previous = Infinity;
+    for (const p of river.points) {
+      const bed = carved[at(p.x, p.y)];
+      expect(bed).toBeLessThan(heightMap[at(p.x, p.y)]);
+      expect(bed).toBeLessThanOrEqual(previous);
+      previous = bed;
+    }
+  }
+});
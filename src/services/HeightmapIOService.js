@@ -0,0 +1,602 @@
+// HeightmapIOService.js
+// Reads and writes heightmaps in interchange formats (8/16-bit PNG, headerless R16/R32 RAW,
+// float TIFF and PFM). Exports carry a JSON metadata sidecar with world size and height range,
+// so a re-import restores the same world-space elevations.
+
+/**
+ * Import formats understood by importHeightmap.
+ */
+export const HEIGHTMAP_IMPORT_FORMATS = {
+  PNG: 'png',
+  RAW: 'raw',
+  TIFF: 'tiff',
+  PFM: 'pfm',
+};
+
+/**
+ * Export formats understood by exportHeightmap.
+ */
+export const HEIGHTMAP_EXPORT_FORMATS = {
+  PNG8: 'png8',
+  PNG16: 'png16',
+  R16: 'r16',
+  R32: 'r32',
+  TIFF32: 'tiff32',
+  PFM: 'pfm',
+};
+
+/**
+ * Select options for the export dialog.
+ */
+export const HEIGHTMAP_EXPORT_FORMAT_OPTIONS = [
+  { value: HEIGHTMAP_EXPORT_FORMATS.PNG16, label: '16-bit PNG' },
+  { value: HEIGHTMAP_EXPORT_FORMATS.PNG8, label: '8-bit PNG (preview)' },
+  { value: HEIGHTMAP_EXPORT_FORMATS.R16, label: 'R16 RAW (16-bit unsigned)' },
+  { value: HEIGHTMAP_EXPORT_FORMATS.R32, label: 'R32 RAW (32-bit float)' },
+  { value: HEIGHTMAP_EXPORT_FORMATS.TIFF32, label: 'TIFF (32-bit float)' },
+  { value: HEIGHTMAP_EXPORT_FORMATS.PFM, label: 'PFM (32-bit float)' },
+];
+
+// Extension and whether samples hold world heights (float) or the normalized [min, max] range
+const EXPORT_LAYOUTS = {
+  [HEIGHTMAP_EXPORT_FORMATS.PNG8]: { ext: 'png', float: false },
+  [HEIGHTMAP_EXPORT_FORMATS.PNG16]: { ext: 'png', float: false },
+  [HEIGHTMAP_EXPORT_FORMATS.R16]: { ext: 'r16', float: false },
+  [HEIGHTMAP_EXPORT_FORMATS.R32]: { ext: 'r32', float: true },
+  [HEIGHTMAP_EXPORT_FORMATS.TIFF32]: { ext: 'tif', float: true },
+  [HEIGHTMAP_EXPORT_FORMATS.PFM]: { ext: 'pfm', float: true },
+};
+
+const METADATA_VERSION = 1;
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Detects the import format from a file name.
+ * @param {string} fileName - File name with extension.
+ * @returns {string|null} - One of HEIGHTMAP_IMPORT_FORMATS, or null if unknown.
+ */
+export function detectHeightmapFormat(fileName) {
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  if (ext === 'png') return HEIGHTMAP_IMPORT_FORMATS.PNG;
+  if (ext === 'r16' || ext === 'r32' || ext === 'raw') return HEIGHTMAP_IMPORT_FORMATS.RAW;
+  if (ext === 'tif' || ext === 'tiff') return HEIGHTMAP_IMPORT_FORMATS.TIFF;
+  if (ext === 'pfm') return HEIGHTMAP_IMPORT_FORMATS.PFM;
+  return null;
+}
+
+/**
+ * Guesses square dimensions for a headerless RAW file from its size.
+ * @param {number} byteLength - File size in bytes.
+ * @param {number} [bitDepth] - 8, 16 or 32; when omitted, 16-bit is tried first, then 8-bit.
+ * @returns {{width: number, height: number, bitDepth: number}|null} - Null if no square fits.
+ */
+export function guessRawDimensions(byteLength, bitDepth) {
+  for (const depth of bitDepth ? [bitDepth] : [16, 8]) {
+    const samples = byteLength / (depth / 8);
+    const side = Math.round(Math.sqrt(samples));
+    if (side > 1 && side * side === samples) {
+      return { width: side, height: side, bitDepth: depth };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes a headerless RAW heightmap.
+ * @param {ArrayBuffer} buffer - File contents.
+ * @param {object} options - Layout of the file.
+ * @param {number} options.width - Width in samples.
+ * @param {number} options.height - Height in samples.
+ * @param {boolean} [options.littleEndian=true] - Byte order of 16/32-bit samples.
+ * @param {number} [options.bitDepth] - 8, 16 or 32 (float); inferred from the file size when omitted.
+ * @returns {{width: number, height: number, bitDepth: number, isFloat: boolean, data: Float32Array}} - Integer
+ *   samples normalized to [0, 1]; float samples as stored.
+ */
+export function decodeRawHeightmap(buffer, options) {
+  const { width, height, littleEndian = true } = options;
+  if (!(width > 1 && height > 1)) {
+    throw new Error('RAW heightmaps need a width and height of at least 2');
+  }
+  const count = width * height;
+  const bitDepth = options.bitDepth || (buffer.byteLength === count ? 8 : buffer.byteLength === count * 4 ? 32 : 16);
+  if (buffer.byteLength !== count * (bitDepth / 8)) {
+    throw new Error(`RAW size mismatch: ${width}x${height} at ${bitDepth}-bit needs ${count * (bitDepth / 8)} bytes, file has ${buffer.byteLength}`);
+  }
+  const data = new Float32Array(count);
+  if (bitDepth === 8) {
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < count; i++) data[i] = bytes[i] / 255;
+  } else if (bitDepth === 16) {
+    const view = new DataView(buffer);
+    for (let i = 0; i < count; i++) data[i] = view.getUint16(i * 2, littleEndian) / 65535;
+  } else if (bitDepth === 32) {
+    const view = new DataView(buffer);
+    for (let i = 0; i < count; i++) data[i] = view.getFloat32(i * 4, littleEndian);
+  } else {
+    throw new Error(`Unsupported RAW bit depth: ${bitDepth}`);
+  }
+  return { width, height, bitDepth, isFloat: bitDepth === 32, data };
+}
+
+/**
+ * Decodes an 8- or 16-bit PNG into normalized heights. Grayscale images are read directly;
+ * RGB(A) and palette images use their red channel.
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {Promise<{width: number, height: number, bitDepth: number, data: Float32Array}>} - Heights normalized to [0, 1].
+ */
+export async function decodePNG(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+    if (bytes[i] !== PNG_SIGNATURE[i]) throw new Error('Not a PNG file');
+  }
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+  let palette = null;
+  const idat = [];
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = view.getUint32(offset + 8);
+      height = view.getUint32(offset + 12);
+      bitDepth = chunk[8];
+      colorType = chunk[9];
+      interlace = chunk[12];
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG color type: ${colorType}`);
+  if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`Unsupported PNG bit depth: ${bitDepth}`);
+  if (interlace) throw new Error('Interlaced PNGs are not supported');
+  if (colorType === 3 && !palette) throw new Error('Palette PNG is missing its PLTE chunk');
+
+  const raw = await inflate(idat);
+  const bpp = channels * (bitDepth / 8);
+  const stride = width * bpp;
+  if (raw.length < height * (stride + 1)) throw new Error('PNG image data is truncated');
+  const pixels = unfilterScanlines(raw, height, stride, bpp);
+
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * bpp;
+    if (colorType === 3) {
+      data[i] = palette[pixels[p] * 3] / 255;
+    } else if (bitDepth === 16) {
+      data[i] = ((pixels[p] << 8) | pixels[p + 1]) / 65535;
+    } else {
+      data[i] = pixels[p] / 255;
+    }
+  }
+  return { width, height, bitDepth, isFloat: false, data };
+}
+
+/**
+ * Decodes an uncompressed grayscale TIFF (8/16-bit unsigned or 32-bit float samples).
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {{width: number, height: number, bitDepth: number, isFloat: boolean, data: Float32Array}} - Integer
+ *   samples normalized to [0, 1]; float samples as stored.
+ */
+export function decodeTIFF(buffer) {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4d4d) throw new Error('Not a TIFF file');
+  const le = order === 0x4949;
+  if (view.getUint16(2, le) !== 42) throw new Error('Not a TIFF file');
+  const ifd = view.getUint32(4, le);
+  const tags = {};
+  const entries = view.getUint16(ifd, le);
+  for (let e = 0; e < entries; e++) {
+    const entry = ifd + 2 + e * 12;
+    const tag = view.getUint16(entry, le);
+    const type = view.getUint16(entry + 2, le);
+    const count = view.getUint32(entry + 4, le);
+    const size = type === 3 ? 2 : 4;
+    const at = count * size <= 4 ? entry + 8 : view.getUint32(entry + 8, le);
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(size === 2 ? view.getUint16(at + i * 2, le) : view.getUint32(at + i * 4, le));
+    }
+    tags[tag] = values;
+  }
+  const width = tags[256][0];
+  const height = tags[257][0];
+  const bitDepth = tags[258] ? tags[258][0] : 1;
+  const sampleFormat = tags[339] ? tags[339][0] : 1;
+  const samplesPerPixel = tags[277] ? tags[277][0] : 1;
+  if (tags[259] && tags[259][0] !== 1) throw new Error('Compressed TIFFs are not supported');
+  const isFloat = sampleFormat === 3;
+  if (isFloat ? bitDepth !== 32 : (sampleFormat !== 1 || (bitDepth !== 8 && bitDepth !== 16))) {
+    throw new Error(`Unsupported TIFF sample format: ${bitDepth}-bit${isFloat ? ' float' : ''}`);
+  }
+  // Copy strips into one contiguous sample buffer
+  const bytes = new Uint8Array(buffer);
+  const pixels = new Uint8Array(width * height * samplesPerPixel * (bitDepth / 8));
+  let filled = 0;
+  tags[273].forEach((stripOffset, s) => {
+    const length = Math.min(tags[279][s], pixels.length - filled);
+    pixels.set(bytes.subarray(stripOffset, stripOffset + length), filled);
+    filled += length;
+  });
+  const pv = new DataView(pixels.buffer);
+  const step = samplesPerPixel * (bitDepth / 8);
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    if (isFloat) data[i] = pv.getFloat32(i * step, le);
+    else if (bitDepth === 16) data[i] = pv.getUint16(i * step, le) / 65535;
+    else data[i] = pixels[i * step] / 255;
+  }
+  return { width, height, bitDepth, isFloat, data };
+}
+
+/**
+ * Decodes a PFM (portable float map). Color PFMs use their red channel.
+ * @param {ArrayBuffer} buffer - File contents.
+ * @returns {{width: number, height: number, bitDepth: number, isFloat: boolean, data: Float32Array}} - Samples as stored.
+ */
+export function decodePFM(buffer) {
+  const bytes = new Uint8Array(buffer);
+  // Header: "Pf" or "PF", "<width> <height>", "<scale>" (negative = little-endian), whitespace-separated
+  const tokens = [];
+  let pos = 0;
+  while (tokens.length < 4 && pos < bytes.length) {
+    while (pos < bytes.length && /\s/.test(String.fromCharCode(bytes[pos]))) pos++;
+    let token = '';
+    while (pos < bytes.length && !/\s/.test(String.fromCharCode(bytes[pos]))) token += String.fromCharCode(bytes[pos++]);
+    tokens.push(token);
+  }
+  pos++;
+  const [magic, w, h, scale] = tokens;
+  if (magic !== 'Pf' && magic !== 'PF') throw new Error('Not a PFM file');
+  const width = parseInt(w, 10);
+  const height = parseInt(h, 10);
+  const channels = magic === 'PF' ? 3 : 1;
+  const le = parseFloat(scale) < 0;
+  if (bytes.length - pos < width * height * channels * 4) throw new Error('PFM image data is truncated');
+  const view = new DataView(buffer, pos);
+  const data = new Float32Array(width * height);
+  // PFM rows run bottom to top
+  for (let y = 0; y < height; y++) {
+    const row = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) {
+      data[y * width + x] = view.getFloat32((row + x) * channels * 4, le);
+    }
+  }
+  return { width, height, bitDepth: 32, isFloat: true, data };
+}
+
+/**
+ * Imports a heightmap file as world-space heights.
+ * @param {File|Blob} file - PNG, RAW (R16/R32), TIFF or PFM file.
+ * @param {object} [options] - Import options.
+ * @param {string} [options.format] - One of HEIGHTMAP_IMPORT_FORMATS; detected from file.name when omitted.
+ * @param {number} [options.width] - RAW width in samples.
+ * @param {number} [options.height] - RAW height in samples.
+ * @param {boolean} [options.littleEndian=true] - RAW byte order.
+ * @param {number} [options.heightScale=1] - World height of the brightest sample (integer formats without metadata).
+ * @param {object} [options.metadata] - Parsed metadata sidecar; restores layout and the world height range.
+ *   For a tileable map it also restores the wrap row and column the export dropped.
+ * @returns {Promise<{hm: Float32Array, width: number, height: number, minH: number, maxH: number, bitDepth: number, metadata: object|null}>}
+ */
+export async function importHeightmap(file, options = {}) {
+  const metadata = options.metadata || null;
+  const format = options.format || detectHeightmapFormat(file.name || '');
+  const buffer = await file.arrayBuffer();
+  let decoded;
+  if (format === HEIGHTMAP_IMPORT_FORMATS.PNG) {
+    decoded = await decodePNG(buffer);
+  } else if (format === HEIGHTMAP_IMPORT_FORMATS.RAW) {
+    decoded = decodeRawHeightmap(buffer, metadata
+      ? { width: metadata.width, height: metadata.height, bitDepth: metadata.bitDepth, littleEndian: metadata.littleEndian !== false }
+      : options);
+  } else if (format === HEIGHTMAP_IMPORT_FORMATS.TIFF) {
+    decoded = decodeTIFF(buffer);
+  } else if (format === HEIGHTMAP_IMPORT_FORMATS.PFM) {
+    decoded = decodePFM(buffer);
+  } else {
+    throw new Error(`Unsupported heightmap format: ${file.name || format}`);
+  }
+  if (metadata && (metadata.width !== decoded.width || metadata.height !== decoded.height)) {
+    throw new Error(`Metadata is for a ${metadata.width}x${metadata.height} map, file is ${decoded.width}x${decoded.height}`);
+  }
+  // Float samples are world heights; integer samples span [minHeight, maxHeight] from the
+  // sidecar, or [0, heightScale] without one
+  const base = !decoded.isFloat && metadata ? metadata.minHeight : 0;
+  const scale = decoded.isFloat ? 1 : metadata ? metadata.maxHeight - metadata.minHeight : options.heightScale ?? 1;
+  let hm = decoded.data;
+  let { width, height } = decoded;
+  let minH = Infinity, maxH = -Infinity;
+  for (let i = 0; i < hm.length; i++) {
+    hm[i] = base + hm[i] * scale;
+    if (hm[i] < minH) minH = hm[i];
+    if (hm[i] > maxH) maxH = hm[i];
+  }
+  if (metadata && metadata.tileable) {
+    // Close the tile again with copies of the first row and column, as the mesh and tile repeat expect
+    const closed = new Float32Array((width + 1) * (height + 1));
+    for (let y = 0; y <= height; y++) {
+      const row = (y % height) * width;
+      closed.set(hm.subarray(row, row + width), y * (width + 1));
+      closed[y * (width + 1) + width] = hm[row];
+    }
+    hm = closed;
+    width += 1;
+    height += 1;
+  }
+  return { hm, width, height, minH, maxH, bitDepth: decoded.bitDepth, metadata };
+}
+
+/**
+ * Encodes a heightmap for export, with an optional metadata sidecar.
+ * @param {Float32Array} hm - World-space heights.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {object} options - Export options.
+ * @param {string} options.format - One of HEIGHTMAP_EXPORT_FORMATS.
+ * @param {number} options.worldWidth - World-space width of the map.
+ * @param {number} options.worldHeight - World-space depth of the map.
+ * @param {boolean} [options.littleEndian=true] - Byte order for RAW formats.
+ * @param {boolean} [options.tileable=false] - Drop the duplicated last row/column so the map repeats seamlessly.
+ * @param {boolean} [options.sidecar=true] - Also produce a JSON metadata file.
+ * @param {string} [options.baseName='heightmap'] - File name prefix.
+ * @returns {Promise<Array<{name: string, blob: Blob}>>} - Heightmap file, then the sidecar if requested.
+ */
+export async function exportHeightmap(hm, width, height, options) {
+  const { format, worldWidth, worldHeight, littleEndian = true, tileable = false, sidecar = true, baseName = 'heightmap' } = options;
+  const layout = EXPORT_LAYOUTS[format];
+  if (!layout) throw new Error(`Unsupported export format: ${format}`);
+  const outW = tileable ? width - 1 : width;
+  const outH = tileable ? height - 1 : height;
+  const values = new Float32Array(outW * outH);
+  let minH = Infinity, maxH = -Infinity;
+  for (let y = 0; y < outH; y++) {
+    for (let x = 0; x < outW; x++) {
+      const h = hm[y * width + x];
+      values[y * outW + x] = h;
+      if (h < minH) minH = h;
+      if (h > maxH) maxH = h;
+    }
+  }
+  const range = maxH - minH || 1;
+  const normalized = layout.float ? null : values.map(h => (h - minH) / range);
+
+  let bytes;
+  let bitDepth = 32;
+  if (format === HEIGHTMAP_EXPORT_FORMATS.PNG8 || format === HEIGHTMAP_EXPORT_FORMATS.PNG16) {
+    bitDepth = format === HEIGHTMAP_EXPORT_FORMATS.PNG8 ? 8 : 16;
+    bytes = await encodePNG(normalized, outW, outH, bitDepth);
+  } else if (format === HEIGHTMAP_EXPORT_FORMATS.R16) {
+    bitDepth = 16;
+    bytes = new Uint8Array(outW * outH * 2);
+    const view = new DataView(bytes.buffer);
+    normalized.forEach((v, i) => view.setUint16(i * 2, Math.round(v * 65535), littleEndian));
+  } else if (format === HEIGHTMAP_EXPORT_FORMATS.R32) {
+    bytes = new Uint8Array(outW * outH * 4);
+    const view = new DataView(bytes.buffer);
+    values.forEach((v, i) => view.setFloat32(i * 4, v, littleEndian));
+  } else if (format === HEIGHTMAP_EXPORT_FORMATS.TIFF32) {
+    bytes = encodeTIFF32(values, outW, outH);
+  } else {
+    bytes = encodePFM(values, outW, outH);
+  }
+
+  const name = `${baseName}_${outW}x${outH}${tileable ? '_tileable' : ''}.${layout.ext}`;
+  const files = [{ name, blob: new Blob([bytes], { type: layout.ext === 'png' ? 'image/png' : 'application/octet-stream' }) }];
+  if (sidecar) {
+    const metadata = {
+      version: METADATA_VERSION,
+      file: name,
+      format,
+      width: outW,
+      height: outH,
+      bitDepth,
+      littleEndian: format === HEIGHTMAP_EXPORT_FORMATS.TIFF32 || format === HEIGHTMAP_EXPORT_FORMATS.PFM ? true : littleEndian,
+      encoding: layout.float ? 'world' : 'normalized',
+      worldWidth,
+      worldHeight,
+      minHeight: minH,
+      maxHeight: maxH,
+      verticalScale: maxH - minH,
+      tileable
+    };
+    files.push({ name: name.replace(/\.[^.]+$/, '.json'), blob: new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' }) });
+  }
+  return files;
+}
+
+/**
+ * Encodes normalized heights as a grayscale PNG.
+ * @param {Float32Array} values - Heights in [0, 1].
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {number} [bitDepth=16] - 8 or 16.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodePNG(values, width, height, bitDepth = 16) {
+  const bpp = bitDepth / 8;
+  const stride = width * bpp;
+  // Every scanline uses the Up filter, which compresses smooth terrain well
+  const raw = new Uint8Array(height * (stride + 1));
+  const row = new Uint8Array(stride);
+  const prev = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = Math.max(0, Math.min(1, values[y * width + x]));
+      if (bitDepth === 16) {
+        const s = Math.round(v * 65535);
+        row[x * 2] = s >> 8;
+        row[x * 2 + 1] = s & 0xff;
+      } else {
+        row[x] = Math.round(v * 255);
+      }
+    }
+    const dst = y * (stride + 1);
+    raw[dst] = 2;
+    for (let i = 0; i < stride; i++) raw[dst + 1 + i] = (row[i] - prev[i]) & 0xff;
+    prev.set(row);
+  }
+  const ihdr = new Uint8Array(13);
+  const hv = new DataView(ihdr.buffer);
+  hv.setUint32(0, width);
+  hv.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = 0; // grayscale
+  const idat = await deflate(raw);
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+// Baseline little-endian TIFF with one strip of 32-bit float samples
+function encodeTIFF32(values, width, height) {
+  const entries = [
+    [256, 4, width], // ImageWidth
+    [257, 4, height], // ImageLength
+    [258, 3, 32], // BitsPerSample
+    [259, 3, 1], // Compression: none
+    [262, 3, 1], // PhotometricInterpretation: BlackIsZero
+    [273, 4, 0], // StripOffsets (patched below)
+    [277, 3, 1], // SamplesPerPixel
+    [278, 4, height], // RowsPerStrip
+    [279, 4, width * height * 4], // StripByteCounts
+    [284, 3, 1], // PlanarConfiguration: chunky
+    [339, 3, 3] // SampleFormat: IEEE float
+  ];
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const dataOffset = 8 + ifdSize;
+  entries[5][2] = dataOffset;
+  const bytes = new Uint8Array(dataOffset + width * height * 4);
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, 0x4949);
+  view.setUint16(2, 42, true);
+  view.setUint32(4, 8, true);
+  view.setUint16(8, entries.length, true);
+  entries.forEach(([tag, type, value], e) => {
+    const at = 10 + e * 12;
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, 1, true);
+    if (type === 3) view.setUint16(at + 8, value, true);
+    else view.setUint32(at + 8, value, true);
+  });
+  view.setUint32(10 + entries.length * 12, 0, true);
+  values.forEach((v, i) => view.setFloat32(dataOffset + i * 4, v, true));
+  return bytes;
+}
+
+// Little-endian grayscale PFM; rows are stored bottom to top
+function encodePFM(values, width, height) {
+  const header = new TextEncoder().encode(`Pf\n${width} ${height}\n-1.0\n`);
+  const bytes = new Uint8Array(header.length + width * height * 4);
+  bytes.set(header);
+  const view = new DataView(bytes.buffer, header.length);
+  for (let y = 0; y < height; y++) {
+    const row = (height - 1 - y) * width;
+    for (let x = 0; x < width; x++) view.setFloat32((row + x) * 4, values[y * width + x], true);
+  }
+  return bytes;
+}
+
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+async function deflate(bytes) {
+  return readStream(new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate')));
+}
+
+// Concatenates IDAT chunks and inflates the zlib stream
+async function inflate(chunks) {
+  return readStream(new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate')));
+}
+
+// Reads a byte stream to its end
+async function readStream(stream) {
+  const reader = stream.getReader();
+  const parts = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return concatBytes(parts);
+    parts.push(value);
+  }
+}
+
+// Reverses PNG per-scanline filters (None, Sub, Up, Average, Paeth)
+function unfilterScanlines(raw, height, stride, bpp) {
+  const out = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    const prev = dst - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? out[dst + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let v = raw[src + x];
+      switch (filter) {
+        case 0: break;
+        case 1: v += a; break;
+        case 2: v += b; break;
+        case 3: v += (a + b) >> 1; break;
+        case 4: v += paeth(a, b, c); break;
+        default: throw new Error(`Invalid PNG filter type: ${filter}`);
+      }
+      out[dst + x] = v & 0xff;
+    }
+  }
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
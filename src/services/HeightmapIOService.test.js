@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import { Blob } from 'buffer';
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import {
+  exportHeightmap, importHeightmap, decodeRawHeightmap, guessRawDimensions, detectHeightmapFormat,
+  HEIGHTMAP_EXPORT_FORMATS, HEIGHTMAP_IMPORT_FORMATS
+} from './HeightmapIOService';
+
+// jsdom has neither Blob streams nor compression streams; Node's own implementations stand in
+Object.assign(global, { Blob, CompressionStream, DecompressionStream });
+
+const WIDTH = 33;
+const HEIGHT = 17;
+
+function terrain(width = WIDTH, height = HEIGHT) {
+  const hm = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) hm[y * width + x] = -12.5 + 40 * (0.5 + 0.5 * Math.sin(x / 5) * Math.cos(y / 3));
+  }
+  return hm;
+}
+
+// Exports with a sidecar, then imports the file with it as a user would
+async function roundTrip(hm, width, height, options) {
+  const files = await exportHeightmap(hm, width, height, { worldWidth: 64, worldHeight: 32, ...options });
+  const metadata = JSON.parse(await files[1].blob.text());
+  const file = files[0].blob;
+  file.name = files[0].name;
+  return { files, metadata, imported: await importHeightmap(file, { metadata }) };
+}
+
+function maxError(a, b) {
+  let worst = 0;
+  for (let i = 0; i < a.length; i++) worst = Math.max(worst, Math.abs(a[i] - b[i]));
+  return worst;
+}
+
+// Largest rounding error of each format, in world units for the 40-unit height range above
+const TOLERANCES = {
+  [HEIGHTMAP_EXPORT_FORMATS.PNG8]: 40 / 255 / 2 + 1e-4,
+  [HEIGHTMAP_EXPORT_FORMATS.PNG16]: 40 / 65535 / 2 + 1e-4,
+  [HEIGHTMAP_EXPORT_FORMATS.R16]: 40 / 65535 / 2 + 1e-4,
+  [HEIGHTMAP_EXPORT_FORMATS.R32]: 0,
+  [HEIGHTMAP_EXPORT_FORMATS.TIFF32]: 0,
+  [HEIGHTMAP_EXPORT_FORMATS.PFM]: 0,
+};
+
+test.each(Object.entries(TOLERANCES))('%s exports re-import to the same world heights', async (format, tolerance) => {
+  const hm = terrain();
+  const { files, metadata, imported } = await roundTrip(hm, WIDTH, HEIGHT, { format });
+  expect(files[0].name).toMatch(new RegExp(`^heightmap_${WIDTH}x${HEIGHT}\\.`));
+  expect(metadata).toMatchObject({ format, width: WIDTH, height: HEIGHT, worldWidth: 64, worldHeight: 32, tileable: false });
+  expect(imported.width).toBe(WIDTH);
+  expect(imported.height).toBe(HEIGHT);
+  expect(maxError(imported.hm, hm)).toBeLessThanOrEqual(tolerance);
+});
+
+test('big-endian RAW exports re-import with their sidecar', async () => {
+  const hm = terrain();
+  for (const format of [HEIGHTMAP_EXPORT_FORMATS.R16, HEIGHTMAP_EXPORT_FORMATS.R32]) {
+    const { imported } = await roundTrip(hm, WIDTH, HEIGHT, { format, littleEndian: false });
+    expect(maxError(imported.hm, hm)).toBeLessThanOrEqual(TOLERANCES[format]);
+  }
+});
+
+test('tileable exports drop the wrap row and column and the import restores them', async () => {
+  const size = 17;
+  const hm = terrain(size, size);
+  // Close the tile: the last row and column repeat the first
+  for (let y = 0; y < size; y++) hm[y * size + size - 1] = hm[y * size];
+  hm.copyWithin((size - 1) * size, 0, size);
+  for (const format of [HEIGHTMAP_EXPORT_FORMATS.PNG16, HEIGHTMAP_EXPORT_FORMATS.PFM]) {
+    const { files, metadata, imported } = await roundTrip(hm, size, size, { format, tileable: true });
+    expect(files[0].name).toContain('_16x16_tileable.');
+    expect(metadata).toMatchObject({ width: 16, height: 16, tileable: true });
+    expect(imported.width).toBe(size);
+    expect(imported.height).toBe(size);
+    expect(maxError(imported.hm, hm)).toBeLessThanOrEqual(TOLERANCES[format]);
+  }
+});
+
+test('PNGs without a sidecar import normalized and scaled by heightScale', async () => {
+  const hm = terrain();
+  const [png] = await exportHeightmap(hm, WIDTH, HEIGHT, { format: HEIGHTMAP_EXPORT_FORMATS.PNG16, worldWidth: 64, worldHeight: 32 });
+  const imported = await importHeightmap(png.blob, { format: HEIGHTMAP_IMPORT_FORMATS.PNG, heightScale: 2 });
+  expect(imported.minH).toBe(0);
+  expect(imported.maxH).toBe(2);
+  expect(imported.metadata).toBeNull();
+});
+
+test('RAW dimensions are guessed from square file sizes', () => {
+  expect(guessRawDimensions(257 * 257 * 2, 16)).toMatchObject({ width: 257, height: 257 });
+  expect(guessRawDimensions(1025 * 1025 * 4, 32)).toMatchObject({ width: 1025, height: 1025 });
+});
+
+test('RAW decoding reads each bit depth and rejects a size mismatch', () => {
+  const eight = new Uint8Array([0, 51, 255, 102]).buffer;
+  expect(decodeRawHeightmap(eight, { width: 2, height: 2 }).data).toEqual(new Float32Array([0, 0.2, 1, 0.4]));
+  const sixteen = new DataView(new ArrayBuffer(8));
+  [0, 65535, 32768, 1].forEach((v, i) => sixteen.setUint16(i * 2, v, false));
+  const decoded = decodeRawHeightmap(sixteen.buffer, { width: 2, height: 2, littleEndian: false });
+  expect(decoded.bitDepth).toBe(16);
+  expect(decoded.data[1]).toBe(1);
+  expect(decoded.data[2]).toBeCloseTo(32768 / 65535, 6);
+  expect(() => decodeRawHeightmap(new ArrayBuffer(10), { width: 2, height: 2, bitDepth: 16 })).toThrow('RAW size mismatch');
+});
+
+test('formats are detected from the file extension', () => {
+  expect(detectHeightmapFormat('terrain.PNG')).toBe(HEIGHTMAP_IMPORT_FORMATS.PNG);
+  expect(detectHeightmapFormat('terrain.r16')).toBe(HEIGHTMAP_IMPORT_FORMATS.RAW);
+  expect(detectHeightmapFormat('terrain.tif')).toBe(HEIGHTMAP_IMPORT_FORMATS.TIFF);
+  expect(detectHeightmapFormat('terrain.pfm')).toBe(HEIGHTMAP_IMPORT_FORMATS.PFM);
+});
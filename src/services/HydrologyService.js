@@ -0,0 +1,252 @@
+import * as THREE from 'three';
+
+/**
+ * Select options for the 2D hydrology overlay (including "none").
+ * @type {Array<{value: string, label: string}>}
+ */
+export const HYDROLOGY_OVERLAY_OPTIONS = [
+  { value: 'none', label: 'No Hydrology' },
+  { value: 'basins', label: 'Basins' },
+  { value: 'rivers', label: 'Rivers' },
+];
+
+// Overlay tint for river channels
+const RIVER_OVERLAY_COLOR = [70, 140, 235];
+
+/**
+ * Tints an RGBA image with one colour per drainage basin and darkens the basin outlines, in place.
+ * Neighbouring basins get well separated hues (golden-ratio steps).
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, one per cell.
+ * @param {Int32Array} labels - Basin per cell, from computeBasins.
+ * @param {number} width - Width of the map.
+ * @param {number} height - Height of the map.
+ */
+export function applyBasinOverlay(pixels, labels, width, height) {
+  const color = new THREE.Color();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const label = labels[i];
+      const outline = (x + 1 < width && labels[i + 1] !== label) || (y + 1 < height && labels[i + width] !== label);
+      color.setHSL((label * 0.618034) % 1, 0.65, outline ? 0.15 : 0.5);
+      const alpha = outline ? 0.8 : 0.4;
+      pixels[4 * i] += (color.r * 255 - pixels[4 * i]) * alpha;
+      pixels[4 * i + 1] += (color.g * 255 - pixels[4 * i + 1]) * alpha;
+      pixels[4 * i + 2] += (color.b * 255 - pixels[4 * i + 2]) * alpha;
+    }
+  }
+}
+
+/**
+ * Builds one flat water mesh per lake, clipped to its shoreline: each terrain triangle the lake
+ * touches is cut where the (linearly interpolated) terrain rises above the lake level, so the
+ * surface meets the ground exactly. Meshes are in the terrain's plane frame; the group carries the
+ * same -90° rotation as the terrain mesh.
+ * @param {Float32Array} heightMap - Heights, one per terrain vertex.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {number} worldWidth - World-space width of the terrain.
+ * @param {number} worldHeight - World-space depth of the terrain.
+ * @param {{lakes: Array<Object>, labels: Int32Array}} lakeData - From computeLakes.
+ * @param {THREE.Material} material - Water material shared by all lakes.
+ * @returns {THREE.Group} - One mesh per lake, named "Lake <id>", with the lake in userData.
+ */
+export function createLakeMeshes(heightMap, width, height, worldWidth, worldHeight, { lakes, labels }, material) {
+  const group = new THREE.Group();
+  group.name = 'Lakes';
+  group.rotation.x = -Math.PI / 2;
+  const dx = worldWidth / (width - 1);
+  const dy = worldHeight / (height - 1);
+  // Grid quads each lake touches
+  const quads = lakes.map(() => []);
+  for (let iy = 0; iy < height - 1; iy++) {
+    for (let ix = 0; ix < width - 1; ix++) {
+      const a = iy * width + ix;
+      const touched = new Set([labels[a], labels[a + 1], labels[a + width], labels[a + width + 1]]);
+      touched.forEach(id => { if (id >= 0) quads[id].push(a); });
+    }
+  }
+  for (const lake of lakes) {
+    const positions = [];
+    // Water depth at a vertex; other cells (e.g. past the spill point) count as shore
+    const vertex = i => {
+      const x = i % width, y = (i - x) / width;
+      const d = lake.level - heightMap[i];
+      return { x: x * dx - worldWidth / 2, y: worldHeight / 2 - y * dy, d: labels[i] === lake.id ? d : Math.min(d, 0) };
+    };
+    for (const a of quads[lake.id]) {
+      // Same diagonal as PlaneGeometry, so the shoreline follows the terrain triangles
+      const [tl, bl, br, tr] = [a, a + width, a + width + 1, a + 1].map(vertex);
+      for (const triangle of [[tl, bl, tr], [bl, br, tr]]) {
+        const polygon = clipToWater(triangle);
+        for (let k = 1; k + 1 < polygon.length; k++) {
+          for (const p of [polygon[0], polygon[k], polygon[k + 1]]) positions.push(p.x, p.y, lake.level);
+        }
+      }
+    }
+    if (!positions.length) continue;
+    const geometry = new THREE.BufferGeometry();
+    const count = positions.length / 3;
+    const normals = new Float32Array(count * 3);
+    const uvs = new Float32Array(count * 2);
+    for (let v = 0; v < count; v++) {
+      normals[v * 3 + 2] = 1;
+      uvs[v * 2] = positions[v * 3] / worldWidth + 0.5;
+      uvs[v * 2 + 1] = positions[v * 3 + 1] / worldHeight + 0.5;
+    }
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `Lake ${lake.id}`;
+    mesh.userData.lake = lake;
+    group.add(mesh);
+  }
+  return group;
+}
+
+// Part of a triangle where the water depth d is positive (Sutherland-Hodgman against d = 0)
+function clipToWater(triangle) {
+  const polygon = [];
+  for (let k = 0; k < 3; k++) {
+    const p = triangle[k], q = triangle[(k + 1) % 3];
+    if (p.d > 0) polygon.push(p);
+    if ((p.d > 0) !== (q.d > 0)) {
+      const t = p.d / (p.d - q.d);
+      polygon.push({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t, d: 0 });
+    }
+  }
+  return polygon;
+}
+
+/**
+ * Paints river channels (from extractRivers) onto an RGBA image at their width, in place.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels, one per cell.
+ * @param {Array<Object>} rivers - Rivers from extractRivers.
+ * @param {number} width - Width of the map.
+ * @param {number} height - Height of the map.
+ */
+export function applyRiverOverlay(pixels, rivers, width, height) {
+  const [r, g, b] = RIVER_OVERLAY_COLOR;
+  for (const river of rivers) {
+    for (const p of river.points) {
+      const radius = Math.max(p.width / 2, 0.5);
+      const reach = Math.floor(radius);
+      for (let y = Math.max(0, p.y - reach); y <= Math.min(height - 1, p.y + reach); y++) {
+        for (let x = Math.max(0, p.x - reach); x <= Math.min(width - 1, p.x + reach); x++) {
+          if (Math.hypot(x - p.x, y - p.y) > radius) continue;
+          const i = y * width + x;
+          pixels[4 * i] = r;
+          pixels[4 * i + 1] = g;
+          pixels[4 * i + 2] = b;
+        }
+      }
+    }
+  }
+}
+
+// Light smoothing of a D8 polyline (which only turns in 45° steps); the ends stay put
+function smoothPolyline(points, passes = 2) {
+  let line = points.map(p => ({ ...p }));
+  for (let pass = 0; pass < passes; pass++) {
+    line = line.map((p, k) => {
+      if (k === 0 || k === line.length - 1) return p;
+      const a = line[k - 1], b = line[k + 1];
+      return { ...p, x: (a.x + 2 * p.x + b.x) / 4, y: (a.y + 2 * p.y + b.y) / 4 };
+    });
+  }
+  return line;
+}
+
+/**
+ * Builds one ribbon mesh for all rivers: a strip along each (smoothed) centreline as wide as the
+ * river, floating surfaceOffset above the terrain (usually the carved beds) and never rising
+ * downstream. In the terrain's plane frame, with the same -90° rotation as the terrain mesh.
+ * @param {Array<Object>} rivers - Rivers from extractRivers.
+ * @param {Float32Array} heightMap - Heights the ribbons follow, one per terrain vertex.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {number} worldWidth - World-space width of the terrain.
+ * @param {number} worldHeight - World-space depth of the terrain.
+ * @param {THREE.Material} material - Water material.
+ * @param {object} [options]
+ * @param {number} [options.surfaceOffset=0.01] - Water surface height above the bed.
+ * @returns {THREE.Mesh} - Named "Rivers"; u runs across the ribbon, v along it in world units.
+ */
+export function createRiverMesh(rivers, heightMap, width, height, worldWidth, worldHeight, material, { surfaceOffset = 0.01 } = {}) {
+  const dx = worldWidth / (width - 1);
+  const dy = worldHeight / (height - 1);
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  for (const river of rivers) {
+    if (river.points.length < 2) continue;
+    const line = smoothPolyline(river.points);
+    let surface = Infinity;
+    let along = 0;
+    const base = positions.length / 3;
+    line.forEach((p, k) => {
+      const source = river.points[k];
+      surface = Math.min(surface, heightMap[source.y * width + source.x] + surfaceOffset);
+      const prev = line[Math.max(k - 1, 0)], next = line[Math.min(k + 1, line.length - 1)];
+      // Tangent in world units (rows run towards -y), and its normal across the river
+      const tx = (next.x - prev.x) * dx, ty = -(next.y - prev.y) * dy;
+      const length = Math.hypot(tx, ty) || 1;
+      const half = p.width * dx / 2;
+      const nx = -ty / length * half, ny = tx / length * half;
+      const cx = p.x * dx - worldWidth / 2, cy = worldHeight / 2 - p.y * dy;
+      if (k > 0) along += Math.hypot((p.x - line[k - 1].x) * dx, (p.y - line[k - 1].y) * dy);
+      positions.push(cx + nx, cy + ny, surface, cx - nx, cy - ny, surface);
+      uvs.push(0, along, 1, along);
+      if (k > 0) {
+        const v = base + 2 * k;
+        indices.push(v - 2, v - 1, v, v - 1, v + 1, v);
+      }
+    });
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = 'Rivers';
+  mesh.rotation.x = -Math.PI / 2;
+  return mesh;
+}
+
+/**
+ * Encodes river centrelines as a GeoJSON FeatureCollection of LineStrings in world units
+ * ([x, z, elevation], origin at the terrain centre, matching the 3D view), with per-vertex flow
+ * (contributing area in cells) and width (world units) as properties.
+ * @param {Array<Object>} rivers - Rivers from extractRivers.
+ * @param {Float32Array} heightMap - Heights for the elevation coordinate.
+ * @param {number} width - Width of the heightmap.
+ * @param {number} height - Height of the heightmap.
+ * @param {number} worldWidth - World-space width of the terrain.
+ * @param {number} worldHeight - World-space depth of the terrain.
+ * @returns {{name: string, blob: Blob}}
+ */
+export function exportRiversGeoJSON(rivers, heightMap, width, height, worldWidth, worldHeight) {
+  const dx = worldWidth / (width - 1);
+  const dy = worldHeight / (height - 1);
+  const features = rivers.filter(river => river.points.length > 1).map(river => ({
+    type: 'Feature',
+    properties: {
+      id: river.id,
+      downstream: river.downstream,
+      flow: river.points.map(p => p.flow),
+      width: river.points.map(p => p.width * dx)
+    },
+    geometry: {
+      type: 'LineString',
+      coordinates: river.points.map(p => [
+        p.x * dx - worldWidth / 2,
+        p.y * dy - worldHeight / 2,
+        heightMap[p.y * width + p.x]
+      ])
+    }
+  }));
+  const json = JSON.stringify({ type: 'FeatureCollection', features });
+  return { name: `rivers_${width}x${height}.geojson`, blob: new Blob([json], { type: 'application/geo+json' }) };
+}
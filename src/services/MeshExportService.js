@@ -0,0 +1,262 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { PLYExporter } from 'three/examples/jsm/exporters/PLYExporter.js';
+import { createRandom } from './NoiseService';
+
+/**
+ * Mesh formats supported by exportTerrainMesh.
+ * @enum {string}
+ */
+export const MESH_EXPORT_FORMATS = {
+  GLB: 'glb',
+  OBJ: 'obj',
+  STL: 'stl',
+  PLY: 'ply',
+};
+
+/**
+ * Select options for the mesh formats.
+ * @type {Array<{value: string, label: string}>}
+ */
+export const MESH_EXPORT_FORMAT_OPTIONS = [
+  { value: MESH_EXPORT_FORMATS.GLB, label: 'glTF binary (.glb)' },
+  { value: MESH_EXPORT_FORMATS.OBJ, label: 'Wavefront OBJ' },
+  { value: MESH_EXPORT_FORMATS.STL, label: 'STL (closed, for 3D printing)' },
+  { value: MESH_EXPORT_FORMATS.PLY, label: 'PLY (binary)' },
+];
+
+const MIME_TYPES = {
+  [MESH_EXPORT_FORMATS.GLB]: 'model/gltf-binary',
+  [MESH_EXPORT_FORMATS.OBJ]: 'text/plain',
+  [MESH_EXPORT_FORMATS.STL]: 'model/stl',
+  [MESH_EXPORT_FORMATS.PLY]: 'application/octet-stream',
+};
+
+// Stand-in geometry and colour per scatter object type, base at y = 0 (billboards have no mesh of their own)
+const SCATTER_PROXIES = {
+  tree: { color: '#2d5a27', create: () => new THREE.ConeGeometry(0.35, 1, 7).translate(0, 0.5, 0) },
+  grass: { color: '#33aa55', create: () => new THREE.CylinderGeometry(0.05, 0.05, 0.3, 6).translate(0, 0.15, 0) },
+  rock: { color: '#888888', create: () => new THREE.DodecahedronGeometry(0.18, 0) },
+};
+
+/**
+ * Number of columns and rows of a grid-shaped terrain geometry (PlaneGeometry vertex order).
+ * @param {THREE.BufferGeometry} geometry - Terrain geometry in the plane frame.
+ * @returns {{width: number, height: number}}
+ */
+export function getGridSize(geometry) {
+  const pos = geometry.attributes.position;
+  const firstY = pos.getY(0);
+  let width = 1;
+  while (width < pos.count && pos.getY(width) === firstY) width++;
+  return { width, height: Math.round(pos.count / width) };
+}
+
+/**
+ * Builds a watertight solid from a grid terrain: the surface, four vertical walls and a flat base.
+ * @param {THREE.BufferGeometry} geometry - Y-up grid terrain geometry.
+ * @param {{width: number, height: number}} grid - Grid size from getGridSize.
+ * @param {number} baseThickness - Distance from the lowest surface point down to the base.
+ * @returns {THREE.BufferGeometry} - Non-indexed geometry with face normals.
+ */
+export function buildSkirtedGeometry(geometry, grid, baseThickness) {
+  const pos = geometry.attributes.position;
+  const index = geometry.index;
+  let minY = Infinity;
+  for (let i = 0; i < pos.count; i++) minY = Math.min(minY, pos.getY(i));
+  const baseY = minY - Math.max(0, baseThickness);
+
+  // Boundary loop, counter-clockwise seen from above (+Y)
+  const { width, height } = grid;
+  const loop = [];
+  for (let x = 0; x < width - 1; x++) loop.push((height - 1) * width + x);
+  for (let y = height - 1; y > 0; y--) loop.push(y * width + width - 1);
+  for (let x = width - 1; x > 0; x--) loop.push(x);
+  for (let y = 0; y < height - 1; y++) loop.push(y * width);
+
+  const triangleCount = (index ? index.count : pos.count) / 3 + loop.length * 3;
+  const out = new Float32Array(triangleCount * 9);
+  let o = 0;
+  const push = (x, y, z) => {
+    out[o++] = x;
+    out[o++] = y;
+    out[o++] = z;
+  };
+  const pushVertex = i => push(pos.getX(i), pos.getY(i), pos.getZ(i));
+
+  // Surface
+  const surfaceCount = index ? index.count : pos.count;
+  for (let i = 0; i < surfaceCount; i++) pushVertex(index ? index.getX(i) : i);
+
+  // Walls and a fan-triangulated base that shares every wall edge, so the solid has no T-junctions
+  const centerX = (pos.getX(0) + pos.getX(width * height - 1)) / 2;
+  const centerZ = (pos.getZ(0) + pos.getZ(width * height - 1)) / 2;
+  for (let i = 0; i < loop.length; i++) {
+    const a = loop[i];
+    const b = loop[(i + 1) % loop.length];
+    const ax = pos.getX(a), az = pos.getZ(a);
+    const bx = pos.getX(b), bz = pos.getZ(b);
+    pushVertex(a); push(ax, baseY, az); push(bx, baseY, bz);
+    pushVertex(a); push(bx, baseY, bz); pushVertex(b);
+    push(centerX, baseY, centerZ); push(bx, baseY, bz); push(ax, baseY, az);
+  }
+
+  const solid = new THREE.BufferGeometry();
+  solid.setAttribute('position', new THREE.BufferAttribute(out, 3));
+  solid.computeVertexNormals();
+  return solid;
+}
+
+// Standard-material equivalent of the view's water shader, which glTF can represent
+function toStandardWaterMaterial(material) {
+  const uniforms = material.uniforms || {};
+  const color = uniforms.waterColor ? new THREE.Color().fromArray(uniforms.waterColor.value) : new THREE.Color(0x0077be);
+  return new THREE.MeshStandardMaterial({
+    color,
+    transparent: true,
+    opacity: uniforms.waterOpacity ? uniforms.waterOpacity.value : 0.4,
+    roughness: 0.1,
+    side: THREE.DoubleSide,
+  });
+}
+
+// Copies the view's water plane (or river ribbons) onto a standard material
+function createWaterNode(water) {
+  const source = water.isLOD ? water.levels[0].object : water;
+  const material = toStandardWaterMaterial(source.material);
+  const mesh = new THREE.Mesh(source.geometry, material);
+  mesh.name = source.name || 'Water';
+  mesh.position.copy(source.position);
+  mesh.rotation.copy(source.rotation);
+  return mesh;
+}
+
+// Copies the view's lakes (one mesh each) onto a standard material
+function createLakeNodes(lakes) {
+  const group = new THREE.Group();
+  group.name = 'Lakes';
+  group.rotation.copy(lakes.rotation);
+  lakes.children.forEach(lake => {
+    const mesh = new THREE.Mesh(lake.geometry, toStandardWaterMaterial(lake.material));
+    mesh.name = lake.name;
+    group.add(mesh);
+  });
+  return group;
+}
+
+// One instanced node per enabled scatter layer, standing on the exported surface
+function createScatterNodes(scatterData, geometry, grid, worldWidth, worldDepth) {
+  const pos = geometry.attributes.position;
+  const nodes = [];
+  const matrix = new THREE.Matrix4();
+  const quaternion = new THREE.Quaternion();
+  const up = new THREE.Vector3(0, 1, 0);
+  const scale = new THREE.Vector3();
+  const position = new THREE.Vector3();
+  scatterData.forEach(({ layer, points }, layerIndex) => {
+    if (!layer || !layer.enabled || !Array.isArray(points) || !points.length) return;
+    const proxy = SCATTER_PROXIES[layer.objectType] || SCATTER_PROXIES.tree;
+    const mesh = new THREE.InstancedMesh(
+      proxy.create(),
+      new THREE.MeshStandardMaterial({ color: proxy.color }),
+      points.length
+    );
+    mesh.name = `Scatter_${layer.label || layer.objectType || 'layer'}_${layerIndex}`;
+    const random = createRandom(typeof layer.seed === 'number' ? layer.seed : 42, 'mesh-export', layerIndex);
+    const baseScale = typeof layer.scale === 'number' ? layer.scale : 1;
+    points.forEach((pt, i) => {
+      const gx = Math.max(0, Math.min(grid.width - 1, Math.round(pt.x)));
+      const gy = Math.max(0, Math.min(grid.height - 1, Math.round(pt.y)));
+      position.set(
+        (pt.x / (grid.width - 1) - 0.5) * worldWidth,
+        pos.getY(gy * grid.width + gx),
+        (pt.y / (grid.height - 1) - 0.5) * worldDepth
+      );
+      quaternion.setFromAxisAngle(up, random() * Math.PI * 2);
+      const s = baseScale * (0.8 + random() * 0.6);
+      scale.set(s, s, s);
+      mesh.setMatrixAt(i, matrix.compose(position, quaternion, scale));
+    });
+    nodes.push(mesh);
+  });
+  return nodes;
+}
+
+function toBlob(data, format) {
+  return new Blob([data], { type: MIME_TYPES[format] });
+}
+
+/**
+ * Exports the terrain mesh (optionally with water and scatter) in the requested format.
+ * @param {THREE.BufferGeometry} geometry - Terrain geometry in the plane frame used by the 3D view.
+ * @param {object} options - Export options.
+ * @param {string} options.format - One of MESH_EXPORT_FORMATS.
+ * @param {number} options.worldWidth - World-space width of the terrain.
+ * @param {boolean} [options.includeNormals=true] - Write vertex normals (not STL).
+ * @param {boolean} [options.includeUVs=true] - Write texture coordinates (not STL).
+ * @param {Float32Array} [options.vertexColors] - Linear RGB per vertex, e.g. from bakeTerrainVertexColors (not STL).
+ * @param {number} [options.baseThickness=0.5] - STL only: depth of the solid below the lowest point.
+ * @param {THREE.Object3D} [options.water] - GLB only: water plane to add as its own node.
+ * @param {THREE.Group} [options.lakes] - GLB only: lakes from createLakeMeshes, one node per lake.
+ * @param {THREE.Mesh} [options.rivers] - GLB only: river ribbons from createRiverMesh.
+ * @param {Array<{layer: object, points: Array<{x: number, y: number}>}>} [options.scatterData] - GLB only: scatter
+ *   layers to add as instanced nodes.
+ * @param {string} [options.baseName='terrain'] - File name prefix.
+ * @returns {Promise<{name: string, blob: Blob}>}
+ */
+export async function exportTerrainMesh(geometry, options) {
+  const {
+    format,
+    worldWidth,
+    includeNormals = true,
+    includeUVs = true,
+    vertexColors = null,
+    baseThickness = 0.5,
+    water = null,
+    lakes = null,
+    rivers = null,
+    scatterData = [],
+    baseName = 'terrain',
+  } = options;
+  const grid = getGridSize(geometry);
+  const worldDepth = worldWidth * (grid.height - 1) / (grid.width - 1);
+
+  // Bake the view's -90° rotation so every format is Y-up
+  const surface = geometry.clone().rotateX(-Math.PI / 2);
+  if (!includeNormals) surface.deleteAttribute('normal');
+  if (!includeUVs) surface.deleteAttribute('uv');
+  if (vertexColors) surface.setAttribute('color', new THREE.BufferAttribute(vertexColors, 3));
+  const name = `${baseName}_${grid.width}x${grid.height}.${format}`;
+
+  if (format === MESH_EXPORT_FORMATS.STL) {
+    const solid = new THREE.Mesh(buildSkirtedGeometry(surface, grid, baseThickness));
+    return { name, blob: toBlob(new STLExporter().parse(solid, { binary: true }), format) };
+  }
+
+  const terrain = new THREE.Mesh(
+    surface,
+    new THREE.MeshStandardMaterial({ color: 0xffffff, vertexColors: Boolean(vertexColors), roughness: 0.9 })
+  );
+  terrain.name = 'Terrain';
+
+  if (format === MESH_EXPORT_FORMATS.OBJ) {
+    return { name, blob: toBlob(new OBJExporter().parse(terrain), format) };
+  }
+  if (format === MESH_EXPORT_FORMATS.PLY) {
+    const data = new PLYExporter().parse(terrain, null, { binary: true, littleEndian: true });
+    return { name, blob: toBlob(data, format) };
+  }
+  if (format === MESH_EXPORT_FORMATS.GLB) {
+    const scene = new THREE.Scene();
+    scene.add(terrain);
+    if (water) scene.add(createWaterNode(water));
+    if (lakes && lakes.children.length) scene.add(createLakeNodes(lakes));
+    if (rivers) scene.add(createWaterNode(rivers));
+    createScatterNodes(scatterData, surface, grid, worldWidth, worldDepth).forEach(node => scene.add(node));
+    const data = await new GLTFExporter().parseAsync(scene, { binary: true });
+    return { name, blob: toBlob(data, format) };
+  }
+  throw new Error(`Unsupported mesh format: ${format}`);
+}
@@ -0,0 +1,131 @@
+/* eslint-env jest */
+import * as THREE from 'three';
+import { TextDecoder, TextEncoder } from 'util';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { exportTerrainMesh, getGridSize, buildSkirtedGeometry, MESH_EXPORT_FORMATS } from './MeshExportService';
+
+// The exporters and loaders encode and decode text, which jsdom cannot
+Object.assign(global, { TextDecoder, TextEncoder });
+
+const SEGMENTS_X = 8;
+const SEGMENTS_Y = 4;
+
+// Terrain in the 3D view's plane frame: a 10 x 5 grid with heights in z
+function terrainGeometry() {
+  const geometry = new THREE.PlaneGeometry(10, 5, SEGMENTS_X, SEGMENTS_Y);
+  const pos = geometry.attributes.position;
+  for (let i = 0; i < pos.count; i++) pos.setZ(i, 1 + Math.sin(pos.getX(i)) * Math.cos(pos.getY(i)));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+function heightRange(geometry) {
+  const z = Array.from({ length: geometry.attributes.position.count }, (_, i) => geometry.attributes.position.getZ(i));
+  return { min: Math.min(...z), max: Math.max(...z) };
+}
+
+// jsdom's Blob has no arrayBuffer()
+function readBlob(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+async function exportAndLoad(format, options = {}) {
+  const geometry = terrainGeometry();
+  const { name, blob } = await exportTerrainMesh(geometry, { format, worldWidth: 10, ...options });
+  const buffer = await readBlob(blob);
+  return { name, buffer, geometry };
+}
+
+test('grid size is read from the vertex layout', () => {
+  expect(getGridSize(terrainGeometry())).toEqual({ width: SEGMENTS_X + 1, height: SEGMENTS_Y + 1 });
+});
+
+test('the skirted solid is closed and sits on a flat base', () => {
+  // The grid is read in the plane frame, before the export turns the terrain Y-up
+  const geometry = terrainGeometry();
+  const grid = getGridSize(geometry);
+  const solid = buildSkirtedGeometry(geometry.clone().rotateX(-Math.PI / 2), grid, 0.5);
+  const pos = solid.attributes.position;
+  // Every edge of a closed surface is shared by exactly two triangles, once in each direction
+  const key = i => [pos.getX(i), pos.getY(i), pos.getZ(i)].map(v => Math.round(v * 1e5) + 0).join(',');
+  const edges = new Map();
+  for (let t = 0; t < pos.count; t += 3) {
+    for (let e = 0; e < 3; e++) {
+      const edge = `${key(t + e)}|${key(t + (e + 1) % 3)}`;
+      edges.set(edge, (edges.get(edge) || 0) + 1);
+    }
+  }
+  for (const [edge, count] of edges) {
+    const [a, b] = edge.split('|');
+    expect(count).toBe(1);
+    expect(edges.get(`${b}|${a}`)).toBe(1);
+  }
+  const { min } = heightRange(geometry);
+  solid.computeBoundingBox();
+  expect(solid.boundingBox.min.y).toBeCloseTo(min - 0.5, 5);
+});
+
+test('OBJ exports are Y-up with one vertex per triangle corner', async () => {
+  const { name, buffer, geometry } = await exportAndLoad(MESH_EXPORT_FORMATS.OBJ);
+  expect(name).toBe(`terrain_${SEGMENTS_X + 1}x${SEGMENTS_Y + 1}.obj`);
+  const object = new OBJLoader().parse(new TextDecoder().decode(buffer));
+  const mesh = object.children[0];
+  expect(mesh.geometry.attributes.position.count).toBe(geometry.index.count);
+  expect(mesh.geometry.attributes.normal).toBeDefined();
+  expect(mesh.geometry.attributes.uv).toBeDefined();
+  mesh.geometry.computeBoundingBox();
+  const { min, max } = heightRange(geometry);
+  expect(mesh.geometry.boundingBox.min.y).toBeCloseTo(min, 5);
+  expect(mesh.geometry.boundingBox.max.y).toBeCloseTo(max, 5);
+  expect(mesh.geometry.boundingBox.max.x - mesh.geometry.boundingBox.min.x).toBeCloseTo(10, 5);
+});
+
+test('OBJ exports leave out normals and UVs on request', async () => {
+  const { buffer } = await exportAndLoad(MESH_EXPORT_FORMATS.OBJ, { includeNormals: false, includeUVs: false });
+  const text = new TextDecoder().decode(buffer);
+  expect(text).not.toMatch(/^vn /m);
+  expect(text).not.toMatch(/^vt /m);
+});
+
+test('STL exports are closed solids with the base below the lowest point', async () => {
+  const { buffer, geometry } = await exportAndLoad(MESH_EXPORT_FORMATS.STL, { baseThickness: 2 });
+  const solid = new STLLoader().parse(buffer);
+  // Surface triangles, plus three per boundary edge (two for the wall, one for the base fan)
+  const boundary = 2 * (SEGMENTS_X + SEGMENTS_Y);
+  expect(solid.attributes.position.count / 3).toBe(geometry.index.count / 3 + 3 * boundary);
+  solid.computeBoundingBox();
+  expect(solid.boundingBox.min.y).toBeCloseTo(heightRange(geometry).min - 2, 5);
+});
+
+test('PLY exports carry the baked vertex colours', async () => {
+  const count = (SEGMENTS_X + 1) * (SEGMENTS_Y + 1);
+  const vertexColors = new Float32Array(count * 3).map((_, i) => (i % 3 === 0 ? 1 : 0.25));
+  const { buffer } = await exportAndLoad(MESH_EXPORT_FORMATS.PLY, { vertexColors });
+  const geometry = new PLYLoader().parse(buffer);
+  expect(geometry.attributes.position.count).toBe(count);
+  // Colours are stored as 8-bit sRGB
+  expect(geometry.attributes.color.getX(0)).toBeCloseTo(1, 1);
+  expect(geometry.attributes.color.getY(0)).toBeCloseTo(0.25, 1);
+});
+
+test('GLB exports hold the terrain and the water as separate nodes', async () => {
+  const water = new THREE.Mesh(new THREE.PlaneGeometry(10, 5), new THREE.MeshBasicMaterial({ color: 0x0077be }));
+  const { buffer } = await exportAndLoad(MESH_EXPORT_FORMATS.GLB, { water });
+  const gltf = await new GLTFLoader().parseAsync(buffer, '');
+  const names = [];
+  gltf.scene.traverse(node => { if (node.isMesh) names.push(node.name); });
+  expect(names).toContain('Terrain');
+  expect(names.length).toBe(2);
+});
+
+test('unknown formats are rejected', async () => {
+  await expect(exportTerrainMesh(terrainGeometry(), { format: 'fbx', worldWidth: 10 })).rejects.toThrow('Unsupported mesh format: fbx');
+});
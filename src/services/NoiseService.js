@@ -0,0 +1,430 @@
+// NoiseService.js
+// Seeded noise factory shared by the generator, the node graph, scatter and the workers.
+// Every variant is exposed through the same (x, y) => number API, with analytic
+// derivatives available through noise.derivatives(x, y).
+import Alea from 'alea';
+
+/**
+ * Noise variants supported by createNoise2D.
+ */
+export const NOISE_TYPES = {
+  VALUE: 'value',
+  PERLIN: 'perlin',
+  SIMPLEX: 'simplex',
+  OPENSIMPLEX2: 'opensimplex2',
+  CELLULAR: 'cellular',
+};
+
+/**
+ * Select options for noise type controls.
+ */
+export const NOISE_TYPE_OPTIONS = [
+  { value: NOISE_TYPES.SIMPLEX, label: 'Simplex' },
+  { value: NOISE_TYPES.PERLIN, label: 'Perlin' },
+  { value: NOISE_TYPES.OPENSIMPLEX2, label: 'OpenSimplex2' },
+  { value: NOISE_TYPES.VALUE, label: 'Value' },
+  { value: NOISE_TYPES.CELLULAR, label: 'Cellular' },
+];
+
+/**
+ * Creates a seeded random number generator.
+ * @param {number|string} seed - Seed value.
+ * @param {...(number|string)} salt - Extra values mixed into the seed to derive independent streams.
+ * @returns {function(): number} - RNG function returning [0,1)
+ */
+export function createRandom(seed, ...salt) {
+  return Alea(seed, ...salt);
+}
+
+/**
+ * Creates seeded coherent 2D noise.
+ * @param {string} [type='simplex'] - One of NOISE_TYPES.
+ * @param {number|string} [seed=0] - Seed value; the same seed always gives the same noise.
+ * @returns {function(number, number): number} - noise(x, y), roughly in [-1, 1]. The function also
+ *   carries noise.derivatives(x, y) => { value, dx, dy } and noise.type.
+ */
+export function createNoise2D(type = NOISE_TYPES.SIMPLEX, seed = 0) {
+  const kernel = KERNELS[type];
+  if (!kernel) {
+    throw new Error(`Unknown noise type: ${type}`);
+  }
+  const salt = seedToSalt(seed, type);
+  const noise = (x, y) => kernel(x, y, salt, null);
+  noise.derivatives = (x, y) => {
+    const d = [0, 0];
+    const value = kernel(x, y, salt, d);
+    return { value, dx: d[0], dy: d[1] };
+  };
+  noise.type = type;
+  return noise;
+}
+
+/**
+ * Distance metrics for cellular noise.
+ */
+export const CELLULAR_DISTANCES = {
+  EUCLIDEAN: 'euclidean',
+  MANHATTAN: 'manhattan',
+  CHEBYSHEV: 'chebyshev',
+};
+
+/**
+ * Outputs of cellular noise.
+ */
+export const CELLULAR_RETURNS = {
+  F1: 'f1',
+  F2: 'f2',
+  F2_MINUS_F1: 'f2-f1',
+  CELL_ID: 'cellId',
+};
+
+/**
+ * Select options for cellular distance controls.
+ */
+export const CELLULAR_DISTANCE_OPTIONS = [
+  { value: CELLULAR_DISTANCES.EUCLIDEAN, label: 'Euclidean' },
+  { value: CELLULAR_DISTANCES.MANHATTAN, label: 'Manhattan' },
+  { value: CELLULAR_DISTANCES.CHEBYSHEV, label: 'Chebyshev' },
+];
+
+/**
+ * Select options for cellular output controls.
+ */
+export const CELLULAR_RETURN_OPTIONS = [
+  { value: CELLULAR_RETURNS.F1, label: 'F1 (cells, craters)' },
+  { value: CELLULAR_RETURNS.F2, label: 'F2 (rounded cells)' },
+  { value: CELLULAR_RETURNS.F2_MINUS_F1, label: 'F2 - F1 (cracks)' },
+  { value: CELLULAR_RETURNS.CELL_ID, label: 'Cell ID (plateaus)' },
+];
+
+/**
+ * Creates grid-hashed cellular (Worley) noise with one jittered feature point per unit cell.
+ * Each sample only visits the 3x3 surrounding cells, so cost does not grow with point count.
+ * @param {number|string} [seed=0] - Seed value.
+ * @param {object} [options] - Cellular options.
+ * @param {string} [options.distance='euclidean'] - One of CELLULAR_DISTANCES.
+ * @param {string} [options.returnType='f1'] - One of CELLULAR_RETURNS.
+ * @param {number} [options.jitter=1] - How far feature points may stray from cell centres (0-1).
+ * @param {number} [options.periodX=0] - Repeat every periodX cells horizontally (0 = never).
+ * @param {number} [options.periodY=0] - Repeat every periodY cells vertically (0 = never).
+ * @returns {function(number, number): number} - The selected output: distances in cell units
+ *   (F1 mostly in [0, 1]), cell IDs in [0, 1). noise.evaluate(x, y) returns { f1, f2, cellId }.
+ */
+export function createCellularNoise2D(seed = 0, options = {}) {
+  const {
+    distance = CELLULAR_DISTANCES.EUCLIDEAN,
+    returnType = CELLULAR_RETURNS.F1,
+    jitter = 1,
+    periodX = 0,
+    periodY = 0,
+  } = options;
+  const metric = CELLULAR_METRICS[distance];
+  if (!metric) {
+    throw new Error(`Unknown cellular distance: ${distance}`);
+  }
+  const salt = seedToSalt(seed, NOISE_TYPES.CELLULAR);
+  const idSalt = (salt ^ 0x9e3779b9) >>> 0;
+  const wrapX = periodX > 0 ? c => ((c % periodX) + periodX) % periodX : c => c;
+  const wrapY = periodY > 0 ? c => ((c % periodY) + periodY) % periodY : c => c;
+  const result = { f1: 0, f2: 0, cellId: 0 };
+
+  const evaluate = (x, y, out = result) => {
+    const cx = Math.floor(x);
+    const cy = Math.floor(y);
+    let f1 = Infinity, f2 = Infinity, nearestX = 0, nearestY = 0;
+    for (let oy = -1; oy <= 1; oy++) {
+      for (let ox = -1; ox <= 1; ox++) {
+        const hx = wrapX(cx + ox);
+        const hy = wrapY(cy + oy);
+        const h = hashCell(hx, hy, salt);
+        const px = cx + ox + 0.5 + ((h & 0xffff) / 0x10000 - 0.5) * jitter;
+        const py = cy + oy + 0.5 + ((h >>> 16) / 0x10000 - 0.5) * jitter;
+        const dist = metric(px - x, py - y);
+        if (dist < f1) {
+          f2 = f1;
+          f1 = dist;
+          nearestX = hx;
+          nearestY = hy;
+        } else if (dist < f2) {
+          f2 = dist;
+        }
+      }
+    }
+    if (distance === CELLULAR_DISTANCES.EUCLIDEAN) {
+      f1 = Math.sqrt(f1);
+      f2 = Math.sqrt(f2);
+    }
+    out.f1 = f1;
+    out.f2 = f2;
+    out.cellId = hashCell(nearestX, nearestY, idSalt) * INV_HASH;
+    return out;
+  };
+
+  const select = {
+    [CELLULAR_RETURNS.F1]: r => r.f1,
+    [CELLULAR_RETURNS.F2]: r => r.f2,
+    [CELLULAR_RETURNS.F2_MINUS_F1]: r => r.f2 - r.f1,
+    [CELLULAR_RETURNS.CELL_ID]: r => r.cellId,
+  }[returnType];
+  if (!select) {
+    throw new Error(`Unknown cellular output: ${returnType}`);
+  }
+  const noise = (x, y) => select(evaluate(x, y));
+  noise.evaluate = (x, y) => evaluate(x, y, { f1: 0, f2: 0, cellId: 0 });
+  noise.type = NOISE_TYPES.CELLULAR;
+  return noise;
+}
+
+/**
+ * Wraps a noise function in fractal Brownian motion.
+ * @param {function(number, number): number} noise - Base noise from createNoise2D.
+ * @param {object} [params] - Fractal parameters.
+ * @param {number} [params.octaves=6] - Number of octaves.
+ * @param {number} [params.lacunarity=2] - Frequency multiplier per octave.
+ * @param {number} [params.gain=0.5] - Amplitude multiplier per octave.
+ * @returns {function(number, number): number} - Unnormalized fBm sum, with derivatives like the base noise.
+ */
+export function createFractalNoise2D(noise, params = {}) {
+  const { octaves = 6, lacunarity = 2, gain = 0.5 } = params;
+  const fbm = (x, y) => {
+    let sum = 0, amp = 1, freq = 1;
+    for (let o = 0; o < octaves; o++) {
+      sum += noise(x * freq, y * freq) * amp;
+      amp *= gain;
+      freq *= lacunarity;
+    }
+    return sum;
+  };
+  fbm.derivatives = (x, y) => {
+    let value = 0, dx = 0, dy = 0, amp = 1, freq = 1;
+    for (let o = 0; o < octaves; o++) {
+      const d = noise.derivatives(x * freq, y * freq);
+      value += d.value * amp;
+      dx += d.dx * amp * freq;
+      dy += d.dy * amp * freq;
+      amp *= gain;
+      freq *= lacunarity;
+    }
+    return { value, dx, dy };
+  };
+  fbm.type = noise.type;
+  return fbm;
+}
+
+/**
+ * Hashes a grid cell to a 32-bit unsigned integer.
+ * @param {number} x - Integer cell x.
+ * @param {number} y - Integer cell y.
+ * @param {number} salt - Seed-derived salt.
+ * @returns {number}
+ */
+export function hashCell(x, y, salt) {
+  let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ salt;
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Derives a 32-bit salt from a seed and a stream name.
+ * @param {number|string} seed - Seed value.
+ * @param {string} [stream=''] - Stream name, so variants sharing a seed stay independent.
+ * @returns {number}
+ */
+export function seedToSalt(seed, stream = '') {
+  return Math.floor(Alea(seed, stream)() * 0x100000000) >>> 0;
+}
+
+// --- Kernels: (x, y, salt, d) => value; when d is given, d[0]/d[1] receive the derivatives ---
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const SIMPLEX_SCALE = 70;
+// OpenSimplex2 normalizer and the low 32 bits of its 64-bit hash primes
+const OPENSIMPLEX2_SCALE = 1 / 0.01001634121365712;
+const OPENSIMPLEX2_PRIME_X = 0x9270c86f | 0;
+const OPENSIMPLEX2_PRIME_Y = 0x003817b5;
+const OPENSIMPLEX2_HASH_MULTIPLIER = 0xeec546f5 | 0;
+const INV_HASH = 1 / 0x100000000;
+
+// Improved-noise gradient set for perlin and simplex
+const GRAD8_X = [1, -1, 1, -1, 1, -1, 0, 0];
+const GRAD8_Y = [1, 1, -1, -1, 0, 0, 1, -1];
+
+// OpenSimplex2's 2D gradient table: 24 unit vectors at 15° spacing, offset by 7.5°, in its order
+const OPENSIMPLEX2_GRADIENTS = [
+  0.38268343236509, 0.923879532511287, 0.923879532511287, 0.38268343236509,
+  0.923879532511287, -0.38268343236509, 0.38268343236509, -0.923879532511287,
+  -0.38268343236509, -0.923879532511287, -0.923879532511287, -0.38268343236509,
+  -0.923879532511287, 0.38268343236509, -0.38268343236509, 0.923879532511287,
+  0.130526192220052, 0.99144486137381, 0.608761429008721, 0.793353340291235,
+  0.793353340291235, 0.608761429008721, 0.99144486137381, 0.130526192220051,
+  0.99144486137381, -0.130526192220051, 0.793353340291235, -0.60876142900872,
+  0.608761429008721, -0.793353340291235, 0.130526192220052, -0.99144486137381,
+  -0.130526192220052, -0.99144486137381, -0.608761429008721, -0.793353340291235,
+  -0.793353340291235, -0.608761429008721, -0.99144486137381, -0.130526192220052,
+  -0.99144486137381, 0.130526192220051, -0.793353340291235, 0.608761429008721,
+  -0.608761429008721, 0.793353340291235, -0.130526192220052, 0.99144486137381,
+];
+const OPENSIMPLEX2_GRAD_X = OPENSIMPLEX2_GRADIENTS.filter((_, i) => i % 2 === 0);
+const OPENSIMPLEX2_GRAD_Y = OPENSIMPLEX2_GRADIENTS.filter((_, i) => i % 2 === 1);
+
+// Cellular metrics; euclidean stays squared during the search and is rooted afterwards
+const CELLULAR_METRICS = {
+  [CELLULAR_DISTANCES.EUCLIDEAN]: (dx, dy) => dx * dx + dy * dy,
+  [CELLULAR_DISTANCES.MANHATTAN]: (dx, dy) => Math.abs(dx) + Math.abs(dy),
+  [CELLULAR_DISTANCES.CHEBYSHEV]: (dx, dy) => Math.max(Math.abs(dx), Math.abs(dy)),
+};
+
+// Quintic fade and its derivative
+function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
+function fadeDerivative(t) { return 30 * t * t * (t * (t - 2) + 1); }
+
+function valueKernel(x, y, salt, d) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const a = hashCell(ix, iy, salt) * INV_HASH * 2 - 1;
+  const b = hashCell(ix + 1, iy, salt) * INV_HASH * 2 - 1;
+  const c = hashCell(ix, iy + 1, salt) * INV_HASH * 2 - 1;
+  const e = hashCell(ix + 1, iy + 1, salt) * INV_HASH * 2 - 1;
+  const u = fade(fx);
+  const v = fade(fy);
+  const k = a - b - c + e;
+  if (d) {
+    d[0] = fadeDerivative(fx) * (b - a + k * v);
+    d[1] = fadeDerivative(fy) * (c - a + k * u);
+  }
+  return a + (b - a) * u + (c - a) * v + k * u * v;
+}
+
+function perlinKernel(x, y, salt, d) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const g00 = hashCell(ix, iy, salt) & 7;
+  const g10 = hashCell(ix + 1, iy, salt) & 7;
+  const g01 = hashCell(ix, iy + 1, salt) & 7;
+  const g11 = hashCell(ix + 1, iy + 1, salt) & 7;
+  const n00 = GRAD8_X[g00] * fx + GRAD8_Y[g00] * fy;
+  const n10 = GRAD8_X[g10] * (fx - 1) + GRAD8_Y[g10] * fy;
+  const n01 = GRAD8_X[g01] * fx + GRAD8_Y[g01] * (fy - 1);
+  const n11 = GRAD8_X[g11] * (fx - 1) + GRAD8_Y[g11] * (fy - 1);
+  const u = fade(fx);
+  const v = fade(fy);
+  const k = n00 - n10 - n01 + n11;
+  if (d) {
+    const kx = GRAD8_X[g00] - GRAD8_X[g10] - GRAD8_X[g01] + GRAD8_X[g11];
+    const ky = GRAD8_Y[g00] - GRAD8_Y[g10] - GRAD8_Y[g01] + GRAD8_Y[g11];
+    d[0] = GRAD8_X[g00] + u * (GRAD8_X[g10] - GRAD8_X[g00]) + v * (GRAD8_X[g01] - GRAD8_X[g00]) + u * v * kx
+      + fadeDerivative(fx) * (n10 - n00 + k * v);
+    d[1] = GRAD8_Y[g00] + u * (GRAD8_Y[g10] - GRAD8_Y[g00]) + v * (GRAD8_Y[g01] - GRAD8_Y[g00]) + u * v * ky
+      + fadeDerivative(fy) * (n01 - n00 + k * u);
+  }
+  return n00 + (n10 - n00) * u + (n01 - n00) * v + k * u * v;
+}
+
+// One radial kernel contribution (r2 - |p|²)^4 * (g · p), accumulated into d when given
+function addContribution(gx, gy, dx, dy, r2, d) {
+  const t = r2 - dx * dx - dy * dy;
+  if (t <= 0) return 0;
+  const t2 = t * t;
+  const dot = gx * dx + gy * dy;
+  if (d) {
+    const s = -8 * t2 * t * dot;
+    d[0] += s * dx + t2 * t2 * gx;
+    d[1] += s * dy + t2 * t2 * gy;
+  }
+  return t2 * t2 * dot;
+}
+
+function simplexKernel(x, y, salt, d) {
+  const s = (x + y) * F2;
+  const i = Math.floor(x + s);
+  const j = Math.floor(y + s);
+  const t = (i + j) * G2;
+  const x0 = x - i + t;
+  const y0 = y - j + t;
+  const i1 = x0 > y0 ? 1 : 0;
+  const j1 = 1 - i1;
+  const x1 = x0 - i1 + G2;
+  const y1 = y0 - j1 + G2;
+  const x2 = x0 - 1 + 2 * G2;
+  const y2 = y0 - 1 + 2 * G2;
+  const h0 = hashCell(i, j, salt) & 7;
+  const h1 = hashCell(i + i1, j + j1, salt) & 7;
+  const h2 = hashCell(i + 1, j + 1, salt) & 7;
+  if (d) { d[0] = 0; d[1] = 0; }
+  const n = addContribution(GRAD8_X[h0], GRAD8_Y[h0], x0, y0, 0.5, d)
+    + addContribution(GRAD8_X[h1], GRAD8_Y[h1], x1, y1, 0.5, d)
+    + addContribution(GRAD8_X[h2], GRAD8_Y[h2], x2, y2, 0.5, d);
+  if (d) { d[0] *= SIMPLEX_SCALE; d[1] *= SIMPLEX_SCALE; }
+  return n * SIMPLEX_SCALE;
+}
+
+// OpenSimplex2 (K.jpg's "fast" variant): the skewed simplex lattice with its r² = 1/2 kernel, the
+// three vertices it picks from the skewed cell and its 24-direction gradient table. The reference
+// hashes with 64-bit primes; this keeps the low 32 bits of the same primes.
+function openSimplex2Kernel(x, y, salt, d) {
+  // Skew, then unskew the offset inside the cell
+  const s = (x + y) * F2;
+  const xs = x + s;
+  const ys = y + s;
+  const i = Math.floor(xs);
+  const j = Math.floor(ys);
+  const xi = xs - i;
+  const yi = ys - j;
+  const t = (xi + yi) * -G2;
+  const dx0 = xi + t;
+  const dy0 = yi + t;
+  if (d) { d[0] = 0; d[1] = 0; }
+  let n = openSimplex2Contribution(i, j, dx0, dy0, salt, d);
+  n += openSimplex2Contribution(i + 1, j + 1, dx0 - 1 + 2 * G2, dy0 - 1 + 2 * G2, salt, d);
+  n += dy0 > dx0
+    ? openSimplex2Contribution(i, j + 1, dx0 + G2, dy0 - 1 + G2, salt, d)
+    : openSimplex2Contribution(i + 1, j, dx0 - 1 + G2, dy0 + G2, salt, d);
+  if (d) { d[0] *= OPENSIMPLEX2_SCALE; d[1] *= OPENSIMPLEX2_SCALE; }
+  return n * OPENSIMPLEX2_SCALE;
+}
+
+function openSimplex2Contribution(i, j, dx, dy, salt, d) {
+  let h = salt ^ Math.imul(i, OPENSIMPLEX2_PRIME_X) ^ Math.imul(j, OPENSIMPLEX2_PRIME_Y);
+  h = Math.imul(h, OPENSIMPLEX2_HASH_MULTIPLIER);
+  h ^= h >>> 26;
+  // 128 table slots cycling through the 24 gradients, as in the reference
+  const g = ((h >>> 1) & 127) % 24;
+  return addContribution(OPENSIMPLEX2_GRAD_X[g], OPENSIMPLEX2_GRAD_Y[g], dx, dy, 0.5, d);
+}
+
+// F1 distance to one hashed feature point per cell, remapped to [-1, 1]
+function cellularKernel(x, y, salt, d) {
+  const cx = Math.floor(x);
+  const cy = Math.floor(y);
+  let best = Infinity, bestX = 0, bestY = 0;
+  for (let oy = -1; oy <= 1; oy++) {
+    for (let ox = -1; ox <= 1; ox++) {
+      const h = hashCell(cx + ox, cy + oy, salt);
+      const dx = cx + ox + (h & 0xffff) / 0x10000 - x;
+      const dy = cy + oy + (h >>> 16) / 0x10000 - y;
+      const dist = dx * dx + dy * dy;
+      if (dist < best) { best = dist; bestX = dx; bestY = dy; }
+    }
+  }
+  const f1 = Math.sqrt(best);
+  // F1 rarely exceeds one cell; clamp so the output stays in [-1, 1]
+  if (d) {
+    d[0] = f1 > 0 && f1 < 1 ? -2 * bestX / f1 : 0;
+    d[1] = f1 > 0 && f1 < 1 ? -2 * bestY / f1 : 0;
+  }
+  return Math.min(f1, 1) * 2 - 1;
+}
+
+const KERNELS = {
+  [NOISE_TYPES.VALUE]: valueKernel,
+  [NOISE_TYPES.PERLIN]: perlinKernel,
+  [NOISE_TYPES.SIMPLEX]: simplexKernel,
+  [NOISE_TYPES.OPENSIMPLEX2]: openSimplex2Kernel,
+  [NOISE_TYPES.CELLULAR]: cellularKernel,
+};
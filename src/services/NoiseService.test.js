@@ -0,0 +1,99 @@
+/* eslint-env jest */
+import {
+  createNoise2D, createCellularNoise2D, createFractalNoise2D, createRandom, seedToSalt,
+  NOISE_TYPES, CELLULAR_DISTANCES, CELLULAR_RETURNS
+} from './NoiseService';
+
+const COHERENT_TYPES = Object.values(NOISE_TYPES).filter(type => type !== NOISE_TYPES.CELLULAR);
+
+// Sample points off the lattice, spread over a few hundred cells
+function samplePoints(count = 200) {
+  const random = createRandom('points');
+  return Array.from({ length: count }, () => [random() * 300 - 150, random() * 300 - 150]);
+}
+
+test.each(COHERENT_TYPES)('%s noise is deterministic per seed', type => {
+  const a = createNoise2D(type, 42);
+  const b = createNoise2D(type, 42);
+  const c = createNoise2D(type, 43);
+  const points = samplePoints();
+  expect(points.map(([x, y]) => a(x, y))).toEqual(points.map(([x, y]) => b(x, y)));
+  expect(points.map(([x, y]) => a(x, y))).not.toEqual(points.map(([x, y]) => c(x, y)));
+});
+
+test.each(COHERENT_TYPES)('%s noise stays in [-1, 1] and averages about 0', type => {
+  const noise = createNoise2D(type, 7);
+  let sum = 0, min = Infinity, max = -Infinity;
+  const count = 20000;
+  const random = createRandom('range', type);
+  for (let i = 0; i < count; i++) {
+    const v = noise(random() * 1000, random() * 1000);
+    sum += v;
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  }
+  expect(min).toBeGreaterThanOrEqual(-1);
+  expect(max).toBeLessThanOrEqual(1);
+  // Coherent noise uses most of its range
+  expect(max - min).toBeGreaterThan(1);
+  expect(Math.abs(sum / count)).toBeLessThan(0.05);
+});
+
+test.each(COHERENT_TYPES)('%s derivatives match finite differences', type => {
+  const noise = createNoise2D(type, 3);
+  const h = 1e-5;
+  for (const [x, y] of samplePoints(100)) {
+    const { value, dx, dy } = noise.derivatives(x, y);
+    expect(value).toBe(noise(x, y));
+    expect(dx).toBeCloseTo((noise(x + h, y) - noise(x - h, y)) / (2 * h), 4);
+    expect(dy).toBeCloseTo((noise(x, y + h) - noise(x, y - h)) / (2 * h), 4);
+  }
+});
+
+test('fractal derivatives match finite differences', () => {
+  const fbm = createFractalNoise2D(createNoise2D(NOISE_TYPES.SIMPLEX, 5), { octaves: 4, lacunarity: 2, gain: 0.5 });
+  const h = 1e-6;
+  for (const [x, y] of samplePoints(50)) {
+    const { value, dx, dy } = fbm.derivatives(x / 10, y / 10);
+    expect(value).toBeCloseTo(fbm(x / 10, y / 10), 10);
+    expect(dx).toBeCloseTo((fbm(x / 10 + h, y / 10) - fbm(x / 10 - h, y / 10)) / (2 * h), 3);
+    expect(dy).toBeCloseTo((fbm(x / 10, y / 10 + h) - fbm(x / 10, y / 10 - h)) / (2 * h), 3);
+  }
+});
+
+test('unknown noise types are rejected', () => {
+  expect(() => createNoise2D('opensimplex2s', 1)).toThrow('Unknown noise type: opensimplex2s');
+  expect(() => createCellularNoise2D(1, { distance: 'cosine' })).toThrow('Unknown cellular distance');
+  expect(() => createCellularNoise2D(1, { returnType: 'f3' })).toThrow('Unknown cellular output');
+});
+
+test('cellular noise is deterministic per seed and its outputs are ordered', () => {
+  const a = createCellularNoise2D(11);
+  const b = createCellularNoise2D(11);
+  for (const [x, y] of samplePoints()) {
+    const r = a.evaluate(x, y);
+    expect(r).toEqual(b.evaluate(x, y));
+    expect(r.f1).toBeGreaterThanOrEqual(0);
+    expect(r.f2).toBeGreaterThanOrEqual(r.f1);
+    expect(r.cellId).toBeGreaterThanOrEqual(0);
+    expect(r.cellId).toBeLessThan(1);
+  }
+});
+
+test.each(Object.values(CELLULAR_DISTANCES))('cellular noise repeats with its period (%s)', distance => {
+  for (const returnType of Object.values(CELLULAR_RETURNS)) {
+    const noise = createCellularNoise2D(5, { distance, returnType, periodX: 8, periodY: 5 });
+    for (const [x, y] of samplePoints(50)) {
+      const u = x / 10, v = y / 10;
+      expect(noise(u + 8, v)).toBeCloseTo(noise(u, v), 9);
+      expect(noise(u, v - 5)).toBeCloseTo(noise(u, v), 9);
+      expect(noise(u - 16, v + 10)).toBeCloseTo(noise(u, v), 9);
+    }
+  }
+});
+
+test('seed salts differ between streams and seeds', () => {
+  expect(seedToSalt(1, 'a')).toBe(seedToSalt(1, 'a'));
+  expect(seedToSalt(1, 'a')).not.toBe(seedToSalt(1, 'b'));
+  expect(seedToSalt(1, 'a')).not.toBe(seedToSalt(2, 'a'));
+});
@@ -1,6 +1,8 @@
 // ScatterService.js
 // Service for generating scatter masks and scatter points for procedural terrain scattering
 // Inspired by modern approaches like GeoScatter
+import { createRandom } from './NoiseService';
+import { BIOMES } from './BiomeService';
 
 // Constants for terrain types
 const TERRAIN_TYPES = {
@@ -8,6 +10,7 @@ const TERRAIN_TYPES = {
   MOUNTAIN: 'mountain',
   VALLEY: 'valley',
   PLAIN: 'plain',
+  BIOME: 'biome',
 };
 
 // Default parameters
@@ -40,12 +43,15 @@ function validateParams(params, required) {
  * @param {number} height - Height of the heightmap.
  * @param {object} params - Scatter parameters.
  * @param {number} [params.maskThreshold=0.5] - Height threshold for mask (0-1).
- * @param {string} [params.scatterOn='all'] - Terrain type to scatter on ('all', 'mountain', 'valley', 'plain').
+ * @param {string} [params.scatterOn='all'] - Terrain type to scatter on ('all', 'mountain', 'valley', 'plain', 'biome').
+ * @param {Uint8Array} [params.biomeMap] - Biome id per cell (see computeBiomes), for 'biome'.
+ * @param {Array<string>} [params.biomes=[]] - Keys of the BIOMES to scatter on, for 'biome'.
  * @returns {Uint8Array} - Binary mask (1 = scatter, 0 = no scatter).
  */
 export function generateScatterMask(heightmap, width, height, params = {}) {
   validateParams({ heightmap, width, height }, ['heightmap', 'width', 'height']);
-  const { maskThreshold = DEFAULT_MASK_THRESHOLD, scatterOn = DEFAULT_SCATTER_ON } = params;
+  const { maskThreshold = DEFAULT_MASK_THRESHOLD, scatterOn = DEFAULT_SCATTER_ON, biomeMap = null, biomes = [] } = params;
+  const biomeIds = new Set(BIOMES.filter(biome => biomes.includes(biome.key)).map(biome => biome.id));
   const mask = new Uint8Array(width * height);
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
@@ -66,6 +72,9 @@ export function generateScatterMask(heightmap, width, height, params = {}) {
         case TERRAIN_TYPES.PLAIN:
           inMask = h >= maskThreshold * 0.5 && h <= maskThreshold;
           break;
+        case TERRAIN_TYPES.BIOME:
+          inMask = !!biomeMap && biomeIds.has(biomeMap[i]);
+          break;
         default:
           inMask = h >= maskThreshold;
       }
@@ -131,7 +140,7 @@ export function generatePoissonScatterPoints(mask, width, height, params = {}) {
   const grid = Array.from({ length: gridWidth * gridHeight }, () => null);
   const points = [];
   const active = [];
-  const rng = mulberry32(seed);
+  const rng = createRandom(seed, 'scatter');
 
   // Helper to get grid index
   function gridIndex(x, y) {
@@ -248,20 +257,6 @@ export function generatePoissonScatterPoints(mask, width, height, params = {}) {
   return points.map(pt => ({ x: Math.round(pt.x), y: Math.round(pt.y) }));
 }
 
-/**
- * Simple seeded RNG (Mulberry32)
- * @param {number} a - Seed
- * @returns {function(): number} - RNG function returning [0,1)
- */
-function mulberry32(a) {
-  return () => {
-    let t = a += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  };
-}
-
 /**
  * Example usage:
  * const mask = generateScatterMask(heightmap, width, height, params);
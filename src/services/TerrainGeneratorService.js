@@ -1,18 +1,29 @@
 import * as THREE from 'three';
-import { Noise } from 'noisejs';
-import Alea from 'alea';
-import WorleyNoise from 'worley-noise';
-
-export const createImprovedNoise2D = (seed) => {
-  const prng = Alea(seed);
-  
-  return (x, y, frequency = 1.0) => {
-    const scaledFreq = Math.pow(frequency, 0.85);
-    return prng();
-  };
-};
+import { createNoise4D } from 'simplex-noise';
+import {
+  createNoise2D, createCellularNoise2D, createRandom, NOISE_TYPES, CELLULAR_DISTANCES, CELLULAR_RETURNS
+} from './NoiseService';
+import { evaluateTerrainGraph } from './TerrainGraphService';
+import { smoothHeightmap, fadeHeightmapEdges } from './HeightfieldService';
+
+// Params the built-in recipe reads when generating a chunk (the worker fixes the frequency)
+export const CHUNK_HEIGHT_PARAMS = [
+  'seed', 'size', 'width', 'height', 'meshResolution',
+  'octaves', 'gain', 'lacunarity', 'amplitude', 'ridged', 'ridgedOffset',
+  'worleyPoints', 'worleySeed', 'worleyWeight', 'worleyDistance', 'worleyReturn', 'worleyInvert',
+  'useDomainWarp', 'warpType', 'warpIterations', 'warpStrength', 'warpFrequency',
+  'applySmoothing', 'smoothIterations', 'smoothFactor'
+];
+
+/**
+ * Whether generateTerrain wraps the map. Only the built-in recipe tiles; node graphs and
+ * streamed chunks ignore the tileable param.
+ * @param {object} params - Terrain params.
+ * @returns {boolean}
+ */
+export const isTileableTerrain = (params) => !!params.tileable && !params.chunkedWorld && !(params.useTerrainGraph && params.terrainGraph);
 
-export const generateTerrain = (params, noise2D) => {
+export const generateTerrain = (params) => {
   // Determine world extents, fallback to params.size if width/height not provided
   const widthExtent = params.width !== undefined ? params.width : params.size;
   const heightExtent = params.height !== undefined ? params.height : params.size;
@@ -28,186 +39,258 @@ export const generateTerrain = (params, noise2D) => {
   const width = meshResolution + 1;
   const height = meshResolution + 1;
 
+  // Chunk mode: (chunkX, chunkY) selects one size × size tile of an unbounded world.
+  // Chunks are generated with an apron wide enough for smoothing and normals, so shared
+  // edges get identical heights and normals in both neighbours.
+  const chunk = Number.isInteger(params.chunkX) && Number.isInteger(params.chunkY)
+    ? { cx: params.chunkX, cy: params.chunkY, apron: (params.applySmoothing ? Math.max(0, Math.floor(params.smoothIterations || 0)) : 0) + 1 }
+    : null;
+
+  let heightmap;
+  let normals = null;
+  if (chunk) {
+    // Chunks always use the built-in recipe; graph nodes like normalize and erosion are not local
+    const padded = generateLayeredHeightmap(params, width, height, widthExtent, heightExtent, chunk);
+    const paddedWidth = width + 2 * chunk.apron;
+    heightmap = new Float32Array(width * height);
+    for (let iy = 0; iy < height; iy++) {
+      const row = (iy + chunk.apron) * paddedWidth + chunk.apron;
+      heightmap.set(padded.subarray(row, row + width), iy * width);
+    }
+    normals = computePaddedNormals(padded, paddedWidth, width, height, chunk.apron, widthExtent / meshResolution, heightExtent / meshResolution);
+  } else {
+    // Node-graph recipes replace the built-in routine (including edge fade and smoothing)
+    heightmap = params.useTerrainGraph && params.terrainGraph
+      ? evaluateTerrainGraph(params.terrainGraph, { width, height, widthExtent, heightExtent, seed: params.seed })
+      : generateLayeredHeightmap(params, width, height, widthExtent, heightExtent);
+  }
+
+  // Write to geometry
+  for (let i = 0; i < positionAttr.count; i++) {
+    positions[i * 3 + 2] = heightmap[i];
+  }
+  positionAttr.needsUpdate = true;
+  if (normals) {
+    geometry.attributes.normal.array.set(normals);
+    geometry.attributes.normal.needsUpdate = true;
+  } else {
+    geometry.computeVertexNormals();
+  }
+  // Return only geometry as map generation is now universal
+  return { geometry };
+};
+
+// Built-in recipe: domain warp, weighted simplex/perlin/worley mix, optional ridge transform,
+// micro-detail, edge blend, smoothing. With a chunk, returns a (width + 2 * apron)² map
+// sampled in world space around chunk (cx, cy).
+const generateLayeredHeightmap = (params, width, height, widthExtent, heightExtent, chunk = null) => {
+  const meshResolution = width - 1;
+  const tileable = !chunk && !!params.tileable;
+  const apron = chunk ? chunk.apron : 0;
+  // Global grid index of this map's first column/row; chunks share their edge samples
+  const originX = chunk ? chunk.cx * meshResolution - apron : 0;
+  const originY = chunk ? chunk.cy * (height - 1) - apron : 0;
+
   // --- Improved Multi-Noise Heightmap Routine ---
-  const prng = Alea(params.seed);
-  const noise = new Noise(prng());
-  // Use noisejs for proper 2D Perlin and Simplex
-  function simplex2(x, y) { return noise.simplex2(x, y); }
-  function perlin2(x, y) { return noise.perlin2(x, y); }
-  // Worley noise instance, more points for more natural look
+  // Seeded noise from the shared factory, so the same seed gives the same terrain everywhere
+  const simplex2 = createNoise2D(NOISE_TYPES.SIMPLEX, params.seed);
+  const perlin2 = createNoise2D(NOISE_TYPES.PERLIN, params.seed);
+  // Periodic sampling: world (x, y) maps onto a 4D torus so the map wraps in both axes.
+  // There is no 4D perlin, so the perlin channel uses a second, differently seeded simplex.
+  const simplex4 = tileable ? createNoise4D(createRandom(params.seed, 'tile-simplex')) : null;
+  const perlin4 = tileable ? createNoise4D(createRandom(params.seed, 'tile-perlin')) : null;
+  const simplexAt = tileable
+    ? (x, y, f, o = 0) => sampleTorus(simplex4, x / widthExtent, y / heightExtent, f * widthExtent, f * heightExtent, o)
+    : (x, y, f, o = 0) => simplex2(x * f + o, y * f + o);
+  const perlinAt = tileable
+    ? (x, y, f) => sampleTorus(perlin4, x / widthExtent, y / heightExtent, f * widthExtent, f * heightExtent, 0)
+    : (x, y, f) => perlin2(x * f, y * f);
+  // Worley: grid-hashed cellular noise with about numPoints feature points per map
   const minPoints = 128;
   const maxPoints = 4096;
   const numPoints = Math.max(minPoints, Math.min(maxPoints, Math.floor(params.worleyPoints || meshResolution * 2)));
-  let worley;
-  
-  const createWorleyPoints = (count, seed) => {
-    const points = [];
-    const prng = Alea(seed);
-    for (let i = 0; i < count; i++) {
-      points.push({
-        x: prng(),
-        y: prng()
-      });
-    }
-    return points;
-  };
-
-  try {
-    // Create initial points
-    const points = createWorleyPoints(numPoints, params.worleySeed || params.seed);
-    
-    // Initialize Worley noise with points
-    worley = new WorleyNoise({
-      numPoints: points.length,
-      seed: Math.floor(params.worleySeed || params.seed),
-      dim: params.worleyDimension || 2
-    });
-
-    // Add points to the noise instance
-    points.forEach(point => worley.addPoint(point));
-
-    // Verify points were added successfully
-    if (!worley.points || worley.points.length === 0) {
-      throw new Error('Failed to initialize Worley noise points');
-    }
-  } catch (error) {
-    console.error('Failed to initialize Worley noise:', error);
-    // Create a more robust fallback implementation
-    const points = createWorleyPoints(numPoints, params.worleySeed || params.seed);
-    worley = {
-      points,
-      getEuclidean: (p) => {
-        // Simple distance calculation as fallback
-        let minDist = Infinity;
-        points.forEach(point => {
-          const dx = p.x - point.x;
-          const dy = p.y - point.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          minDist = Math.min(minDist, dist);
-        });
-        return minDist;
-      }
-    };
-  }
+  // Tileable maps need a whole number of cells so the cell pattern repeats with the map
+  const worleyCells = tileable ? Math.max(1, Math.round(Math.sqrt(numPoints))) : Math.sqrt(numPoints);
+  const worley = createCellularNoise2D(params.worleySeed || params.seed, {
+    distance: params.worleyDistance || CELLULAR_DISTANCES.EUCLIDEAN,
+    returnType: params.worleyReturn || CELLULAR_RETURNS.F1,
+    periodX: tileable ? worleyCells : 0,
+    periodY: tileable ? worleyCells : 0
+  });
+  const worleyInvert = !!params.worleyInvert;
 
-  const windDirection = params.windDirection || Math.PI / 4;
-  const dirX = Math.cos(windDirection);
-  const dirY = Math.sin(windDirection);
   const octaves = params.octaves || 6;
-  const ridgedOffset = params.ridgedOffset || 0.5;
-  const gain = params.gain || 0.5;
+  const ridged = !!params.ridged;
+  const ridgedOffset = params.ridgedOffset ?? 0.5;
+  const gain = params.gain ?? 0.5;
   const lacunarity = params.lacunarity || 2.0;
-  const amplitude = params.amplitude || 1.0;
-  const domainWarpStrength = params.domainWarpStrength || 0.35; // more natural default
-  const domainWarpFreq = params.domainWarpFreq || 0.08; // more natural default
+  const amplitude = params.amplitude ?? 1.0;
+  const baseFrequency = params.frequency || 0.15;
+  // Share of the noise mix taken by worley; the rest is split between simplex and perlin
+  const worleyWeight = clamp01(params.worleyWeight ?? 0.5);
 
-  // Precompute heightmap
-  const heightmap = new Float32Array(width * height);
-  for (let iy = 0; iy < height; iy++) {
-    for (let ix = 0; ix < width; ix++) {
+  // Domain warping
+  const warpIterations = params.useDomainWarp ? Math.max(0, Math.floor(params.warpIterations ?? 3)) : 0;
+  const warpStrength = params.warpStrength ?? 0.5;
+  // warpFrequency is relative to the base frequency (0.1 = one warp feature per ten terrain features)
+  const warpScale = baseFrequency * Math.max(params.warpFrequency ?? 0.02, 0.001) * 10;
+  // warpStrength is measured in base-noise wavelengths
+  const warpDistance = warpStrength / baseFrequency;
+  const warpNoise = params.warpType === 'simplex'
+    ? (x, y, o) => simplexAt(x, y, warpScale, o)
+    : (x, y, o) => {
+      // Fractal warp: 4-octave fBm normalized to roughly [-1, 1]
+      let sum = 0, amp = 0.5, f = warpScale;
+      for (let oct = 0; oct < 4; oct++) {
+        sum += simplexAt(x, y, f, o) * amp;
+        amp *= 0.5;
+        f *= 2;
+      }
+      return sum / 0.9375;
+    };
+  // Iterative warp: each pass re-samples the offset at the previously warped point,
+  // w(n) = p + s * noise(w(n-1)), which folds the domain more with every iteration.
+  const warpPoint = (x, y) => {
+    let wx = x;
+    let wy = y;
+    for (let it = 0; it < warpIterations; it++) {
+      const ox = warpNoise(wx, wy, 5.2 * (it + 1));
+      const oy = warpNoise(wx, wy, 100 + 1.7 * (it + 1));
+      wx = x + ox * warpDistance;
+      wy = y + oy * warpDistance;
+    }
+    return [wx, wy];
+  };
+  // Ridged: fold around ridgedOffset and square; otherwise remap [-1, 1] to [0, 1]
+  const shape = ridged
+    ? v => { const r = ridgedOffset - Math.abs(v); return r * r; }
+    : v => (v + 1) * 0.5;
+
+  // Precompute heightmap (tileable maps skip the duplicated last row/column)
+  const mapWidth = width + 2 * apron;
+  const mapHeight = height + 2 * apron;
+  const heightmap = new Float32Array(mapWidth * mapHeight);
+  const rows = tileable ? height - 1 : mapHeight;
+  const cols = tileable ? width - 1 : mapWidth;
+  for (let iy = 0; iy < rows; iy++) {
+    for (let ix = 0; ix < cols; ix++) {
       // Map grid to world coordinates
-      const x = (ix / (width - 1) - 0.5) * widthExtent;
-      const y = (iy / (height - 1) - 0.5) * heightExtent;
+      const x = ((originX + ix) / (width - 1) - 0.5) * widthExtent;
+      const y = ((originY + iy) / (height - 1) - 0.5) * heightExtent;
+      const [wx, wy] = warpPoint(x, y);
+      // Worley: normalized map coordinates (clamped to the map unless tileable or chunked) in cells
+      const relX = wx / widthExtent + 0.5;
+      const relY = wy / heightExtent + 0.5;
+      const normX = chunk || tileable ? relX : clamp01(relX);
+      const normY = chunk || tileable ? relY : clamp01(relY);
+      const cell = Math.min(1, worley(normX * worleyCells, normY * worleyCells));
+      const vWorley = shape(worleyInvert ? 2.0 * cell - 1.0 : 1.0 - 2.0 * cell);
       let h = 0;
       let amp = 1;
-      let freq = params.frequency || 0.15;
+      let freq = baseFrequency;
       for (let o = 0; o < octaves; o++) {
-        // Domain warp: warp coordinates by lower-freq noise, aligned to windDirection
-        const warpFreq = domainWarpFreq * Math.pow(lacunarity, o);
-        const warpAmp = domainWarpStrength * amp;
-        const warpX = simplex2(x * warpFreq, y * warpFreq) * warpAmp * dirX;
-        const warpY = simplex2(x * warpFreq + 100, y * warpFreq + 100) * warpAmp * dirY;
-        const wx = x + warpX;
-        const wy = y + warpY;
         // Sample noises
-        let vSimplex = simplex2(wx * freq, wy * freq);
-        let vPerlin = perlin2(wx * freq, wy * freq);
-        // Worley: use normalized coordinates in [0,1], clamped
-        let normX = clamp01(wx / widthExtent + 0.5);
-        let normY = clamp01(wy / heightExtent + 0.5);
-        let vWorley = worley.getEuclidean({ x: normX, y: normY }, 1);
-        vWorley = 1.0 - 2.0 * vWorley;
-        // Ridge transform
-        vSimplex = ridgedOffset - Math.abs(vSimplex); vSimplex *= vSimplex;
-        vPerlin = ridgedOffset - Math.abs(vPerlin); vPerlin *= vPerlin;
-        vWorley = ridgedOffset - Math.abs(vWorley); vWorley *= vWorley;
-        // Combine
-        let v = (vSimplex + vPerlin + vWorley) / 3;
+        const vSimplex = shape(simplexAt(wx, wy, freq));
+        const vPerlin = shape(perlinAt(wx, wy, freq));
+        // Weighted mix
+        let v = (vSimplex + vPerlin) * 0.5 * (1 - worleyWeight) + vWorley * worleyWeight;
         // Micro-detail
-        const micro = simplex2(wx * freq * 4, wy * freq * 4) * 0.1;
+        const micro = simplexAt(wx, wy, freq * 4) * 0.1;
         v += micro;
         h += v * amp;
         amp *= gain;
         freq *= lacunarity;
       }
-      heightmap[iy * width + ix] = h * amplitude;
+      heightmap[iy * mapWidth + ix] = h * amplitude;
     }
   }
-  // Write to geometry
-  for (let i = 0; i < positionAttr.count; i++) {
-    const ix = i % width;
-    const iy = Math.floor(i / width);
-    positions[i * 3 + 2] = heightmap[iy * width + ix];
-  }
-
-  // Edge blend (as before)
-  for (let i = 0; i < positionAttr.count; i++) {
-    const x = positionAttr.getX(i);
-    const y = positionAttr.getY(i);
-    const gridX = Math.round((x + widthExtent / 2) / (widthExtent / meshResolution));
-    const gridY = Math.round((y + heightExtent / 2) / (heightExtent / meshResolution));
-    const margin = 1;
-    const edgeDist = Math.min(gridX, gridY, width - 1 - gridX, height - 1 - gridY);
-    if (edgeDist < margin) {
-      const t = edgeDist / margin;
-      const orig = positions[i * 3 + 2];
-      positions[i * 3 + 2] = orig * t;
-    }
+  if (tileable) {
+    // Tileable maps repeat with period (size - 1): copy the first row/column
+    // into the last so the edges match exactly
+    for (let iy = 0; iy < rows; iy++) heightmap[iy * width + width - 1] = heightmap[iy * width];
+    for (let ix = 0; ix < width; ix++) heightmap[(height - 1) * width + ix] = heightmap[ix];
+  } else if (!chunk) {
+    // Edge blend (as before); tileable maps and chunks keep their borders
+    fadeHeightmapEdges(heightmap, width, height, 1);
   }
   // Smoothing (as before)
   if (params.applySmoothing) {
-    applySmoothing(positions, width, height, params);
+    smoothHeightmap(heightmap, mapWidth, mapHeight, params.smoothIterations, params.smoothFactor, tileable);
   }
-  positionAttr.needsUpdate = true;
-  geometry.computeVertexNormals();
-  // Return only geometry as map generation is now universal
-  return { geometry };
+  return heightmap;
 };
 
-const applySmoothing = (positions, width, height, params) => {
-  const tempPositions = new Float32Array(positions);
-  const smoothKernel = [
-    {x: -1, y: -1, weight: 0.5}, {x: 0, y: -1, weight: 1}, {x: 1, y: -1, weight: 0.5},
-    {x: -1, y: 0, weight: 1}, {x: 1, y: 0, weight: 1},
-    {x: -1, y: 1, weight: 0.5}, {x: 0, y: 1, weight: 1}, {x: 1, y: 1, weight: 0.5}
-  ];
-  const kernelWeight = 6;
-  
-  for (let iter = 0; iter < params.smoothIterations; iter++) {
-    for (let i = 0; i < positions.length; i += 3) {
-      const x = (i / 3) % width;
-      const y = Math.floor((i / 3) / width);
-      let sum = positions[i + 2] * kernelWeight;
-      let totalWeight = kernelWeight;
-      for (const {x: dx, y: dy, weight} of smoothKernel) {
-        const nx = x + dx;
-        const ny = y + dy;
-        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-          const nIdx = (ny * width + nx) * 3 + 2;
-          sum += positions[nIdx] * weight;
-          totalWeight += weight;
-        }
-      }
-      const avg = sum / (totalWeight);
-      tempPositions[i + 2] = THREE.MathUtils.lerp(
-        positions[i + 2],
-        avg,
-        params.smoothFactor
-      );
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Samples 4D noise on a torus so that s and t wrap with period 1.
+ * @param {function} noise4D - 4D noise function.
+ * @param {number} s - Horizontal position, in map widths.
+ * @param {number} t - Vertical position, in map heights.
+ * @param {number} cyclesX - Noise cycles across the map width (frequency * extent).
+ * @param {number} cyclesY - Noise cycles across the map height.
+ * @param {number} offset - Shift in noise space to decorrelate channels.
+ */
+function sampleTorus(noise4D, s, t, cyclesX, cyclesY, offset) {
+  const a = s * TWO_PI;
+  const b = t * TWO_PI;
+  const rx = cyclesX / TWO_PI;
+  const ry = cyclesY / TWO_PI;
+  return noise4D(rx * Math.cos(a) + offset, rx * Math.sin(a) + offset, ry * Math.cos(b) + offset, ry * Math.sin(b) + offset);
+}
+
+// Writes a heightmap into an existing terrain mesh of the same grid (e.g. while erosion runs) and
+// refreshes its normals with central differences (one-sided on the border), in place. Cheaper
+// than computeVertexNormals, so it can run every frame. Returns false if the grids differ.
+export function updateTerrainGeometry(geometry, heightMap, width, height) {
+  const positionAttr = geometry.attributes.position;
+  const normalAttr = geometry.attributes.normal;
+  if (!normalAttr || positionAttr.count !== width * height || heightMap.length !== width * height) return false;
+  const positions = positionAttr.array;
+  const normals = normalAttr.array;
+  for (let i = 0; i < positionAttr.count; i++) positions[i * 3 + 2] = heightMap[i];
+  // Cell spacing from the mesh itself (rows run towards -y)
+  const dx = positions[3] - positions[0];
+  const dy = positions[1] - positions[width * 3 + 1];
+  for (let iy = 0; iy < height; iy++) {
+    const up = Math.max(iy - 1, 0), down = Math.min(iy + 1, height - 1);
+    for (let ix = 0; ix < width; ix++) {
+      const left = Math.max(ix - 1, 0), right = Math.min(ix + 1, width - 1);
+      const nx = -(heightMap[iy * width + right] - heightMap[iy * width + left]) / ((right - left) * dx);
+      const ny = (heightMap[down * width + ix] - heightMap[up * width + ix]) / ((down - up) * dy);
+      const len = Math.sqrt(nx * nx + ny * ny + 1);
+      const i = (iy * width + ix) * 3;
+      normals[i] = nx / len;
+      normals[i + 1] = ny / len;
+      normals[i + 2] = 1 / len;
     }
-    positions.set(tempPositions);
   }
-};
+  positionAttr.needsUpdate = true;
+  normalAttr.needsUpdate = true;
+  // Recomputed on demand for culling and raycasts
+  geometry.boundingBox = null;
+  geometry.boundingSphere = null;
+  return true;
+}
+
+// Central-difference normals for the interior of a padded heightmap, in PlaneGeometry's
+// local frame (rows run towards -y)
+function computePaddedNormals(padded, paddedWidth, width, height, apron, dx, dy) {
+  const normals = new Float32Array(width * height * 3);
+  for (let iy = 0; iy < height; iy++) {
+    for (let ix = 0; ix < width; ix++) {
+      const p = (iy + apron) * paddedWidth + ix + apron;
+      const nx = -(padded[p + 1] - padded[p - 1]) / (2 * dx);
+      const ny = (padded[p + paddedWidth] - padded[p - paddedWidth]) / (2 * dy);
+      const len = Math.sqrt(nx * nx + ny * ny + 1);
+      const i = (iy * width + ix) * 3;
+      normals[i] = nx / len;
+      normals[i + 1] = ny / len;
+      normals[i + 2] = 1 / len;
+    }
+  }
+  return normals;
+}
 
 // Helper to clamp values to [0, 1]
 function clamp01(v) { return Math.max(0, Math.min(1, v)); } 
\ No newline at end of file
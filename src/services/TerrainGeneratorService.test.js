@@ -0,0 +1,48 @@
+/* eslint-env jest */
+import { generateTerrain } from './TerrainGeneratorService';
+
+const BASE = { seed: 9, size: 64, meshResolution: 32, octaves: 4, worleyPoints: 128 };
+
+function heights(params) {
+  const { geometry } = generateTerrain({ ...BASE, ...params });
+  const pos = geometry.attributes.position;
+  return Float32Array.from({ length: pos.count }, (_, i) => pos.getZ(i));
+}
+
+test('the same seed and settings generate the same terrain', () => {
+  expect(heights({})).toEqual(heights({}));
+  expect(heights({})).not.toEqual(heights({ seed: 10 }));
+});
+
+test('domain warping moves the terrain, more with every iteration', () => {
+  const plain = heights({});
+  const once = heights({ useDomainWarp: true, warpIterations: 1, warpStrength: 0.5 });
+  const thrice = heights({ useDomainWarp: true, warpIterations: 3, warpStrength: 0.5 });
+  expect(once).not.toEqual(plain);
+  expect(thrice).not.toEqual(once);
+  expect(heights({ useDomainWarp: true, warpType: 'simplex', warpIterations: 1, warpStrength: 0.5 })).not.toEqual(once);
+});
+
+test('a warp with no strength or no iterations leaves the terrain alone', () => {
+  const plain = heights({});
+  expect(heights({ useDomainWarp: true, warpStrength: 0 })).toEqual(plain);
+  expect(heights({ useDomainWarp: true, warpIterations: 0 })).toEqual(plain);
+  // The warp settings only apply while it is switched on
+  expect(heights({ useDomainWarp: false, warpIterations: 3, warpStrength: 2 })).toEqual(plain);
+});
+
+test('ridged shaping changes the terrain and follows its offset', () => {
+  const plain = heights({});
+  const ridged = heights({ ridged: true });
+  expect(ridged).not.toEqual(plain);
+  expect(heights({ ridged: true, ridgedOffset: 0.8 })).not.toEqual(ridged);
+  // The offset only applies to ridged terrain
+  expect(heights({ ridgedOffset: 0.8 })).toEqual(plain);
+});
+
+test('worley weight sets how much the cellular layer shapes the terrain', () => {
+  // Without worley in the mix its seed makes no difference
+  expect(heights({ worleyWeight: 0, worleySeed: 1 })).toEqual(heights({ worleyWeight: 0, worleySeed: 2 }));
+  expect(heights({ worleyWeight: 0.5, worleySeed: 1 })).not.toEqual(heights({ worleyWeight: 0.5, worleySeed: 2 }));
+  expect(heights({ worleyWeight: 1 })).not.toEqual(heights({ worleyWeight: 0.5 }));
+});
@@ -0,0 +1,526 @@
+// TerrainGraphService.js
+// Composable heightfield node graph: noise sources, combiners, filters, erosion and masks
+// are wired together by id, serialized into terrainParams and evaluated to a Float32Array.
+import ErosionSimulator from './ErosionSimulator';
+import { computeSlopeMap, smoothHeightmap, fadeHeightmapEdges } from './HeightfieldService';
+import {
+  createNoise2D, createCellularNoise2D, seedToSalt, NOISE_TYPE_OPTIONS, CELLULAR_DISTANCE_OPTIONS, CELLULAR_RETURN_OPTIONS
+} from './NoiseService';
+
+export const TERRAIN_GRAPH_VERSION = 1;
+
+/**
+ * Calls fn for every grid cell with its world-space coordinates.
+ * @param {object} ctx - Evaluation context.
+ * @param {function(number, number, number):number} fn - (x, y, index) => value.
+ * @returns {Float32Array}
+ */
+function sampleGrid(ctx, fn) {
+  const { width, height, widthExtent, heightExtent } = ctx;
+  const out = new Float32Array(width * height);
+  for (let iy = 0; iy < height; iy++) {
+    for (let ix = 0; ix < width; ix++) {
+      const x = (ix / (width - 1) - 0.5) * widthExtent;
+      const y = (iy / (height - 1) - 0.5) * heightExtent;
+      const i = iy * width + ix;
+      out[i] = fn(x, y, i);
+    }
+  }
+  return out;
+}
+
+/**
+ * Applies fn cell-wise over one or two inputs (missing inputs read as zero).
+ */
+function mapCells(ctx, a, b, fn) {
+  const out = new Float32Array(ctx.width * ctx.height);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = fn(a ? a[i] : 0, b ? b[i] : 0, i);
+  }
+  return out;
+}
+
+function minMax(values) {
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i];
+    if (values[i] > max) max = values[i];
+  }
+  return { min, max };
+}
+
+function smoothstep(edge0, edge1, x) {
+  if (edge0 === edge1) return x < edge0 ? 0 : 1;
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+/**
+ * Node registry. Each entry lists its named inputs, its parameter schema (used for defaults
+ * and for the settings UI) and an evaluate(ctx, inputs, params, id) function returning a heightfield.
+ */
+export const NODE_TYPES = {
+  // --- Sources ---
+  noise: {
+    label: 'Noise (fBm)',
+    category: 'source',
+    inputs: [],
+    params: {
+      noiseType: { label: 'Type', type: 'select', default: 'simplex', options: NOISE_TYPE_OPTIONS },
+      frequency: { label: 'Frequency', type: 'range', default: 0.15, min: 0.01, max: 2, step: 0.01 },
+      octaves: { label: 'Octaves', type: 'range', default: 6, min: 1, max: 12, step: 1 },
+      lacunarity: { label: 'Lacunarity', type: 'range', default: 2.0, min: 1, max: 4, step: 0.1 },
+      gain: { label: 'Gain', type: 'range', default: 0.5, min: 0, max: 1, step: 0.05 },
+      amplitude: { label: 'Amplitude', type: 'range', default: 1.0, min: 0, max: 5, step: 0.1 },
+      seedOffset: { label: 'Seed Offset', type: 'number', default: 0, min: 0, max: 9999, step: 1 }
+    },
+    evaluate: (ctx, inputs, p) => {
+      const sample = createNoise2D(p.noiseType, ctx.seed + p.seedOffset);
+      return sampleGrid(ctx, (x, y) => {
+        let h = 0;
+        let amp = 1;
+        let freq = p.frequency;
+        for (let o = 0; o < p.octaves; o++) {
+          h += sample(x * freq, y * freq) * amp;
+          amp *= p.gain;
+          freq *= p.lacunarity;
+        }
+        return h * p.amplitude;
+      });
+    }
+  },
+  worley: {
+    label: 'Worley',
+    category: 'source',
+    inputs: [],
+    params: {
+      points: { label: 'Points', type: 'range', default: 256, min: 16, max: 4096, step: 16 },
+      output: { label: 'Output', type: 'select', default: 'f1', options: CELLULAR_RETURN_OPTIONS },
+      distance: { label: 'Distance', type: 'select', default: 'euclidean', options: CELLULAR_DISTANCE_OPTIONS },
+      amplitude: { label: 'Amplitude', type: 'range', default: 1.0, min: 0, max: 5, step: 0.1 },
+      seedOffset: { label: 'Seed Offset', type: 'number', default: 0, min: 0, max: 9999, step: 1 }
+    },
+    evaluate: (ctx, inputs, p) => {
+      const worley = createCellularNoise2D(ctx.seed + p.seedOffset, { distance: p.distance, returnType: p.output });
+      // Sample in cell units (mean point spacing) so the output stays roughly in [0, 1]
+      const scale = Math.sqrt(p.points);
+      return sampleGrid(ctx, (x, y) => {
+        const d = worley((x / ctx.widthExtent + 0.5) * scale, (y / ctx.heightExtent + 0.5) * scale);
+        return Math.min(1, d) * p.amplitude;
+      });
+    }
+  },
+  constant: {
+    label: 'Constant',
+    category: 'source',
+    inputs: [],
+    params: {
+      value: { label: 'Value', type: 'range', default: 0, min: -5, max: 5, step: 0.05 }
+    },
+    evaluate: (ctx, inputs, p) => new Float32Array(ctx.width * ctx.height).fill(p.value)
+  },
+  gradient: {
+    label: 'Gradient',
+    category: 'source',
+    inputs: [],
+    params: {
+      angle: { label: 'Angle (degrees)', type: 'range', default: 0, min: 0, max: 360, step: 1 },
+      amplitude: { label: 'Amplitude', type: 'range', default: 1.0, min: 0, max: 5, step: 0.1 }
+    },
+    evaluate: (ctx, inputs, p) => {
+      const a = p.angle * Math.PI / 180;
+      const dx = Math.cos(a) / ctx.widthExtent;
+      const dy = Math.sin(a) / ctx.heightExtent;
+      return sampleGrid(ctx, (x, y) => (x * dx + y * dy + 0.5) * p.amplitude);
+    }
+  },
+
+  // --- Combiners ---
+  add: {
+    label: 'Add',
+    category: 'combiner',
+    inputs: ['a', 'b'],
+    params: {
+      weightB: { label: 'Weight B', type: 'range', default: 1, min: -2, max: 2, step: 0.05 }
+    },
+    evaluate: (ctx, { a, b }, p) => mapCells(ctx, a, b, (va, vb) => va + vb * p.weightB)
+  },
+  subtract: {
+    label: 'Subtract',
+    category: 'combiner',
+    inputs: ['a', 'b'],
+    params: {},
+    evaluate: (ctx, { a, b }) => mapCells(ctx, a, b, (va, vb) => va - vb)
+  },
+  multiply: {
+    label: 'Multiply',
+    category: 'combiner',
+    inputs: ['a', 'b'],
+    params: {},
+    evaluate: (ctx, { a, b }) => mapCells(ctx, a, b, (va, vb) => va * vb)
+  },
+  max: {
+    label: 'Max',
+    category: 'combiner',
+    inputs: ['a', 'b'],
+    params: {},
+    evaluate: (ctx, { a, b }) => mapCells(ctx, a, b, (va, vb) => Math.max(va, vb))
+  },
+  min: {
+    label: 'Min',
+    category: 'combiner',
+    inputs: ['a', 'b'],
+    params: {},
+    evaluate: (ctx, { a, b }) => mapCells(ctx, a, b, (va, vb) => Math.min(va, vb))
+  },
+  blend: {
+    label: 'Blend',
+    category: 'combiner',
+    inputs: ['a', 'b', 'mask'],
+    params: {
+      factor: { label: 'Factor', type: 'range', default: 0.5, min: 0, max: 1, step: 0.01 }
+    },
+    evaluate: (ctx, { a, b, mask }, p) => mapCells(ctx, a, b, (va, vb, i) => {
+      const t = mask ? Math.max(0, Math.min(1, mask[i])) : p.factor;
+      return va + (vb - va) * t;
+    })
+  },
+
+  // --- Filters ---
+  scaleBias: {
+    label: 'Scale & Bias',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      scale: { label: 'Scale', type: 'range', default: 1, min: -5, max: 5, step: 0.05 },
+      bias: { label: 'Bias', type: 'range', default: 0, min: -5, max: 5, step: 0.05 }
+    },
+    evaluate: (ctx, { input }, p) => mapCells(ctx, input, null, v => v * p.scale + p.bias)
+  },
+  normalize: {
+    label: 'Normalize',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      min: { label: 'Min', type: 'range', default: 0, min: -5, max: 5, step: 0.05 },
+      max: { label: 'Max', type: 'range', default: 1, min: -5, max: 5, step: 0.05 }
+    },
+    evaluate: (ctx, { input }, p) => {
+      if (!input) return new Float32Array(ctx.width * ctx.height).fill(p.min);
+      const range = minMax(input);
+      const span = range.max - range.min || 1;
+      return mapCells(ctx, input, null, v => p.min + ((v - range.min) / span) * (p.max - p.min));
+    }
+  },
+  ridge: {
+    label: 'Ridge',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      offset: { label: 'Offset', type: 'range', default: 0.5, min: 0, max: 1, step: 0.05 }
+    },
+    evaluate: (ctx, { input }, p) => mapCells(ctx, input, null, v => {
+      const r = p.offset - Math.abs(v);
+      return r * r;
+    })
+  },
+  terrace: {
+    label: 'Terrace',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      steps: { label: 'Steps', type: 'range', default: 8, min: 1, max: 32, step: 1 },
+      sharpness: { label: 'Sharpness', type: 'range', default: 0.8, min: 0, max: 1, step: 0.05 }
+    },
+    evaluate: (ctx, { input }, p) => {
+      if (!input) return new Float32Array(ctx.width * ctx.height);
+      const range = minMax(input);
+      const span = range.max - range.min || 1;
+      return mapCells(ctx, input, null, v => {
+        const t = ((v - range.min) / span) * p.steps;
+        const base = Math.floor(t);
+        const frac = t - base;
+        const stepped = base + smoothstep(0, 1 - p.sharpness * 0.99, frac);
+        return range.min + (stepped / p.steps) * span;
+      });
+    }
+  },
+  power: {
+    label: 'Power Curve',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      exponent: { label: 'Exponent', type: 'range', default: 2, min: 0.1, max: 5, step: 0.1 }
+    },
+    evaluate: (ctx, { input }, p) => mapCells(ctx, input, null, v => Math.sign(v) * Math.pow(Math.abs(v), p.exponent))
+  },
+  clamp: {
+    label: 'Clamp',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      min: { label: 'Min', type: 'range', default: 0, min: -5, max: 5, step: 0.05 },
+      max: { label: 'Max', type: 'range', default: 1, min: -5, max: 5, step: 0.05 }
+    },
+    evaluate: (ctx, { input }, p) => mapCells(ctx, input, null, v => Math.max(p.min, Math.min(p.max, v)))
+  },
+  invert: {
+    label: 'Invert',
+    category: 'filter',
+    inputs: ['input'],
+    params: {},
+    evaluate: (ctx, { input }) => {
+      if (!input) return new Float32Array(ctx.width * ctx.height);
+      const range = minMax(input);
+      return mapCells(ctx, input, null, v => range.max + range.min - v);
+    }
+  },
+  smooth: {
+    label: 'Smooth',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      iterations: { label: 'Passes', type: 'range', default: 2, min: 0, max: 10, step: 1 },
+      factor: { label: 'Strength', type: 'range', default: 0.5, min: 0, max: 1, step: 0.05 }
+    },
+    evaluate: (ctx, { input }, p) => {
+      const out = input ? new Float32Array(input) : new Float32Array(ctx.width * ctx.height);
+      smoothHeightmap(out, ctx.width, ctx.height, p.iterations, p.factor);
+      return out;
+    }
+  },
+  edgeFade: {
+    label: 'Edge Fade',
+    category: 'filter',
+    inputs: ['input'],
+    params: {
+      margin: { label: 'Margin (cells)', type: 'range', default: 1, min: 1, max: 64, step: 1 }
+    },
+    evaluate: (ctx, { input }, p) => {
+      const out = input ? new Float32Array(input) : new Float32Array(ctx.width * ctx.height);
+      fadeHeightmapEdges(out, ctx.width, ctx.height, p.margin);
+      return out;
+    }
+  },
+
+  // --- Erosion ---
+  erosion: {
+    label: 'Hydraulic Erosion',
+    category: 'erosion',
+    inputs: ['input'],
+    params: {
+      droplets: { label: 'Droplets', type: 'number', default: 20000, min: 0, max: 1000000, step: 1000 },
+      sedimentCapacityFactor: { label: 'Sediment Capacity', type: 'range', default: 4, min: 0.1, max: 16, step: 0.1 },
+      depositionRate: { label: 'Deposition Rate', type: 'range', default: 0.3, min: 0.01, max: 1, step: 0.01 },
+      evaporationRate: { label: 'Evaporation Rate', type: 'range', default: 0.01, min: 0.001, max: 0.2, step: 0.001 },
+      inertia: { label: 'Inertia', type: 'range', default: 0.05, min: 0, max: 1, step: 0.01 }
+    },
+    evaluate: (ctx, { input }, p, id) => {
+      const base = input || new Float32Array(ctx.width * ctx.height);
+      const droplets = Math.floor(p.droplets);
+      if (droplets <= 0) return new Float32Array(base);
+      const simulator = new ErosionSimulator(ctx.width, ctx.height, base, {
+        // Each erosion node gets its own droplets, reproducible from the terrain seed
+        seed: seedToSalt(ctx.seed, id),
+        sedimentCapacityFactor: p.sedimentCapacityFactor,
+        depositionRate: p.depositionRate,
+        evaporationRate: p.evaporationRate,
+        inertia: p.inertia
+      });
+      simulator.start(droplets);
+      while (simulator.stepDroplets(droplets)) { /* run every droplet to completion */ }
+      return simulator.cloneHeightMap();
+    }
+  },
+
+  // --- Masks (0..1) ---
+  heightMask: {
+    label: 'Height Mask',
+    category: 'mask',
+    inputs: ['input'],
+    params: {
+      min: { label: 'Min (normalized)', type: 'range', default: 0.4, min: 0, max: 1, step: 0.01 },
+      max: { label: 'Max (normalized)', type: 'range', default: 1, min: 0, max: 1, step: 0.01 },
+      falloff: { label: 'Falloff', type: 'range', default: 0.1, min: 0, max: 0.5, step: 0.01 }
+    },
+    evaluate: (ctx, { input }, p) => {
+      if (!input) return new Float32Array(ctx.width * ctx.height);
+      const range = minMax(input);
+      const span = range.max - range.min || 1;
+      return mapCells(ctx, input, null, v => {
+        const n = (v - range.min) / span;
+        return smoothstep(p.min - p.falloff, p.min, n) * (1 - smoothstep(p.max, p.max + p.falloff, n));
+      });
+    }
+  },
+  slopeMask: {
+    label: 'Slope Mask',
+    category: 'mask',
+    inputs: ['input'],
+    params: {
+      minDeg: { label: 'Min Slope (degrees)', type: 'range', default: 0, min: 0, max: 90, step: 1 },
+      maxDeg: { label: 'Max Slope (degrees)', type: 'range', default: 30, min: 0, max: 90, step: 1 },
+      falloff: { label: 'Falloff (degrees)', type: 'range', default: 5, min: 0, max: 30, step: 1 }
+    },
+    evaluate: (ctx, { input }, p) => {
+      if (!input) return new Float32Array(ctx.width * ctx.height).fill(1);
+      const slope = computeSlopeMap(input, ctx.width, ctx.height, ctx.widthExtent, ctx.heightExtent);
+      return mapCells(ctx, slope, null, s => {
+        const deg = Math.atan(s) * 180 / Math.PI;
+        return smoothstep(p.minDeg - p.falloff, p.minDeg, deg) * (1 - smoothstep(p.maxDeg, p.maxDeg + p.falloff, deg));
+      });
+    }
+  }
+};
+
+/**
+ * Returns the default parameter object for a node type.
+ * @param {string} type - Key of NODE_TYPES.
+ * @returns {object}
+ */
+export function getDefaultNodeParams(type) {
+  const def = NODE_TYPES[type];
+  if (!def) throw new Error(`Unknown terrain graph node type: ${type}`);
+  const params = {};
+  for (const [key, schema] of Object.entries(def.params)) params[key] = schema.default;
+  return params;
+}
+
+/**
+ * Creates a new node of the given type with default params and unconnected inputs.
+ * @param {string} type - Key of NODE_TYPES.
+ * @param {string} id - Unique node id within the graph.
+ * @returns {{id: string, type: string, params: object, inputs: object}}
+ */
+export function createGraphNode(type, id) {
+  return { id, type, params: getDefaultNodeParams(type), inputs: {} };
+}
+
+/**
+ * Builds a starter graph roughly matching the built-in recipe:
+ * simplex + perlin fBm blended with worley, ridge transform, then edge fade.
+ * @returns {object} - Serializable terrain graph.
+ */
+export function createDefaultTerrainGraph() {
+  const simplex = createGraphNode('noise', 'simplex');
+  const perlin = createGraphNode('noise', 'perlin');
+  perlin.params.noiseType = 'perlin';
+  perlin.params.seedOffset = 1;
+  const worley = createGraphNode('worley', 'worley');
+  const mix = createGraphNode('blend', 'mix');
+  mix.inputs = { a: 'simplex', b: 'perlin' };
+  const cells = createGraphNode('add', 'cells');
+  cells.inputs = { a: 'mix', b: 'worley' };
+  cells.params.weightB = 0.33;
+  const ridge = createGraphNode('ridge', 'ridge');
+  ridge.inputs = { input: 'cells' };
+  const fade = createGraphNode('edgeFade', 'fade');
+  fade.inputs = { input: 'ridge' };
+  return {
+    version: TERRAIN_GRAPH_VERSION,
+    nodes: [simplex, perlin, worley, mix, cells, ridge, fade],
+    output: 'fade'
+  };
+}
+
+/**
+ * Tells whether evaluating one node evaluates another, i.e. whether target is upstream of id
+ * (or id itself). Wiring target's input to id would then form a cycle.
+ * @param {object} graph - Terrain graph.
+ * @param {string} id - Node whose inputs are followed.
+ * @param {string} target - Node looked for.
+ * @returns {boolean}
+ */
+export function graphDependsOn(graph, id, target) {
+  const nodesById = new Map(graph.nodes.map(n => [n.id, n]));
+  const seen = new Set();
+  const stack = [id];
+  while (stack.length) {
+    const current = stack.pop();
+    if (current === target) return true;
+    if (seen.has(current) || !nodesById.has(current)) continue;
+    seen.add(current);
+    stack.push(...Object.values(nodesById.get(current).inputs || {}));
+  }
+  return false;
+}
+
+/**
+ * Normalizes a graph loaded from JSON or localStorage: fills missing params with defaults,
+ * drops unknown input names and checks that every referenced node exists.
+ * @param {object|string} graph - Graph object or its JSON string.
+ * @returns {object} - A new, validated graph object.
+ * @throws {Error} - If the graph is malformed.
+ */
+export function parseTerrainGraph(graph) {
+  const raw = typeof graph === 'string' ? JSON.parse(graph) : graph;
+  if (!raw || !Array.isArray(raw.nodes)) {
+    throw new Error('Terrain graph must have a nodes array');
+  }
+  const ids = new Set();
+  const nodes = raw.nodes.map(node => {
+    const def = NODE_TYPES[node.type];
+    if (!def) throw new Error(`Unknown terrain graph node type: ${node.type}`);
+    if (!node.id || ids.has(node.id)) throw new Error(`Duplicate or missing terrain graph node id: ${node.id}`);
+    ids.add(node.id);
+    const inputs = {};
+    for (const name of def.inputs) {
+      if (node.inputs && node.inputs[name]) inputs[name] = node.inputs[name];
+    }
+    return { id: node.id, type: node.type, params: { ...getDefaultNodeParams(node.type), ...node.params }, inputs };
+  });
+  for (const node of nodes) {
+    for (const [name, source] of Object.entries(node.inputs)) {
+      if (!ids.has(source)) throw new Error(`Node ${node.id} input ${name} references missing node ${source}`);
+    }
+  }
+  if (!ids.has(raw.output)) throw new Error(`Terrain graph output references missing node ${raw.output}`);
+  return { version: raw.version || TERRAIN_GRAPH_VERSION, nodes, output: raw.output };
+}
+
+/**
+ * Serializes a graph to a JSON string suitable for storing in terrainParams or a file.
+ * @param {object} graph
+ * @returns {string}
+ */
+export function serializeTerrainGraph(graph) {
+  return JSON.stringify(parseTerrainGraph(graph));
+}
+
+/**
+ * Evaluates a terrain graph to a heightfield.
+ * Only nodes reachable from the output are evaluated; each is evaluated once.
+ * @param {object} graph - Terrain graph (see createDefaultTerrainGraph).
+ * @param {object} ctx - Evaluation context.
+ * @param {number} ctx.width - Grid width in vertices.
+ * @param {number} ctx.height - Grid height in vertices.
+ * @param {number} ctx.widthExtent - World width.
+ * @param {number} ctx.heightExtent - World height.
+ * @param {number} ctx.seed - Base seed; nodes add their seedOffset.
+ * @returns {Float32Array} - Row-major heights of the output node.
+ * @throws {Error} - If the graph is malformed or contains a cycle.
+ */
+export function evaluateTerrainGraph(graph, ctx) {
+  const parsed = parseTerrainGraph(graph);
+  const nodesById = new Map(parsed.nodes.map(n => [n.id, n]));
+  const results = new Map();
+  const visiting = new Set();
+
+  const evaluateNode = id => {
+    if (results.has(id)) return results.get(id);
+    if (visiting.has(id)) throw new Error(`Terrain graph cycle detected at node ${id}`);
+    visiting.add(id);
+    const node = nodesById.get(id);
+    const def = NODE_TYPES[node.type];
+    const inputs = {};
+    for (const name of def.inputs) {
+      inputs[name] = node.inputs[name] ? evaluateNode(node.inputs[name]) : null;
+    }
+    const result = def.evaluate(ctx, inputs, node.params, id);
+    visiting.delete(id);
+    results.set(id, result);
+    return result;
+  };
+
+  return evaluateNode(parsed.output);
+}
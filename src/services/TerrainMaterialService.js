@@ -1,12 +1,18 @@
 import * as THREE from 'three';
 import terrainVertexShader from '../shaders/terrain.vert.js';
 import terrainFragmentShader from '../shaders/terrain.frag.js';
+import terrainBakeVertexShader from '../shaders/terrainBake.vert.js';
 import waterVertexShader from '../shaders/water.vert.js';
 import waterFragmentShader from '../shaders/water.frag.js';
+import { BIOMES, getBiomePalette } from './BiomeService';
+import { createNoise2D, NOISE_TYPES } from './NoiseService';
 
 // Texture cache to avoid redundant loads
 const textureCache = new Map();
 
+// Lattice cells per side of the shader's noise texture; the shader noise repeats with this period
+const NOISE_LATTICE_SIZE = 256;
+
 // Default Poly Haven PBR texture URLs
 const DEFAULT_ALBEDO_URL = 'https://dl.polyhaven.org/file/ph-assets/Textures/jpg/4k/brown_mud_leaves_01/brown_mud_leaves_01_diff_4k.jpg';
 const DEFAULT_NORMAL_URL = 'https://dl.polyhaven.org/file/ph-assets/Textures/jpg/4k/brown_mud_leaves_01/brown_mud_leaves_01_nor_gl_4k.jpg';
@@ -65,11 +71,14 @@ export const createTerrainMaterial = (params = {}) => {
         normalMap = null,
         roughnessMap = null,
         displacementMap = null,
+        erosionMap = null,
+        biomeMap = null,
         displacementScale = 0.2,
         textureScale = 1.0,
         normalMapStrength = 1.0,
         roughnessMultiplier = 1.0,
-        albedoIntensity = 0.6
+        albedoIntensity = 0.6,
+        seed = 0
     } = params;
 
     // Enable defines if maps are provided
@@ -78,6 +87,11 @@ export const createTerrainMaterial = (params = {}) => {
     if (normalMap) defines.USE_NORMALMAP = '';
     if (roughnessMap) defines.USE_ROUGHNESSMAP = '';
     if (displacementMap) defines.USE_DISPLACEMENTMAP = '';
+    if (erosionMap) defines.USE_EROSIONMAP = '';
+    if (biomeMap) {
+        defines.USE_BIOMEMAP = '';
+        defines.BIOME_COUNT = BIOMES.length;
+    }
 
     const material = new THREE.ShaderMaterial({
         uniforms: {
@@ -103,11 +117,17 @@ export const createTerrainMaterial = (params = {}) => {
             normalMap: { value: normalMap },
             roughnessMap: { value: roughnessMap },
             displacementMap: { value: displacementMap },
+            erosionMap: { value: erosionMap },
+            biomeMap: { value: biomeMap },
+            biomeMapSize: { value: biomeMap ? new THREE.Vector2(biomeMap.image.width, biomeMap.image.height) : new THREE.Vector2(1, 1) },
+            biomeColors: { value: getBiomePalette() },
             displacementScale: { value: displacementScale },
             textureScale: { value: textureScale },
             normalMapStrength: { value: normalMapStrength },
             roughnessMultiplier: { value: roughnessMultiplier },
-            albedoIntensity: { value: albedoIntensity }
+            albedoIntensity: { value: albedoIntensity },
+            noiseLattice: { value: createNoiseLatticeTexture(seed) },
+            noiseLatticeSize: { value: NOISE_LATTICE_SIZE }
         },
         vertexShader: terrainVertexShader,
         fragmentShader: terrainFragmentShader,
@@ -117,17 +137,95 @@ export const createTerrainMaterial = (params = {}) => {
     return material;
 };
 
-export const createWaterPlane = (size, params = {}) => {
+/**
+ * Bakes the lattice values of the seeded value noise into a repeating texture, so the shader's
+ * noise() interpolates the same lattice as createNoise2D('value', seed).
+ * @param {number|string} seed - Terrain seed.
+ * @returns {THREE.DataTexture}
+ */
+export const createNoiseLatticeTexture = (seed) => {
+    const noise = createNoise2D(NOISE_TYPES.VALUE, seed);
+    const data = new Float32Array(NOISE_LATTICE_SIZE * NOISE_LATTICE_SIZE);
+    for (let y = 0; y < NOISE_LATTICE_SIZE; y++) {
+        for (let x = 0; x < NOISE_LATTICE_SIZE; x++) {
+            // Value noise passes through its lattice values at integer points
+            data[y * NOISE_LATTICE_SIZE + x] = noise(x, y);
+        }
+    }
+    const texture = new THREE.DataTexture(data, NOISE_LATTICE_SIZE, NOISE_LATTICE_SIZE, THREE.RedFormat, THREE.FloatType);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.minFilter = THREE.NearestFilter;
+    texture.magFilter = THREE.NearestFilter;
+    texture.needsUpdate = true;
+    return texture;
+};
+
+/**
+ * Evaluates the terrain shader once per vertex (unlit) and returns the result as vertex colours.
+ * Renders into an offscreen target with a temporary WebGL context.
+ * @param {THREE.BufferGeometry} geometry - Terrain geometry in the plane frame used by the 3D view.
+ * @param {THREE.ShaderMaterial} material - Terrain material from createTerrainMaterial.
+ * @param {object} [options]
+ * @param {THREE.Euler} [options.rotation] - Mesh rotation in the scene (defaults to the view's -90° about X).
+ * @returns {Float32Array} - Linear RGB per vertex, ready for a 'color' attribute.
+ */
+export const bakeTerrainVertexColors = (geometry, material, options = {}) => {
+    const { rotation = new THREE.Euler(-Math.PI / 2, 0, 0) } = options;
+    const count = geometry.attributes.position.count;
+    const size = Math.ceil(Math.sqrt(count));
+
+    const bakeMaterial = material.clone();
+    bakeMaterial.vertexShader = terrainBakeVertexShader;
+    bakeMaterial.defines = { ...material.defines, BAKE_ALBEDO: '' };
+    bakeMaterial.uniforms.bakeSize = { value: new THREE.Vector2(size, size) };
+    bakeMaterial.depthTest = false;
+    bakeMaterial.depthWrite = false;
+
+    const points = new THREE.Points(geometry, bakeMaterial);
+    points.rotation.copy(rotation);
+    points.frustumCulled = false;
+    const scene = new THREE.Scene();
+    scene.add(points);
+
+    const renderer = new THREE.WebGLRenderer({ antialias: false });
+    const target = new THREE.WebGLRenderTarget(size, size, {
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: false
+    });
+    const pixels = new Uint8Array(size * size * 4);
+    try {
+        renderer.setRenderTarget(target);
+        renderer.render(scene, new THREE.Camera());
+        renderer.readRenderTargetPixels(target, 0, 0, size, size, pixels);
+    } finally {
+        renderer.setRenderTarget(null);
+        target.dispose();
+        bakeMaterial.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+    }
+
+    // The shader writes display (sRGB) values; vertex colours are stored linear
+    const colors = new Float32Array(count * 3);
+    const color = new THREE.Color();
+    for (let i = 0; i < count; i++) {
+        color.setRGB(pixels[i * 4] / 255, pixels[i * 4 + 1] / 255, pixels[i * 4 + 2] / 255, THREE.SRGBColorSpace);
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+    }
+    return colors;
+};
+
+// Translucent water material shared by the water plane and lakes
+export const createWaterMaterial = (params = {}) => {
     const {
-        waterLevel = 0.0,
         waterColor = new THREE.Color(0x0077be),
-        segments = 32,
-        useLOD = true,
-        waterOpacity = 0.4 // Default to 40% opacity
+        waterOpacity = 0.4, // Default to 40% opacity
+        clippingPlanes = []
     } = params;
-
-    const createWaterGeometry = (segments) => new THREE.PlaneGeometry(size, size, segments, segments);
-    const clippingPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -waterLevel + 0.01);
     let colorObj;
     if (typeof waterColor === 'string') {
         // Ensure color string starts with #
@@ -138,7 +236,7 @@ export const createWaterPlane = (size, params = {}) => {
         colorObj = new THREE.Color(0x0077be);
     }
 
-    const waterMaterial = new THREE.ShaderMaterial({
+    return new THREE.ShaderMaterial({
         uniforms: {
             waterColor: { value: colorObj.toArray() },
             waterOpacity: { value: waterOpacity }
@@ -147,11 +245,25 @@ export const createWaterPlane = (size, params = {}) => {
         fragmentShader: waterFragmentShader,
         transparent: true,
         side: THREE.DoubleSide,
-        clippingPlanes: [clippingPlane],
+        clippingPlanes,
         clipShadows: true,
         depthWrite: false,
         depthTest: true
     });
+};
+
+export const createWaterPlane = (size, params = {}) => {
+    const {
+        waterLevel = 0.0,
+        waterColor = new THREE.Color(0x0077be),
+        segments = 32,
+        useLOD = true,
+        waterOpacity = 0.4 // Default to 40% opacity
+    } = params;
+
+    const createWaterGeometry = (segments) => new THREE.PlaneGeometry(size, size, segments, segments);
+    const clippingPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -waterLevel + 0.01);
+    const waterMaterial = createWaterMaterial({ waterColor, waterOpacity, clippingPlanes: [clippingPlane] });
 
     let waterPlane;
     if (useLOD) {
@@ -2,37 +2,80 @@ export default class TerrainWorkerService {
   constructor() {
     this.worker = new Worker(new URL('../workers/terrainWorker.js', import.meta.url));
     this.handlers = {};
+    // Chunk requests can overlap, so they settle by request id
+    this.pendingChunks = new Map();
+    this.nextChunkId = 0;
     this.worker.onmessage = e => {
-      const { type, progress, geometryData, scatterData, water } = e.data;
+      const { type, progress, geometryData, scatterData, water, biomes } = e.data;
+      if (type === 'chunk') {
+        const { id, chunkX, chunkY } = e.data;
+        const pending = this.pendingChunks.get(id);
+        if (pending) {
+          this.pendingChunks.delete(id);
+          pending.resolve({ chunkX, chunkY, geometryData });
+        }
+      }
+      if (type === 'error') {
+        const { id, message } = e.data;
+        const error = new Error(message);
+        const pending = id !== undefined ? this.pendingChunks.get(id) : null;
+        if (pending) {
+          this.pendingChunks.delete(id);
+          pending.reject(error);
+        } else if (this.handlers.error) {
+          this.handlers.error(error);
+        }
+      }
       if (type === 'progress' && this.handlers.progress) {
         this.handlers.progress(progress);
       }
       if (type === 'done' && this.handlers.done) {
-        this.handlers.done({ geometryData, scatterData, water });
+        this.handlers.done({ geometryData, scatterData, water, biomes });
       }
     };
+    // A crashed worker fails everything still waiting on it
+    this.worker.onerror = e => {
+      e.preventDefault();
+      const error = new Error(e.message || 'Terrain worker failed');
+      if (this.handlers.error) this.handlers.error(error);
+      this.pendingChunks.forEach(pending => pending.reject(error));
+      this.pendingChunks.clear();
+    };
   }
 
-  generate(params, onProgress, heightMap) {
-    return new Promise(resolve => {
-      this.handlers.progress = onProgress;
-      this.handlers.done = data => {
+  generate(params, onProgress, heightMap, width, height) {
+    return new Promise((resolve, reject) => {
+      const settle = callback => data => {
         this.handlers.progress = null;
         this.handlers.done = null;
-        resolve(data);
+        this.handlers.error = null;
+        callback(data);
       };
+      this.handlers.progress = onProgress;
+      this.handlers.done = settle(resolve);
+      this.handlers.error = settle(reject);
       const payload = { params };
       const transfers = [];
       if (heightMap instanceof Float32Array) {
         const heightMapCopy = new Float32Array(heightMap);
         payload.heightMap = heightMapCopy;
+        payload.width = width;
+        payload.height = height;
         transfers.push(heightMapCopy.buffer);
       }
       this.worker.postMessage({ action: 'generate', payload }, transfers);
     });
   }
 
+  generateChunk(params, chunkX, chunkY) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextChunkId;
+      this.pendingChunks.set(id, { resolve, reject });
+      this.worker.postMessage({ action: 'generateChunk', payload: { id, params, chunkX, chunkY } });
+    });
+  }
+
   terminate() {
     this.worker.terminate();
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,162 @@
+import ErosionSimulator from './ErosionSimulator';
+import { createRandom } from './NoiseService';
+
+// Smallest tile edge in cells (tiles also grow to twice the halo)
+const MIN_TILE_SIZE = 128;
+// Droplets per tile and round, so each round is large enough to be worth shipping to the pool
+const DROPLETS_PER_TILE = 256;
+// Checkerboard phases: same-coloured tiles are a whole tile apart, so their haloed regions never overlap
+const PHASES = [[0, 0], [1, 0], [0, 1], [1, 1]];
+
+/**
+ * Erodes the droplets of one tile on a copy of its haloed region. Runs inside a tile worker, or
+ * inline for a single-threaded run; the result only depends on the task.
+ * @param {Object} task - Region and droplets from TiledErosion.
+ * @returns {{heightDelta: Float32Array, eroded: Float32Array, deposited: Float32Array,
+ *   wetness: Float32Array, flowX: Float32Array, flowY: Float32Array}} - Changes over the region.
+ */
+export function erodeTile({ width, height, heightMap, slopeMap, flowMap, curvatureMap, erosionMask, droplets, params }) {
+  const sim = new ErosionSimulator(width, height, heightMap, params);
+  sim.slopeMap = slopeMap;
+  sim.flowMap = flowMap;
+  sim.curvatureMap = curvatureMap;
+  sim.erosionMask = erosionMask;
+  const count = droplets.length / 2;
+  sim.resetDroplets(count, droplets);
+  let alive = count > 0;
+  while (alive) alive = sim.stepDroplets(count);
+  const heightDelta = new Float32Array(heightMap.length);
+  for (let i = 0; i < heightDelta.length; i++) heightDelta[i] = sim.heightMap[i] - heightMap[i];
+  return {
+    heightDelta,
+    eroded: sim.erodedMap,
+    deposited: sim.depositedMap,
+    wetness: sim.wetnessMap,
+    flowX: sim.flowX,
+    flowY: sim.flowY
+  };
+}
+
+/**
+ * Droplet erosion split over heightmap tiles for a pool of workers. Each step draws the next
+ * droplets from the seeded sequence, buckets them by start tile and erodes the tiles in four
+ * checkerboard phases. A tile is sent with a halo wide enough that none of its droplets can
+ * leave it, and its changes are merged back as deltas, so the result depends only on the seed
+ * and the tile layout, never on the number of workers, their timing or the batch size.
+ */
+export default class TiledErosion {
+  /**
+   * @param {ErosionSimulator} simulator - Holds the full map, masks, capacity maps and params;
+   *   receives the merged result. Its own droplets are not used.
+   * @param {number} numDroplets - Droplets in this run.
+   * @param {function(Array<Object>): Promise<Array<Object>>} runTiles - Erodes tasks (see erodeTile)
+   *   and resolves with their results in task order.
+   */
+  constructor(simulator, numDroplets, runTiles) {
+    this.simulator = simulator;
+    this.runTiles = runTiles;
+    this.total = numDroplets;
+    this.processed = 0;
+    const { params, width, height } = simulator;
+    this.random = createRandom(params.seed, 'erosion');
+    // A droplet moves at most one cell per step; the gradient and the brush reach a little further
+    const brushReach = simulator.brush ? simulator.brush.reach : 1;
+    this.halo = params.maxDropletLifetime + brushReach + 3;
+    this.tileSize = Math.max(MIN_TILE_SIZE, 2 * this.halo);
+    this.tilesX = Math.ceil(width / this.tileSize);
+    this.tilesY = Math.ceil(height / this.tileSize);
+    // Tiles take the brush scale of the whole map
+    this.tileParams = { ...params, resolution: width - 1 };
+  }
+
+  /**
+   * Erode the next rounds of droplets, then run the thermal passes due (both mode). Rounds have a
+   * fixed size, so the batch size only decides how many run per step, not the result.
+   * @param {number} batchSize - Minimum droplets this step.
+   * @returns {Promise<{alive: boolean, progress: number}>}
+   */
+  async step(batchSize) {
+    const target = Math.min(this.total, this.processed + Math.max(1, batchSize));
+    while (this.processed < target) await this._round();
+    return this.simulator.advanceThermal(this.total > 0 ? this.processed / this.total : 1);
+  }
+
+  // Draws the next round of droplets and erodes them tile by tile
+  async _round() {
+    const { width, height } = this.simulator;
+    const tileCount = this.tilesX * this.tilesY;
+    const count = Math.min(this.total - this.processed, DROPLETS_PER_TILE * tileCount);
+    // Same start positions, in the same order, as ErosionSimulator._createDroplet
+    const buckets = Array.from({ length: tileCount }, () => []);
+    for (let n = 0; n < count; n++) {
+      const x = this.random() * (width - 2) + 1;
+      const y = this.random() * (height - 2) + 1;
+      const tile = Math.floor(y / this.tileSize) * this.tilesX + Math.floor(x / this.tileSize);
+      buckets[tile].push(x, y);
+    }
+    for (const [px, py] of PHASES) {
+      const tasks = [];
+      for (let ty = py; ty < this.tilesY; ty += 2) {
+        for (let tx = px; tx < this.tilesX; tx += 2) {
+          const droplets = buckets[ty * this.tilesX + tx];
+          if (droplets.length) tasks.push(this._createTask(tx, ty, droplets));
+        }
+      }
+      if (!tasks.length) continue;
+      const results = await this.runTiles(tasks);
+      results.forEach((result, i) => this._merge(tasks[i], result));
+    }
+    this.processed += count;
+  }
+
+  // Copies a tile's haloed region out of the full maps, with droplets in region coordinates
+  _createTask(tx, ty, droplets) {
+    const sim = this.simulator;
+    const x0 = Math.max(0, tx * this.tileSize - this.halo);
+    const y0 = Math.max(0, ty * this.tileSize - this.halo);
+    const x1 = Math.min(sim.width, (tx + 1) * this.tileSize + this.halo);
+    const y1 = Math.min(sim.height, (ty + 1) * this.tileSize + this.halo);
+    const width = x1 - x0;
+    const height = y1 - y0;
+    const slice = map => {
+      if (!map) return null;
+      const out = new Float32Array(width * height);
+      for (let y = 0; y < height; y++) out.set(map.subarray((y0 + y) * sim.width + x0, (y0 + y) * sim.width + x1), y * width);
+      return out;
+    };
+    const local = new Float32Array(droplets.length);
+    for (let i = 0; i < droplets.length; i += 2) {
+      local[i] = droplets[i] - x0;
+      local[i + 1] = droplets[i + 1] - y0;
+    }
+    return {
+      x0, y0, width, height,
+      heightMap: slice(sim.heightMap),
+      slopeMap: slice(sim.slopeMap),
+      flowMap: slice(sim.flowMap),
+      curvatureMap: slice(sim.curvatureMap),
+      erosionMask: slice(sim.erosionMask),
+      droplets: local,
+      params: this.tileParams
+    };
+  }
+
+  // Adds a tile's height change and mask accumulation back into the full maps
+  _merge({ x0, y0, width, height }, { heightDelta, eroded, deposited, wetness, flowX, flowY }) {
+    const sim = this.simulator;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const g = (y0 + y) * sim.width + x0 + x;
+        sim.heightMap[g] += heightDelta[i];
+        sim.erodedMap[g] += eroded[i];
+        sim.depositedMap[g] += deposited[i];
+        if (wetness[i] > 0) {
+          sim.wetnessMap[g] += wetness[i];
+          sim.flowX[g] = flowX[i];
+          sim.flowY[g] = flowY[i];
+        }
+      }
+    }
+  }
+}
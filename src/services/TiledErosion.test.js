@@ -0,0 +1,71 @@
+/* eslint-env jest */
+import ErosionSimulator from './ErosionSimulator';
+import TiledErosion, { erodeTile } from './TiledErosion';
+
+// Large enough for a 3x3 tile layout with the default droplet lifetime
+const WIDTH = 300;
+const HEIGHT = 300;
+
+function terrain() {
+  const heightMap = new Float32Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      heightMap[y * WIDTH + x] = 0.5 + 0.3 * Math.sin(x / 17) * Math.cos(y / 23) + 0.05 * Math.sin(x / 4 + y / 5);
+    }
+  }
+  return heightMap;
+}
+
+// A single worker erodes the tasks inline, in order
+const inline = async tasks => tasks.map(erodeTile);
+
+// Deals the tasks round-robin to workers that finish in reverse order, like a pool under load
+function pool(workers) {
+  return tasks => {
+    const results = new Array(tasks.length);
+    const queues = Array.from({ length: workers }, () => []);
+    tasks.forEach((task, i) => queues[i % workers].push(i));
+    return Promise.all(queues.reverse().map(async queue => {
+      for (const i of queue.reverse()) {
+        await null;
+        results[i] = erodeTile(tasks[i]);
+      }
+    })).then(() => results);
+  };
+}
+
+async function erode(params, numDroplets, runTiles, batchSize) {
+  const simulator = new ErosionSimulator(WIDTH, HEIGHT, terrain(), { size: 10, ...params });
+  simulator.start(0);
+  const tiled = new TiledErosion(simulator, numDroplets, runTiles);
+  let result;
+  do {
+    result = await tiled.step(batchSize);
+  } while (result.alive);
+  return simulator;
+}
+
+test('one worker and a pool of workers erode identically', async () => {
+  const params = { seed: 4 };
+  const single = await erode(params, 5000, inline, 1000);
+  for (const workers of [2, 4]) {
+    const tiled = await erode(params, 5000, pool(workers), 1000);
+    expect(tiled.heightMap).toEqual(single.heightMap);
+    expect(tiled.erodedMap).toEqual(single.erodedMap);
+    expect(tiled.wetnessMap).toEqual(single.wetnessMap);
+  }
+});
+
+test('tiled erosion does not depend on the batch size', async () => {
+  const params = { seed: 9, erosionRadius: 3 };
+  const a = await erode(params, 4000, inline, 777);
+  const b = await erode(params, 4000, inline, 4000);
+  expect(a.heightMap).toEqual(b.heightMap);
+});
+
+test('a failed tile fails the step', async () => {
+  const failing = async () => {
+    throw new Error('tile failed');
+  };
+  await expect(erode({ seed: 1 }, 1000, failing, 1000)).rejects.toThrow('tile failed');
+});
@@ -1,16 +1,17 @@
 const terrainFragmentShader = `
+// Lattice of the terrain seed's value noise, baked by createNoiseLatticeTexture
+uniform sampler2D noiseLattice;
+uniform float noiseLatticeSize;
+
 float hash(vec2 p) {
-    p = 50.0 * fract(p * 0.3183099 + vec2(0.71, 0.113));
-    return -1.0 + 2.0 * fract(p.x * p.y * (p.x + p.y));
+    return texture2D(noiseLattice, (floor(p) + 0.5) / noiseLatticeSize).r;
 }
 
+// Value noise with the quintic fade of NoiseService's value kernel
 float noise(vec2 p) {
     vec2 i = floor(p);
     vec2 f = fract(p);
-    
-    // Improved cubic interpolation
-    vec2 u = f * f * (3.0 - 2.0 * f);
-    vec2 u2 = f * f * f * (f * (f * 6.0 - 15.0) + 10.0); // Quintic interpolation
+    vec2 u = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
     
     return mix(
         mix(hash(i + vec2(0.0, 0.0)), hash(i + vec2(1.0, 0.0)), u.x),
@@ -97,6 +98,12 @@ uniform float albedoIntensity;
 uniform sampler2D albedoMap;
 uniform sampler2D normalMap;
 uniform sampler2D roughnessMap;
+uniform sampler2D erosionMap;
+#ifdef USE_BIOMEMAP
+uniform sampler2D biomeMap;
+uniform vec2 biomeMapSize;
+uniform vec3 biomeColors[BIOME_COUNT];
+#endif
 
 varying vec3 vWorldPosition;
 varying vec3 vNormal;
@@ -107,7 +114,34 @@ varying vec2 vUv;
 varying vec3 vTangent;
 varying vec3 vBitangent;
 
+#ifdef USE_BIOMEMAP
+// Climate channels (G = temperature, B = moisture) filtered bilinearly; the texture itself is
+// nearest-filtered to keep the biome ids in R intact
+vec4 getBiomeClimate(vec2 uv) {
+    vec2 st = uv * biomeMapSize - 0.5;
+    vec2 f = fract(st);
+    vec2 base = (floor(st) + 0.5) / biomeMapSize;
+    vec2 texel = 1.0 / biomeMapSize;
+    return mix(
+        mix(texture2D(biomeMap, base), texture2D(biomeMap, base + vec2(texel.x, 0.0)), f.x),
+        mix(texture2D(biomeMap, base + vec2(0.0, texel.y)), texture2D(biomeMap, base + texel), f.x),
+        f.y
+    );
+}
+
+// Ground colour of the biome under a fragment, with the cell borders jittered so they don't follow the grid
+vec3 getBiomeColor(vec3 pos) {
+    vec2 jitter = vec2(noise(pos.xz * 0.9), noise(pos.xz * 0.9 + vec2(17.3, 5.1)));
+    int id = int(texture2D(biomeMap, vUv + jitter * 1.5 / biomeMapSize).r * 255.0 + 0.5);
+    return biomeColors[clamp(id, 0, BIOME_COUNT - 1)];
+}
+#endif
+
 float getMoisture(vec3 pos) {
+#ifdef USE_BIOMEMAP
+    // Moisture from the biome climate model
+    return clamp(getBiomeClimate(vUv).b * moistureScale, 0.0, 1.0);
+#else
     float baseMoisture = fbm(pos.xz * moistureNoiseScale);
     float slope = vSlope;
     float height = pos.y * heightScale;
@@ -121,6 +155,7 @@ float getMoisture(vec3 pos) {
     moisture = mix(moisture, moisture * 1.2, valleyFactor);
     moisture += microClimate;
     return clamp(moisture * moistureScale, 0.0, 1.0);
+#endif
 }
 
 float getProceduralHeight(vec3 pos) {
@@ -194,6 +229,10 @@ float getDrainagePattern(vec3 pos) {
 }
 
 float getErosionFactor(vec3 pos, float slope) {
+#ifdef USE_EROSIONMAP
+    // Material removed by the erosion simulation
+    return texture2D(erosionMap, vUv).r;
+#else
     float baseErosion = fbm(pos.xz * 0.1);
     float slopeErosion = smoothstep(0.25, 0.75, slope);
     float heightErosion = smoothstep(0.3, 0.8, pos.y * heightScale);
@@ -204,6 +243,7 @@ float getErosionFactor(vec3 pos, float slope) {
     float temporalVariation = sin(pos.x * 0.02 + pos.z * 0.02) * 0.1 + 0.9;
     erosion *= temporalVariation;
     return clamp(erosion, 0.0, 1.0);
+#endif
 }
 
 float getSnowCoverage(vec3 pos, float height, float slope) {
@@ -249,6 +289,13 @@ vec3 getProceduralColor(vec3 pos, float height, float slope, vec3 normal) {
     grassColor = mix(grassColor, vec3(0.2, 0.4, 0.1), moisture * 0.5);
     rockColor = mix(rockColor, vec3(0.6, 0.58, 0.52), moisture * 0.3);
     sandColor = mix(sandColor, vec3(0.8, 0.75, 0.6), moisture * 0.2);
+#ifdef USE_BIOMEMAP
+    // Biome tints the ground and vegetation; the coldest climates are snowed over at any height
+    vec3 biomeColor = getBiomeColor(pos);
+    grassColor = biomeColor;
+    vegetationColor = biomeColor * 0.75;
+    snowCoverage = max(snowCoverage, 1.0 - smoothstep(0.06, 0.12, getBiomeClimate(vUv).g));
+#endif
     float scaleDetail = detailScale * textureResolution;
     float scaleMicro = microDetailScale * textureResolution;
     float detail = fbm(pos.xz * scaleDetail);
@@ -264,6 +311,12 @@ vec3 getProceduralColor(vec3 pos, float height, float slope, vec3 normal) {
     vec3 color = mix(sandColor, grassColor, smoothstep(0.0, 1.0, grassAmount));
     color = mix(color, rockColor, smoothstep(0.0, 1.0, max(rockAmount, slopeRock)));
     color = mix(color, vegetationColor, vegetationCoverage * (1.0 - rockAmount));
+#ifdef USE_EROSIONMAP
+    // Sediment fans and damp flow channels from the erosion simulation
+    vec4 erosionMask = texture2D(erosionMap, vUv);
+    color = mix(color, sedimentColor, smoothstep(0.0, 1.0, sqrt(erosionMask.g)) * 0.8);
+    color = mix(color, color * vec3(0.55, 0.5, 0.45), smoothstep(0.3, 1.0, erosionMask.b));
+#endif
     color = mix(color, snowColor, snowCoverage);
     color += vec3(microDetail * 0.04) * (1.0 - erosion * 0.2);
     float gravelMask = getGravelMask(pos, slope);
@@ -305,6 +358,10 @@ void main() {
     vec3 texNormal = texture2D(normalMap, vUv * textureScale * textureResolution).xyz * 2.0 - 1.0;
     normal = normalize(mix(normal, texNormal, 0.5 * normalMapStrength));
 #endif
+#ifdef BAKE_ALBEDO
+    // Vertex colour bake: unlit surface colour only
+    gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+#else
     vec3 viewDir = normalize(vViewPosition);
     vec3 lightDir = normalize(vec3(1.0, 1.0, 1.0));
     vec3 halfDir = normalize(lightDir + viewDir);
@@ -315,6 +372,7 @@ void main() {
     color = color * (NdotL + 0.2) * ao;
     color += vec3(specular);
     gl_FragColor = vec4(color, 1.0);
+#endif
 }
 `;
 export default terrainFragmentShader; 
\ No newline at end of file
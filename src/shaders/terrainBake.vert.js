@@ -0,0 +1,30 @@
+// Vertex colour bake: draws every vertex as one pixel of a bakeSize render target so the
+// terrain fragment shader can be evaluated per vertex. Normals stay in world space.
+const terrainBakeVertexShader = `
+varying vec3 vWorldPosition;
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+varying vec3 vDisplacedPosition;
+varying float vSlope;
+varying vec2 vUv;
+varying vec3 vTangent;
+varying vec3 vBitangent;
+uniform vec2 bakeSize;
+
+void main() {
+    vNormal = normalize(mat3(modelMatrix) * normal);
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldPosition = worldPosition.xyz;
+    vDisplacedPosition = worldPosition.xyz;
+    vViewPosition = vec3(0.0, 1.0, 0.0);
+    vSlope = 1.0 - abs(vNormal.y);
+    vUv = uv;
+    vTangent = normalize(vec3(modelMatrix * vec4(1.0, 0.0, 0.0, 0.0)));
+    vBitangent = normalize(vec3(modelMatrix * vec4(0.0, 0.0, 1.0, 0.0)));
+    float index = float(gl_VertexID);
+    vec2 pixel = vec2(mod(index, bakeSize.x), floor(index / bakeSize.x)) + 0.5;
+    gl_Position = vec4(pixel / bakeSize * 2.0 - 1.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+}
+`;
+export default terrainBakeVertexShader;
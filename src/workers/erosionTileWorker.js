@@ -0,0 +1,18 @@
+import { erodeTile } from '../services/TiledErosion';
+
+self.onmessage = (e) => {
+  const { action, payload } = e.data;
+  if (action === 'erodeTile') {
+    const { id, task } = payload;
+    let result;
+    try {
+      result = erodeTile(task);
+    } catch (error) {
+      self.postMessage({ type: 'error', id, message: error.message });
+      return;
+    }
+    self.postMessage({ type: 'tile', id, result }, Object.values(result).map(values => values.buffer));
+    return;
+  }
+  console.warn('ErosionTileWorker: Unknown action', action);
+};
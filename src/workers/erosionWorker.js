@@ -1,49 +1,137 @@
 import ErosionSimulator from '../services/ErosionSimulator';
-import { computeSlopeMap, computeCurvatureMap, computeFlowMap } from '../services/HeightfieldService';
+import ErosionHistory from '../services/ErosionHistory';
+import ErosionTilePool from '../services/ErosionTilePool';
+import TiledErosion, { erodeTile } from '../services/TiledErosion';
+import {
+  computeSlopeMap, computeCurvatureMap, computeFlowMap, normalizeFlowMap, normalizeCurvatureMap
+} from '../services/HeightfieldService';
 
 let simulator = null;
+// Droplet runs are split over tiles, eroded by a worker pool or inline with a single worker, so
+// every worker count gives the same result
+let tiled = null;
+let pool = null;
+let gridWidth = 0;
+let gridHeight = 0;
+// Snapshot timeline: a branch truncates it and the next run appends to it. The eroded mask
+// follows from the height and deposited changes, so only keyframes store it.
+const history = new ErosionHistory(8, { derived: { eroded: ErosionSimulator.rebuildEroded } });
+let run = 0;
+let snapshotCount = 20;
+let nextSnapshotProgress = 0;
+
+// Simulator with slope, curvature and flow maps derived from the terrain it starts on, limited to
+// the region mask when one is given
+function createSimulator(heightMap, params, numDroplets, erosionMask) {
+  const slopeMap = computeSlopeMap(heightMap, gridWidth, gridHeight, params.size, params.size);
+  // Curvature and flow are normalized so their weights behave the same at any resolution
+  const curvatureMap = normalizeCurvatureMap(computeCurvatureMap(heightMap, gridWidth, gridHeight, params.size, params.size));
+  const flowMap = normalizeFlowMap(computeFlowMap(heightMap, gridWidth, gridHeight));
+  const sim = new ErosionSimulator(gridWidth, gridHeight, heightMap, params);
+  sim.slopeMap = slopeMap;
+  sim.curvatureMap = curvatureMap;
+  sim.flowMap = flowMap;
+  sim.erosionMask = erosionMask && erosionMask.length === gridWidth * gridHeight ? erosionMask : null;
+  const tiledRun = params.erosionType !== 'thermal' && (params.hydraulicModel || 'droplet') === 'droplet';
+  // A tiled run draws its droplets itself, the simulator only keeps the maps and thermal passes
+  sim.start(tiledRun ? 0 : numDroplets);
+  const runTiles = pool ? tasks => pool.run(tasks) : async tasks => tasks.map(erodeTile);
+  tiled = tiledRun ? new TiledErosion(sim, numDroplets, runTiles) : null;
+  return sim;
+}
+
+// Worker pool for tiled runs (none for a single worker)
+function setWorkers(workers) {
+  const size = Math.max(1, Math.floor(workers || 1));
+  if (pool && pool.size === size) return;
+  if (pool) pool.terminate();
+  pool = size > 1 ? new ErosionTilePool(size) : null;
+}
+
+// Snapshot every 1 / snapshotCount of a run's progress, and always at the end
+function maybeSnapshot(progress, alive) {
+  if (alive && progress < nextSnapshotProgress) return null;
+  nextSnapshotProgress = (Math.floor(progress * snapshotCount) + 1) / snapshotCount;
+  return history.push(simulator.getState(), { run, progress });
+}
+
+function postTimeline(type) {
+  self.postMessage({ type, snapshots: history.list(), historyBytes: history.byteLength() });
+}
+
+// Tiled steps wait on the pool, so messages are handled one at a time in arrival order. A failed
+// message is reported and the queue carries on with the next one.
+let queue = Promise.resolve();
 
 self.onmessage = (e) => {
-  const { action, payload } = e.data;
+  queue = queue
+    .then(() => handleMessage(e.data))
+    .catch(error => self.postMessage({ type: 'error', message: error.message }));
+};
+
+async function handleMessage({ action, payload }) {
   switch(action) {
     case 'init': {
-      const { width, height, heightMap, params, numDroplets } = payload;
-      // Compute slope, curvature, and flow maps using universal service
-      const slopeMap = computeSlopeMap(heightMap, width, height, params.size, params.size);
-      const curvatureMap = computeCurvatureMap(heightMap, width, height, params.size, params.size);
-      const flowMap = computeFlowMap(heightMap, width, height);
-      simulator = new ErosionSimulator(width, height, heightMap, params);
-      simulator.slopeMap = slopeMap;
-      simulator.curvatureMap = curvatureMap;
-      simulator.flowMap = flowMap;
-      simulator.start(numDroplets);
-      self.postMessage({ type: 'initialized' });
+      const { width, height, heightMap, params, numDroplets, erosionMask } = payload;
+      gridWidth = width;
+      gridHeight = height;
+      snapshotCount = Math.max(1, payload.snapshotCount || 20);
+      setWorkers(payload.workers);
+      simulator = createSimulator(heightMap, params, numDroplets, erosionMask);
+      history.clear();
+      run = 1;
+      nextSnapshotProgress = 0;
+      maybeSnapshot(0, true);
+      postTimeline('initialized');
       break;
     }
     case 'step': {
       const { batchSize } = payload;
-      const alive = simulator.stepDroplets(batchSize);
+      // Compute time of this step, to compare worker counts
+      const start = performance.now();
+      const { alive, progress } = tiled ? await tiled.step(batchSize) : simulator.step(batchSize);
+      const elapsed = performance.now() - start;
+      const snapshot = maybeSnapshot(progress, alive);
       const heightClone = simulator.cloneHeightMap();
-      self.postMessage({ type: 'stepped', alive, heightMap: heightClone }, [heightClone.buffer]);
+      const masks = simulator.getMasks();
+      self.postMessage(
+        // The whole timeline goes along with a new snapshot, as it may have evicted the oldest ones
+        { type: 'stepped', alive, progress, elapsed, heightMap: heightClone, masks, snapshot, snapshots: snapshot ? history.list() : null, historyBytes: history.byteLength() },
+        [heightClone.buffer, ...Object.values(masks).map(mask => mask.buffer)]
+      );
       break;
     }
-    case 'pause': {
-      simulator.pause();
-      self.postMessage({ type: 'paused' });
+    case 'scrub': {
+      // Rebuilds a snapshot for display only; the simulator keeps its state until a branch
+      const { index } = payload;
+      const state = history.get(index);
+      const masks = ErosionSimulator.masksFromState(state);
+      self.postMessage(
+        { type: 'scrubbed', index, heightMap: state.heightMap, masks },
+        [state.heightMap.buffer, ...Object.values(masks).map(mask => mask.buffer)]
+      );
       break;
     }
-    case 'resume': {
-      simulator.resume();
-      self.postMessage({ type: 'resumed' });
+    case 'branch': {
+      const { index } = payload;
+      history.truncate(index);
+      simulator.setState(history.get(index));
+      postTimeline('branched');
       break;
     }
-    case 'reset': {
-      const { initialHeightMap } = payload;
-      simulator.resetHeightMap(initialHeightMap);
-      self.postMessage({ type: 'reset' });
+    case 'restart': {
+      // New run on top of the current (branched) state; masks keep accumulating
+      const { params, numDroplets, erosionMask, workers } = payload;
+      setWorkers(workers);
+      const state = simulator.getState();
+      simulator = createSimulator(state.heightMap, params, numDroplets, erosionMask);
+      simulator.setState(state);
+      run++;
+      nextSnapshotProgress = 1 / snapshotCount;
+      postTimeline('restarted');
       break;
     }
     default:
       console.warn('ErosionWorker: Unknown action', action);
   }
-}; 
\ No newline at end of file
+}
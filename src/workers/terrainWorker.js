@@ -1,26 +1,60 @@
-import { createImprovedNoise2D, generateTerrain } from '../services/TerrainGeneratorService';
+import { generateTerrain } from '../services/TerrainGeneratorService';
 import { createTexturedTerrainMaterial, createWaterPlane } from '../services/TerrainMaterialService';
 import { generateScatterMask, generatePoissonScatterPoints } from '../services/ScatterService';
+import { computeBiomes } from '../services/BiomeService';
 import * as THREE from 'three';
 
-self.onmessage = async (e) => {
+self.onmessage = (e) => {
   const { action, payload } = e.data;
+  // Generation errors (e.g. a malformed terrain graph) go back to the caller instead of
+  // leaving its request pending
+  try {
+    handleMessage(action, payload);
+  } catch (error) {
+    self.postMessage({ type: 'error', id: payload && payload.id, message: error.message });
+  }
+};
+
+function handleMessage(action, payload) {
+  if (action === 'generateChunk') {
+    // One chunk of the infinite world; heights and normals already line up with its neighbours
+    const { id, params, chunkX, chunkY } = payload;
+    const { geometry } = generateTerrain({ ...params, frequency: 0.15, chunkX, chunkY });
+    const posAttr = geometry.attributes.position.array;
+    const normAttr = geometry.attributes.normal.array;
+    const uvAttr = geometry.attributes.uv.array;
+    const idxAttr = geometry.index.array;
+    self.postMessage(
+      {
+        type: 'chunk',
+        id,
+        chunkX,
+        chunkY,
+        geometryData: { positions: posAttr, normals: normAttr, uvs: uvAttr, indices: idxAttr }
+      },
+      [posAttr.buffer, normAttr.buffer, uvAttr.buffer, idxAttr.buffer]
+    );
+    return;
+  }
   if (action === 'generate') {
-    const { params, heightMap } = payload;
+    const { params, heightMap, width: mapWidth, height: mapHeight } = payload;
     let res;
+    let resY;
     if (heightMap instanceof Float32Array) {
-      // derive resolution from heightMap length
-      const size = Math.round(Math.sqrt(heightMap.length));
-      res = size - 1;
+      // Use the heightmap's own dimensions (imported maps need not be square), else assume square
+      const cols = mapWidth || Math.round(Math.sqrt(heightMap.length));
+      res = cols - 1;
+      resY = (mapHeight || heightMap.length / cols) - 1;
     } else {
       res = params.useExportResolution ? params.meshResolution : 512;
+      resY = res;
     }
     let geometry;
     if (heightMap instanceof Float32Array) {
       // Build plane and displace using proper world dimensions
       const w = params.width || params.size;
-      const h = params.height || params.size;
-      geometry = new THREE.PlaneGeometry(w, h, res, res);
+      const h = params.height || params.size * resY / res;
+      geometry = new THREE.PlaneGeometry(w, h, res, resY);
       const pos = geometry.attributes.position.array;
       for (let i = 0; i < heightMap.length; i++) {
         pos[i * 3 + 2] = heightMap[i];
@@ -29,9 +63,8 @@ self.onmessage = async (e) => {
       // Partial progress
       self.postMessage({ type: 'progress', progress: 0.4 });
     } else {
-      const noise2D = createImprovedNoise2D(params.seed);
       const terrainParams = { ...params, frequency: 0.15, meshResolution: res };
-      const result = generateTerrain(terrainParams, noise2D);
+      const result = generateTerrain(terrainParams);
       geometry = result.geometry;
       geometry.computeVertexNormals();
       self.postMessage({ type: 'progress', progress: 0.4 });
@@ -43,7 +76,7 @@ self.onmessage = async (e) => {
     const idxAttr = geometry.index ? geometry.index.array : new Uint32Array(0);
     // Scatter generation
     const width = res + 1;
-    const height = res + 1;
+    const height = resY + 1;
     const rawZ = new Float32Array(width * height);
     let minZ = Infinity, maxZ = -Infinity;
     for (let i = 0; i < width * height; i++) {
@@ -55,11 +88,31 @@ self.onmessage = async (e) => {
       normMap[i] = (rawZ[i] - minZ) / (maxZ - minZ || 1);
     }
     const scatterLayers = Array.isArray(params.scatterLayers) ? params.scatterLayers : [];
+    // Biomes texture the terrain and mask biome scatter layers; unset options keep their defaults
+    const needsBiomes = params.enableBiomes || scatterLayers.some(layer => layer.enabled && layer.scatterOn === 'biome');
+    const biomes = needsBiomes
+      ? computeBiomes(rawZ, width, height, params.size, params.size * resY / res, {
+        waterLevel: params.enableWater ? params.waterLevel : undefined,
+        lakes: !!params.enableLakes,
+        riverThreshold: params.riverThreshold,
+        latitudeGradient: params.biomeLatitudeGradient,
+        lapseRate: params.biomeLapseRate,
+        windDirection: params.biomeWindDirection,
+        rainShadow: params.biomeRainShadow,
+        waterRange: params.biomeWaterRange
+      })
+      : null;
+    if (biomes) Object.assign(biomes, { width, height });
     const scatterData = [];
     for (let i = 0; i < scatterLayers.length; i++) {
       const layer = scatterLayers[i];
       if (!layer.enabled) continue;
-      const mask = generateScatterMask(normMap, width, height, { maskThreshold: layer.maskThreshold, scatterOn: layer.scatterOn });
+      const mask = generateScatterMask(normMap, width, height, {
+        maskThreshold: layer.maskThreshold,
+        scatterOn: layer.scatterOn,
+        biomeMap: biomes && biomes.biomes,
+        biomes: layer.biomes
+      });
       let pts = generatePoissonScatterPoints(mask, width, height, {
         density: layer.density,
         seed: layer.seed,
@@ -67,7 +120,7 @@ self.onmessage = async (e) => {
         maxSlopeDeg: layer.maxSlopeDeg,
         heightmap: normMap,
         terrainWidth: params.size,
-        terrainHeight: params.size
+        terrainHeight: params.size * resY / res
       });
       // Apply negative affinity filtering if requested
       if (layer.negativeAffinityType && layer.negativeAffinityRadius > 0) {
@@ -98,9 +151,10 @@ self.onmessage = async (e) => {
           uvs: uvAttr,
           indices: idxAttr
         },
-        scatterData
+        scatterData,
+        biomes
       },
-      [posAttr.buffer, normAttr.buffer, uvAttr.buffer, idxAttr.buffer]
+      [posAttr.buffer, normAttr.buffer, uvAttr.buffer, idxAttr.buffer, ...(biomes ? [biomes.temperature.buffer, biomes.moisture.buffer, biomes.biomes.buffer] : [])]
     );
   }
-}; 
\ No newline at end of file
+}